@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+/**
+ * Cut every JPEG in a folder into the tiles the app would otherwise slice at
+ * runtime, and write a manifest listing them.
+ *
+ *   npm run pyramid -- [--input public] [--out public/pyramids] [--public public]
+ *                      [--tileSize 256] [--gutter 4] [--maxLod 4] [--quality 85] [--force]
+ *
+ * Output per image:  <out>/<name>/info.json   { width, height, tileSize, gutter, maxLod, source }
+ *                    <out>/<name>/<lod>/<x>_<y>.jpg
+ * and <out>/manifest.json listing every image with its tile URL template
+ * (`/pyramids/<name>/{lod}/{x}_{y}.jpg`), which tileWorker loads directly.
+ *
+ * Tile config options take the same names and limits as the app's query
+ * string (see src/tileConfig.js). Images whose info.json already matches the
+ * config are skipped unless --force is given. Runs fully offline.
+ */
+
+import { readdir, readFile, writeFile, mkdir, rm } from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import jpeg from 'jpeg-js'
+import { createTileConfig, parseTileConfigParams } from '../src/tileConfig.js'
+import { buildImageChain, planImageTiles, renderTile } from './pyramid.js'
+
+const TILE_CONFIG_OPTIONS = ['tileSize', 'gutter', 'maxLod', 'baseWorldSize']
+const IMAGE_PATTERN = /\.jpe?g$/i
+
+const { values: args } = parseArgs({
+  options: {
+    input: { type: 'string', default: 'public' },
+    out: { type: 'string', default: 'public/pyramids' },
+    public: { type: 'string', default: 'public' },
+    quality: { type: 'string', default: '85' },
+    force: { type: 'boolean', default: false },
+    ...Object.fromEntries(TILE_CONFIG_OPTIONS.map(key => [key, { type: 'string' }])),
+  },
+})
+
+const config = createTileConfig(parseTileConfigParams(new URLSearchParams(
+  Object.entries(args).filter(([key, value]) => TILE_CONFIG_OPTIONS.includes(key) && value != null)
+)))
+const quality = Number(args.quality)
+const inputDir = path.resolve(args.input)
+const outDir = path.resolve(args.out)
+const publicDir = path.resolve(args.public)
+
+// URL the dev server / build serves a file at
+function toUrl(file) {
+  const relative = path.relative(publicDir, file)
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error(`${file} is outside the public folder ${publicDir} (set --public)`)
+  }
+  return '/' + relative.split(path.sep).join('/')
+}
+
+async function findImages(dir) {
+  const files = []
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (file !== outDir) files.push(...await findImages(file))
+    } else if (IMAGE_PATTERN.test(entry.name)) {
+      files.push(file)
+    }
+  }
+  return files.sort()
+}
+
+async function readInfo(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+function isUpToDate(info, source) {
+  return info?.source === source &&
+    info.tileSize === config.tileSize &&
+    info.gutter === config.gutter &&
+    info.configMaxLod === config.maxLod
+}
+
+async function buildImage(file) {
+  const name = path.relative(inputDir, file).replace(IMAGE_PATTERN, '').split(path.sep).join('/')
+  const imageDir = path.join(outDir, name)
+  const infoFile = path.join(imageDir, 'info.json')
+  const source = toUrl(file)
+
+  let info = await readInfo(infoFile)
+  if (args.force || !isUpToDate(info, source)) {
+    const image = jpeg.decode(await readFile(file), { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 2048 })
+    const { maxLod, tiles } = planImageTiles(image.width, image.height, config)
+    const chain = buildImageChain(image)
+
+    await rm(imageDir, { recursive: true, force: true })
+    for (let lodLevel = 0; lodLevel <= maxLod; lodLevel++) {
+      await mkdir(path.join(imageDir, String(lodLevel)), { recursive: true })
+    }
+    for (const tile of tiles) {
+      const data = renderTile(chain, tile, config.tileSize, config.gutter)
+      const encoded = jpeg.encode({ data, width: config.tileSize, height: config.tileSize }, quality)
+      await writeFile(path.join(imageDir, String(tile.lodLevel), `${tile.tx}_${tile.ty}.jpg`), encoded.data)
+    }
+
+    info = {
+      width: image.width,
+      height: image.height,
+      tileSize: config.tileSize,
+      gutter: config.gutter,
+      maxLod,
+      configMaxLod: config.maxLod,
+      source,
+    }
+    await writeFile(infoFile, JSON.stringify(info, null, 2) + '\n')
+    console.log(`${name}: ${image.width}×${image.height}, LOD 0-${maxLod}, ${tiles.length} tiles`)
+  }
+
+  return {
+    name,
+    url: toUrl(path.join(imageDir, '{lod}', '{x}_{y}.jpg')),
+    source,
+    width: info.width,
+    height: info.height,
+    aspect: info.width / info.height,
+    maxLod: info.maxLod,
+  }
+}
+
+async function main() {
+  const files = await findImages(inputDir)
+  if (files.length === 0) throw new Error(`No JPEG images in ${inputDir}`)
+
+  const images = []
+  let failed = 0
+  for (const file of files) {
+    try {
+      images.push(await buildImage(file))
+    } catch (err) {
+      failed++
+      console.error(`${path.relative(inputDir, file)}: ${err.message}`)
+    }
+  }
+
+  const manifest = {
+    tileSize: config.tileSize,
+    gutter: config.gutter,
+    baseWorldSize: config.baseWorldSize,
+    images,
+  }
+  await mkdir(outDir, { recursive: true })
+  await writeFile(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n')
+  console.log(`Wrote ${images.length} images to ${args.out}` +
+    (failed ? ` (${failed} failed)` : ''))
+  if (failed) process.exitCode = 1
+}
+
+main().catch(err => {
+  console.error(err.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,125 @@
+/**
+ * Tile cutting for buildPyramid.js: the same tiles tileWorker renders at
+ * runtime, computed on RGBA8 buffers so it runs in Node without a canvas.
+ *
+ * Each tile is the source rect of getTileSourceRect() scaled into the
+ * (tileSize - 2 * gutter) content square, with `gutter` pixels of the
+ * neighbouring image around it and edge pixels stretched past the image.
+ */
+
+import { getImageWorldSize, getTileGrid, getTileSourceRect } from '../src/tileGrid.js'
+import { getMaxUsefulLod } from '../src/lodSelection.js'
+
+/**
+ * Halve an RGBA8 image (box filter; odd edges repeat their last pixel).
+ * @param {{ data: Uint8Array, width: number, height: number }} image
+ */
+export function halveImage({ data, width, height }) {
+  const w = Math.ceil(width / 2)
+  const h = Math.ceil(height / 2)
+  const out = new Uint8Array(w * h * 4)
+  for (let y = 0; y < h; y++) {
+    const y0 = 2 * y
+    const y1 = Math.min(2 * y + 1, height - 1)
+    for (let x = 0; x < w; x++) {
+      const x0 = 2 * x
+      const x1 = Math.min(2 * x + 1, width - 1)
+      const a = (y0 * width + x0) * 4
+      const b = (y0 * width + x1) * 4
+      const c = (y1 * width + x0) * 4
+      const d = (y1 * width + x1) * 4
+      const o = (y * w + x) * 4
+      for (let k = 0; k < 4; k++) {
+        out[o + k] = (data[a + k] + data[b + k] + data[c + k] + data[d + k] + 2) >> 2
+      }
+    }
+  }
+  return { data: out, width: w, height: h }
+}
+
+/**
+ * The image and its halvings down to 1×1, so each tile samples a level no
+ * more than 2× its own resolution.
+ */
+export function buildImageChain(image) {
+  const chain = [image]
+  let level = image
+  while (level.width > 1 || level.height > 1) {
+    level = halveImage(level)
+    chain.push(level)
+  }
+  return chain
+}
+
+// Bilinear sample at full-resolution pixel coords, clamped to the image
+function sample(level, factor, x, y, out, o) {
+  const { data, width, height } = level
+  const lx = Math.min(width - 1, Math.max(0, (x + 0.5) / factor - 0.5))
+  const ly = Math.min(height - 1, Math.max(0, (y + 0.5) / factor - 0.5))
+  const x0 = Math.floor(lx)
+  const y0 = Math.floor(ly)
+  const x1 = Math.min(width - 1, x0 + 1)
+  const y1 = Math.min(height - 1, y0 + 1)
+  const fx = lx - x0
+  const fy = ly - y0
+  const a = (y0 * width + x0) * 4
+  const b = (y0 * width + x1) * 4
+  const c = (y1 * width + x0) * 4
+  const d = (y1 * width + x1) * 4
+  for (let k = 0; k < 4; k++) {
+    const top = data[a + k] + (data[b + k] - data[a + k]) * fx
+    const bottom = data[c + k] + (data[d + k] - data[c + k]) * fx
+    out[o + k] = Math.round(top + (bottom - top) * fy)
+  }
+}
+
+/**
+ * Render one tile from an image chain.
+ * @param {Array<{ data: Uint8Array, width: number, height: number }>} chain - From buildImageChain
+ * @param {{ srcX: number, srcY: number, srcW: number, srcH: number }} rect - Full-resolution source rect
+ * @returns {Uint8Array} tileSize × tileSize RGBA8, top row first
+ */
+export function renderTile(chain, rect, tileSize, gutter) {
+  const { srcX, srcY, srcW, srcH } = rect
+  const content = tileSize - 2 * gutter
+  const scaleX = content / srcW
+  const scaleY = content / srcH
+
+  const levelIndex = Math.min(chain.length - 1, Math.max(0, Math.floor(Math.log2(1 / Math.max(scaleX, scaleY)))))
+  const level = chain[levelIndex]
+  const factor = Math.pow(2, levelIndex)
+
+  const out = new Uint8Array(tileSize * tileSize * 4)
+  for (let py = 0; py < tileSize; py++) {
+    const y = srcY + (py - gutter + 0.5) / scaleY - 0.5
+    for (let px = 0; px < tileSize; px++) {
+      const x = srcX + (px - gutter + 0.5) / scaleX - 0.5
+      sample(level, factor, x, y, out, (py * tileSize + px) * 4)
+    }
+  }
+  return out
+}
+
+/**
+ * Every non-empty tile of an image for LOD 0..maxLod.
+ * @param {{ tileSize: number, gutter: number, contentSize: number, maxLod: number, baseWorldSize: number }} config
+ * @returns {{ maxLod: number, tiles: Array<{ lodLevel: number, tx: number, ty: number, srcX: number, srcY: number, srcW: number, srcH: number }> }}
+ */
+export function planImageTiles(imageWidth, imageHeight, config) {
+  const maxLod = Math.min(config.maxLod, getMaxUsefulLod(Math.max(imageWidth, imageHeight), config.contentSize))
+  const { worldWidth, worldHeight } = getImageWorldSize(imageWidth, imageHeight, config.baseWorldSize)
+
+  const tiles = []
+  for (let lodLevel = 0; lodLevel <= maxLod; lodLevel++) {
+    const grid = getTileGrid(worldWidth, worldHeight, config.baseWorldSize, lodLevel)
+    for (let ty = 0; ty < grid.tilesY; ty++) {
+      for (let tx = 0; tx < grid.tilesX; tx++) {
+        const rect = getTileSourceRect(grid, tx, ty, worldWidth, worldHeight, imageWidth, imageHeight)
+        // Same skip as tileWorker: the worker never asks for these
+        if (rect.srcW < 1 || rect.srcH < 1) continue
+        tiles.push({ lodLevel, tx, ty, srcX: rect.srcX, srcY: rect.srcY, srcW: rect.srcW, srcH: rect.srcH })
+      }
+    }
+  }
+  return { maxLod, tiles }
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest'
+import { halveImage, buildImageChain, renderTile, planImageTiles } from './pyramid'
+import { createTileConfig } from '../src/tileConfig'
+
+// RGBA image where each pixel's red = x, green = y
+function coordImage(width, height) {
+  const data = new Uint8Array(width * height * 4)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([x, y, 0, 255], (y * width + x) * 4)
+    }
+  }
+  return { data, width, height }
+}
+
+const pixel = (data, size, x, y) => Array.from(data.subarray((y * size + x) * 4, (y * size + x) * 4 + 4))
+
+describe('halveImage', () => {
+  it('averages 2×2 blocks', () => {
+    const half = halveImage(coordImage(4, 2))
+    expect(half.width).toBe(2)
+    expect(half.height).toBe(1)
+    // (0+1+0+1)/4 rounds to 1 (0.5 + 0.5 bias), (0+0+1+1)/4 likewise
+    expect(pixel(half.data, 2, 0, 0)).toEqual([1, 1, 0, 255])
+    expect(pixel(half.data, 2, 1, 0)).toEqual([3, 1, 0, 255])
+  })
+
+  it('repeats the last pixel on odd edges', () => {
+    const half = halveImage(coordImage(3, 1))
+    expect(half.width).toBe(2)
+    expect(pixel(half.data, 2, 1, 0)).toEqual([2, 0, 0, 255])
+  })
+})
+
+describe('buildImageChain', () => {
+  it('halves down to 1×1', () => {
+    const chain = buildImageChain(coordImage(5, 3))
+    expect(chain.map(l => [l.width, l.height])).toEqual([[5, 3], [3, 2], [2, 1], [1, 1]])
+  })
+})
+
+describe('renderTile', () => {
+  it('copies the source rect 1:1 when it matches the content size', () => {
+    const chain = buildImageChain(coordImage(64, 64))
+    const tile = renderTile(chain, { srcX: 8, srcY: 16, srcW: 8, srcH: 8 }, 12, 2)
+    expect(pixel(tile, 12, 2, 2)).toEqual([8, 16, 0, 255])
+    expect(pixel(tile, 12, 9, 9)).toEqual([15, 23, 0, 255])
+  })
+
+  it('fills the gutter with neighbouring pixels', () => {
+    const chain = buildImageChain(coordImage(64, 64))
+    const tile = renderTile(chain, { srcX: 8, srcY: 16, srcW: 8, srcH: 8 }, 12, 2)
+    expect(pixel(tile, 12, 0, 0)).toEqual([6, 14, 0, 255])
+    expect(pixel(tile, 12, 11, 11)).toEqual([17, 25, 0, 255])
+  })
+
+  it('stretches edge pixels past the image', () => {
+    const chain = buildImageChain(coordImage(8, 8))
+    const tile = renderTile(chain, { srcX: 0, srcY: 0, srcW: 8, srcH: 8 }, 12, 2)
+    expect(pixel(tile, 12, 0, 0)).toEqual([0, 0, 0, 255])
+    expect(pixel(tile, 12, 11, 11)).toEqual([7, 7, 0, 255])
+  })
+
+  it('samples a halved level when downscaling', () => {
+    const chain = buildImageChain(coordImage(64, 64))
+    const tile = renderTile(chain, { srcX: 0, srcY: 0, srcW: 32, srcH: 32 }, 8, 0)
+    // Each output pixel covers 4×4 source pixels centred on 4x + 1.5
+    expect(pixel(tile, 8, 1, 1)).toEqual([6, 6, 0, 255])
+  })
+})
+
+describe('planImageTiles', () => {
+  const config = createTileConfig()
+
+  it('stops at the max useful LOD', () => {
+    // 1000 px / 248 content px: LOD 2 is the last one below native resolution
+    expect(planImageTiles(1000, 1000, config).maxLod).toBe(2)
+    expect(planImageTiles(100000, 100000, config).maxLod).toBe(config.maxLod)
+  })
+
+  it('covers each LOD with the tile grid', () => {
+    const { tiles } = planImageTiles(1000, 500, config)
+    const perLod = [0, 1, 2].map(lod => tiles.filter(t => t.lodLevel === lod).length)
+    expect(perLod).toEqual([1, 2, 8])
+  })
+
+  it('tiles of a LOD cover the image exactly', () => {
+    const { tiles } = planImageTiles(1000, 600, config)
+    const lod2 = tiles.filter(t => t.lodLevel === 2)
+    const area = lod2.reduce((sum, t) => sum + t.srcW * t.srcH, 0)
+    expect(area).toBe(1000 * 600)
+  })
+})
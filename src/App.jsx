@@ -1,53 +1,140 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import { Canvas, useThree, useFrame } from '@react-three/fiber'
 import { FigmaControlsComponent } from './FigmaControlsComponent'
+import { ManifestForm } from './ManifestForm'
 import { TileManager } from './TileManager'
-import { TileDataStore } from './TileDataStore'
+import { TileDataStore, getTileGroupId } from './TileDataStore'
 import { VisibilityChecker } from './VisibilityChecker'
-import { getLoaderPool } from './TileLoaderPool'
-import { selectImageLod } from './lodSelection'
+import { getLoaderPool, closeTileData } from './TileLoaderPool'
+import { LodTransitions } from './LodTransitions'
+import { selectImageLodForConfig } from './lodSelection'
+import { createTileConfig, parseTileConfigParams } from './tileConfig'
+import { getImageWorldSize, getTileGrid, getTileRangeCount, isFullTileRange } from './tileGrid'
+import { useImageCollection } from './useImageCollection'
 import './App.css'
 
-// Load all images from public folder
-const imageFiles = import.meta.glob('/public/*.jpg', { eager: true, query: '?url', import: 'default' })
-const images = Object.keys(imageFiles).map(path => imageFiles[path])
-const IMAGE_COUNT = images.length
+// Tile pipeline config — override via query string, e.g. ?tileSize=512 or ?tileSize=128&maxLayers=8
+const TILE_CONFIG = createTileConfig(parseTileConfigParams(window.location.search))
 
 // Grid layout
-const GRID_COLS = Math.ceil(Math.sqrt(IMAGE_COUNT))
-const BASE_WORLD_SIZE = 4
+const BASE_WORLD_SIZE = TILE_CONFIG.baseWorldSize
 const GAP = 0.5
 
-// Random rotation for each image (some at 0, some at 45 degrees, etc.)
-const imageRotations = images.map((_, i) => {
-  // Every 10th image rotated by 45 degrees for testing
-  return (i % 10 === 0) ? Math.PI / 4 : 0
-})
-
-// Per-image scale (some images are larger)
-const imageScales = images.map((_, i) => {
-  // Every 40th image scaled 10x for testing
-  return (i % 40 === 0) ? 10 : 1
-})
-
-// LOD config
-const TILE_SIZE = 256
-const MAX_LOD = 4
-
-function getImagePosition(imageIndex) {
-  const col = imageIndex % GRID_COLS
-  const row = Math.floor(imageIndex / GRID_COLS)
+/**
+ * Grid layout of an image collection (see useImageCollection).
+ * Manifests give each image's rotation and scale; the bundled fallback
+ * keeps the test transforms instead.
+ */
+function createGridLayout(collection) {
+  const { images, bundled } = collection
+  return {
+    images,
+    count: images.length,
+    cols: Math.max(1, Math.ceil(Math.sqrt(images.length))),
+    // Every 10th image rotated by 45 degrees for testing
+    rotations: images.map((image, i) => bundled ? ((i % 10 === 0) ? Math.PI / 4 : 0) : image.rotation),
+    // Every 40th image scaled 10x for testing
+    scales: images.map((image, i) => bundled ? ((i % 40 === 0) ? 10 : 1) : image.scale),
+  }
+}
+
+// Atlas compaction budget (tiles moved per idle frame)
+const COMPACT_MOVES_PER_FRAME = 16
+
+// LODs with more tiles than this only request the tiles on screen (plus a margin)
+const PARTIAL_LOAD_MIN_TILES = 16
+const PARTIAL_LOAD_MARGIN = 1
+const EMPTY_TILE_RANGE = { x0: 0, y0: 0, x1: 0, y1: 0 }
+
+// Everything the store keeps about an image's shape (see TileDataStore.setImageInfo)
+function getImageInfoForSize(imageWidth, imageHeight) {
+  return { ...getImageWorldSize(imageWidth, imageHeight, BASE_WORLD_SIZE), imageWidth, imageHeight }
+}
+
+/**
+ * Ask a worker for an image's pixel size ahead of its tile loads, so the
+ * first deep LOD requested is already capped at its native resolution.
+ */
+function probeImageSize(layout, imageIndex, tileDataStore) {
+  tileDataStore.setProbing(imageIndex)
+  getLoaderPool(TILE_CONFIG).probeImageSize(layout.images[imageIndex].url, imageIndex)
+    .then(({ imageWidth, imageHeight }) => {
+      tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(imageWidth, imageHeight))
+    })
+    .catch(err => {
+      if (err.message === 'cancelled') {
+        tileDataStore.clearProbe(imageIndex)
+        return
+      }
+      tileDataStore.setProbeFailed(imageIndex)
+      console.warn(`Failed to probe image ${imageIndex}:`, err)
+    })
+}
+
+function getImagePosition(layout, imageIndex) {
+  const col = imageIndex % layout.cols
+  const row = Math.floor(imageIndex / layout.cols)
   const x = col * (BASE_WORLD_SIZE + GAP)
   const y = -row * (BASE_WORLD_SIZE + GAP)
   return { x, y }
 }
 
-function processTiles(data, tileManager) {
-  const { imageIndex, lodLevel, tileWorldSize, tiles, bitmaps } = data
+// Worker pool figures for the stats panel
+function getPoolStats(pool) {
+  const { workers, busy, queued, tilesPerSecond, cache } = pool.getStats()
+  const lookups = cache.hits + cache.misses
+  const hitRate = lookups > 0 ? Math.round(cache.hits / lookups * 100) : 0
+  return {
+    workers: `${busy}/${workers} busy, ${queued} queued`,
+    decodeRate: `${Math.round(tilesPerSecond)} tiles/s`,
+    sourceCache: `${cache.entries} images, ${(cache.bytes / 1024 / 1024).toFixed(1)} MB, ${hitRate}% hits`
+  }
+}
+
+// Load error figures for the stats panel
+function getFailureStats(tileDataStore) {
+  const { retrying, failed } = tileDataStore.getFailureCounts()
+  return `${failed} failed, ${retrying} retrying`
+}
+
+// Breaks distance ties between an image's LODs (higher first) without
+// reordering different images
+const LOD_PRIORITY_STEP = 1e-6
+
+/**
+ * Load priority, recomputed every frame: images on screen before those only
+ * in the cancel margin, then nearest the view centre first. On-screen
+ * priorities lie in (1, 2], off-screen ones in (0, 1].
+ */
+function getLoadPriority(visibilityChecker, imageIndex, lodLevel, cameraX, cameraY, onScreen = true) {
+  const { centerX, centerY } = visibilityChecker.getImageBounds(imageIndex)
+  const closeness = 1 / (1 + Math.hypot(centerX - cameraX, centerY - cameraY))
+  return (onScreen ? 1 : 0) + closeness + lodLevel * LOD_PRIORITY_STEP
+}
 
-  const { x: imageX, y: imageY } = getImagePosition(imageIndex)
-  const rotation = imageRotations[imageIndex] || 0
-  const scale = imageScales[imageIndex] || 1
+/**
+ * Tiles of an image at a LOD that overlap the camera view, or null when the
+ * whole image should be requested (geometry unknown yet, or few tiles).
+ * An image with no visible tiles gets an empty range.
+ */
+function getRequestTileRange(imageIndex, lodLevel, cameraBounds, visibilityChecker, tileDataStore) {
+  const info = tileDataStore.getImageInfo(imageIndex)
+  if (!info) return null
+  const grid = getTileGrid(info.worldWidth, info.worldHeight, BASE_WORLD_SIZE, lodLevel)
+  if (grid.tilesX * grid.tilesY <= PARTIAL_LOAD_MIN_TILES) return null
+
+  return visibilityChecker.getVisibleTileRange(
+    imageIndex, cameraBounds, lodLevel, info.worldWidth, info.worldHeight, PARTIAL_LOAD_MARGIN
+  ) ?? EMPTY_TILE_RANGE
+}
+
+function processTiles(data, layout, tileManager, tileDataStore) {
+  const { imageIndex, lodLevel, tileWorldSize, tilesX, tiles, bitmaps, mipBitmaps, tileLevels } = data
+
+  const { x: imageX, y: imageY } = getImagePosition(layout, imageIndex)
+  const rotation = layout.rotations[imageIndex] || 0
+  const scale = layout.scales[imageIndex] || 1
+  const groupId = getTileGroupId(imageIndex, lodLevel)
   const instances = []
   const tileKeyList = []
 
@@ -60,12 +147,29 @@ function processTiles(data, tileManager) {
 
   let complete = true
 
-  for (let i = 0; i < tiles.length; i++) {
-    const { tx, ty, tileWorldW, tileWorldH } = tiles[i]
-    const bitmap = bitmaps[i]
+  // Compressed atlases get block data per mip level instead of bitmaps
+  const received = tiles.map((tile, i) => {
+    const [image, ...mips] = tileLevels?.[i] ?? [bitmaps[i], ...(mipBitmaps?.[i] ?? [])]
+    return { ...tile, tileKey: `${groupId}_${tile.tx}_${tile.ty}`, image, mips }
+  })
 
-    const tileKey = `${imageIndex}_lod${lodLevel}_${tx}_${ty}`
-    const slot = tileManager.uploadTile(tileKey, bitmap)
+  // Tiles an earlier partial load already delivered are dropped
+  const groupTiles = []
+  for (const tile of received) {
+    if (tileDataStore.hasTile(imageIndex, lodLevel, tile.tx, tile.ty)) {
+      for (const level of [tile.image, ...tile.mips]) level.close?.()
+    } else {
+      groupTiles.push(tile)
+    }
+  }
+
+  // Upload the image+LOD as one group so its tiles stay together in the atlas
+  // (TileManager queues the texels and closes the bitmaps once written)
+  const slots = tileManager.uploadTileGroup(groupId, groupTiles, tilesX)
+
+  for (let i = 0; i < groupTiles.length; i++) {
+    const { tx, ty, tileWorldW, tileWorldH, tileKey } = groupTiles[i]
+    const slot = slots[i]
 
     if (slot) {
       tileKeyList.push(tileKey)
@@ -85,6 +189,9 @@ function processTiles(data, tileManager) {
       const worldY = imageY + rotatedY
 
       instances.push({
+        tileKey,
+        tx,
+        ty,
         slot,
         worldX,
         worldY,
@@ -95,14 +202,12 @@ function processTiles(data, tileManager) {
     } else {
       complete = false
     }
-
-    bitmap.close()
   }
 
   return { instances, tileKeyList, complete }
 }
 
-function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange }) {
+function TileSystem({ layout, onTileCountChange, onVisibleImagesChange, onStatsChange }) {
   const { gl, scene, camera } = useThree()
   const tileManagerRef = useRef(null)
   const visibilityCheckerRef = useRef(null)
@@ -111,40 +216,54 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
   const visibleImagesRef = useRef([])
   const needsRebuildRef = useRef(false)
   const renderedSetRef = useRef(new Set())
+  const lodTransitionsRef = useRef(null)
+  const tileUploadsRef = useRef([])
   const initRef = useRef(false)
 
   useEffect(() => {
     if (initRef.current) return
     initRef.current = true
 
-    const tileManager = new TileManager(gl)
+    const tileManager = new TileManager(gl, TILE_CONFIG)
     tileManagerRef.current = tileManager
+    getLoaderPool(TILE_CONFIG).setCompressedFormat(tileManager.compressedFormat)
     scene.add(tileManager.getMesh())
 
     const visibilityChecker = new VisibilityChecker(
-      IMAGE_COUNT,
-      GRID_COLS,
+      layout.count,
+      layout.cols,
       BASE_WORLD_SIZE,
       GAP,
-      imageRotations,
-      imageScales
+      layout.rotations,
+      layout.scales
     )
     visibilityCheckerRef.current = visibilityChecker
 
-    const tileDataStore = new TileDataStore()
+    const tileDataStore = new TileDataStore(TILE_CONFIG.maxLod)
     tileDataStoreRef.current = tileDataStore
 
+    // Manifest sizes give each image's shape before its first tiles arrive
+    layout.images.forEach(({ width, height }, imageIndex) => {
+      if (width && height) tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(width, height))
+    })
+
+    lodTransitionsRef.current = new LodTransitions(TILE_CONFIG.lodFadeMs)
+    const tileUploads = tileUploadsRef.current
+
     // Don't preload all images - let visibility system handle it
     // Initial visible images will be loaded in useFrame
 
     return () => {
+      initRef.current = false
+      getLoaderPool(TILE_CONFIG).cancelAll()
+      discardTileUploads(tileUploads)
       scene.remove(tileManager.getMesh())
       tileManager.dispose()
       visibilityChecker.dispose()
     }
-  }, [gl, scene])
+  }, [gl, scene, layout])
 
-  useFrame(() => {
+  useFrame((state, delta) => {
     const tileManager = tileManagerRef.current
     const visibilityChecker = visibilityCheckerRef.current
     const tileDataStore = tileDataStoreRef.current
@@ -169,9 +288,17 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
     let anyLodChanged = false
 
     const perImageLod = new Map()
-    const pool = getLoaderPool()
+    const pool = getLoaderPool(TILE_CONFIG)
+    // Slow frames shrink the worker pool
+    pool.reportFrameTime(delta * 1000)
     for (const idx of visibleImages) {
-      const targetLod = selectImageLod(zoom, TILE_SIZE, BASE_WORLD_SIZE, MAX_LOD, undefined, imageScales[idx] || 1)
+      // Capped at the image's native resolution once its size is known
+      let targetLod = selectImageLodForConfig(
+        zoom, TILE_CONFIG, tileDataStore.getImagePixelSize(idx), layout.scales[idx] || 1
+      )
+      // Size unknown: probe it, and load only LOD 0 (which reports it too) meanwhile
+      if (targetLod > 0 && tileDataStore.needsProbe(idx)) probeImageSize(layout, idx, tileDataStore)
+      if (tileDataStore.isProbing(idx)) targetLod = 0
       perImageLod.set(idx, targetLod)
 
       const prevLod = imageLodCache.get(idx)
@@ -185,26 +312,45 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
       }
     }
 
-    // Clean stale entries for images no longer visible
+    // Clean stale entries for images no longer visible, and cancel loads
+    // for images that have left the view and its grace margin
+    const visibleSet = new Set(visibleImages)
     if (visibilityChanged) {
-      const visibleSet = new Set(visibleImages)
       for (const idx of imageLodCache.keys()) {
         if (!visibleSet.has(idx)) {
           imageLodCache.delete(idx)
         }
       }
+      pool.cancelImagesExcept(new Set(visibilityChecker.getVisibleImages(camera, TILE_CONFIG.cancelMargin)))
     }
 
-    // Group images that need loading by their target LOD
+    // Queued loads follow the camera
+    const camX = camera.position.x
+    const camY = camera.position.y
+    const getPriority = (idx, lodLevel) =>
+      getLoadPriority(visibilityChecker, idx, lodLevel, camX, camY, visibleSet.has(idx))
+    pool.updatePriorities(getPriority)
+
+    // Group images that need loading by their target LOD. Large grids only
+    // request the tiles in view, so pans can leave on-screen tiles missing.
     const loadByLod = new Map()
+    const tileRanges = new Map()
+    const cameraBounds = visibilityChecker.getCameraBounds(camera)
+    const now = performance.now()
     for (const idx of visibleImages) {
       const targetLod = perImageLod.get(idx)
-      if (!tileDataStore.has(idx, targetLod) && !tileDataStore.isLoading(idx, targetLod)) {
-        if (!loadByLod.has(targetLod)) {
-          loadByLod.set(targetLod, [])
-        }
-        loadByLod.get(targetLod).push(idx)
+      if (tileDataStore.has(idx, targetLod) || tileDataStore.isLoading(idx, targetLod)) continue
+      // Failed images wait out their backoff; given-up ones are never requested again
+      if (!tileDataStore.canLoad(idx, now)) continue
+
+      const range = getRequestTileRange(idx, targetLod, cameraBounds, visibilityChecker, tileDataStore)
+      if (range && (getTileRangeCount(range) === 0 || tileDataStore.hasTileRange(idx, targetLod, range))) continue
+      tileRanges.set(idx, range)
+
+      if (!loadByLod.has(targetLod)) {
+        loadByLod.set(targetLod, [])
       }
+      loadByLod.get(targetLod).push(idx)
     }
 
     // Evict stale tiles only when we need room for new ones
@@ -214,30 +360,46 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
       for (const [lodLevel, indices] of loadByLod) {
         // Conservative: 4^lodLevel tiles per image (1 at LOD0, 4 at LOD1, 16 at LOD2...)
         const tilesPerImage = Math.min(Math.pow(4, lodLevel), 64)
-        estimatedNeeded += indices.length * tilesPerImage
+        for (const idx of indices) {
+          const range = tileRanges.get(idx)
+          estimatedNeeded += range ? getTileRangeCount(range) : tilesPerImage
+        }
       }
       const freeSlots = tileManager.getTotalSlots() - tileManager.getUsedSlotCount()
       if (freeSlots < estimatedNeeded) {
         tileDataStore.evictStale(renderedSetRef.current, tileManager, visibleImages, estimatedNeeded)
       }
+    } else if (tileManager.compact(tileDataStore, COMPACT_MOVES_PER_FRAME) > 0) {
+      // Nothing to load this frame: pack the atlas down a little
+      needsRebuildRef.current = true
+    } else {
+      // Fully packed: release empty layers at the top of the atlas
+      tileManager.shrink()
     }
 
-    const camX = camera.position.x
-    const camY = camera.position.y
     for (const [lodLevel, imageIndices] of loadByLod) {
-      loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStore, camX, camY, () => {
+      loadImagesAtLod(layout, imageIndices, lodLevel, tileManager, tileUploadsRef.current, tileDataStore, getPriority, tileRanges, () => {
         needsRebuildRef.current = true
       })
     }
 
-    if (visibilityChanged || anyLodChanged) {
+    // Store streamed tiles, then upload a frame's budget of them
+    if (drainTileUploads(tileUploadsRef.current, layout, tileManager, tileDataStore)) {
+      needsRebuildRef.current = true
+    }
+    if (flushTileUploads(tileManager, tileDataStore)) {
+      needsRebuildRef.current = true
+    }
+
+    // Keep redrawing while any image is cross-fading between LODs
+    if (visibilityChanged || anyLodChanged || lodTransitionsRef.current.hasActive()) {
       needsRebuildRef.current = true
     }
 
     // Rebuild instances if needed
     if (needsRebuildRef.current) {
       needsRebuildRef.current = false
-      rebuildInstances(visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef)
+      rebuildInstances(layout, visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef, lodTransitionsRef.current)
       onTileCountChange?.(tileManager.getTileCount())
 
       const lodValues = [...perImageLod.values()]
@@ -250,7 +412,11 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
         currentLod: minLod === maxLod ? minLod : `${minLod}-${maxLod}`,
         tilesRendered: tileManager.getTileCount(),
         slotsUsed: usedSlots,
-        slotsTotal: totalSlots
+        slotsTotal: totalSlots,
+        atlasLayers: `${tileManager.getLayerCount()}/${tileManager.maxLayers}`,
+        atlasFormat: tileManager.getAtlasFormatName(),
+        ...getPoolStats(pool),
+        failures: getFailureStats(tileDataStore)
       }
       onStatsChange?.(stats)
     }
@@ -259,8 +425,89 @@ function TileSystem({ onTileCountChange, onVisibleImagesChange, onStatsChange })
   return null
 }
 
-async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStore, cameraX, cameraY, onProgress = null) {
-  const pool = getLoaderPool()
+/**
+ * Allocate and store one streamed batch of a load's tiles: every tile that got
+ * an atlas slot (missing ones are requested again on a later frame). They are
+ * drawn once TileManager.flushUploads has written them.
+ * @returns {boolean} Whether every tile got a slot
+ */
+function storeTileBatch(batch, layout, tileManager, tileDataStore) {
+  const { imageIndex, lodLevel, imageWidth, imageHeight, tilesX, tilesY } = batch
+  tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(imageWidth, imageHeight))
+  tileDataStore.setTileGrid(imageIndex, lodLevel, tilesX, tilesY)
+
+  const { instances, tileKeyList, complete } = processTiles(batch, layout, tileManager, tileDataStore)
+  tileDataStore.addTiles(imageIndex, lodLevel, instances, tileKeyList)
+  tileDataStore.addPendingUploads(imageIndex, lodLevel, tileKeyList)
+  return complete
+}
+
+// After a load's last batch: the LOD is complete if it covered the whole image and every tile
+// found a slot, or if earlier clipped loads have filled in the rest of the grid
+function finishTileLoad(load, result, tileDataStore) {
+  const { imageIndex, lodLevel, tilesX, tilesY, tileRange } = result
+  const complete = load.placed && isFullTileRange({ tilesX, tilesY }, tileRange)
+  tileDataStore.setTileGrid(imageIndex, lodLevel, tilesX, tilesY)
+  tileDataStore.addEmptyTiles(imageIndex, lodLevel, result.emptyTiles ?? [])
+  tileDataStore.addTiles(imageIndex, lodLevel, [], [], complete)
+  load.finish()
+}
+
+/**
+ * Store queued tile batches in arrival order. Only slots are allocated here;
+ * the atlas writes are budgeted by TileManager.flushUploads.
+ * @param {Array<{ load: object, batch?: object, result?: object }>} queue - Batches, and each load's result after its last one
+ * @returns {boolean} Whether anything was stored
+ */
+function drainTileUploads(queue, layout, tileManager, tileDataStore) {
+  const changed = queue.length > 0
+  for (const item of queue.splice(0)) {
+    if (item.result) {
+      finishTileLoad(item.load, item.result, tileDataStore)
+    } else if (!storeTileBatch(item.batch, layout, tileManager, tileDataStore)) {
+      item.load.placed = false
+    }
+  }
+  return changed
+}
+
+// Write queued tiles to the atlas within the frame's budget, and mark them drawable
+function flushTileUploads(tileManager, tileDataStore) {
+  const uploaded = tileManager.flushUploads({
+    maxTiles: TILE_CONFIG.uploadTilesPerFrame,
+    maxMs: TILE_CONFIG.uploadMsPerFrame
+  })
+  tileDataStore.markUploaded(uploaded)
+  return uploaded.length > 0
+}
+
+// Queue a streamed batch or a load's result for the atlas it was loaded for.
+// Once that atlas is disposed nothing is queued: bitmaps are closed and the load finishes.
+function queueTileUpload(uploads, tileManager, item) {
+  if (!tileManager.disposed) {
+    uploads.push(item)
+    return
+  }
+  if (item.batch) closeTileData(item.batch)
+  item.load.finish()
+}
+
+// Queued batches of a torn-down atlas: close their bitmaps, and let their loads finish
+function discardTileUploads(queue) {
+  for (const { load, batch } of queue.splice(0)) {
+    if (batch) closeTileData(batch)
+    load.finish()
+  }
+}
+
+/**
+ * @param {TileManager} tileManager - Atlas the tiles are for; checked for disposal as they arrive
+ * @param {Array<object>} uploads - Where streamed tiles queue for upload (see drainTileUploads)
+ * @param {(imageIndex: number, lodLevel: number) => number} getPriority - Queue priority (see getLoadPriority)
+ * @param {Map<number, object | null>} [tileRanges] - Per image: only load these tiles (see tileGrid)
+ */
+async function loadImagesAtLod(layout, imageIndices, lodLevel, tileManager, uploads, tileDataStore, getPriority, tileRanges = new Map(), onProgress = null) {
+  const pool = getLoaderPool(TILE_CONFIG)
 
   // Update requested LOD for all images (for prioritization)
   imageIndices.forEach(idx => tileDataStore.setRequestedLod(idx, lodLevel))
@@ -279,12 +526,7 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
       return
     }
 
-    // Priority: LOD as primary, distance-from-center as secondary (0-1 fractional)
-    const { x, y } = getImagePosition(imageIndex)
-    const dx = x - cameraX
-    const dy = y - cameraY
-    const dist = Math.sqrt(dx * dx + dy * dy)
-    const priority = lodLevel + 1 / (1 + dist)
+    const priority = getPriority(imageIndex, lodLevel)
 
     const promise = (async () => {
       try {
@@ -293,33 +535,29 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
           return
         }
 
-        const data = await pool.loadImageTiles(images[imageIndex], imageIndex, lodLevel, priority)
-
-        // Check again after async load - maybe a higher LOD was requested
-        if (!tileDataStore.shouldPrioritize(imageIndex, lodLevel)) {
-          // Still save the data but don't trigger rebuild
-          const { instances, tileKeyList, complete } = processTiles(data, tileManager)
-          if (complete) {
-            tileDataStore.set(imageIndex, lodLevel, instances, tileKeyList)
-          } else {
-            // Incomplete — free partial uploads to avoid leaking atlas slots
-            for (const tk of tileKeyList) tileManager.freeTile(tk)
-          }
-          return
-        }
-
-        const { instances, tileKeyList, complete } = processTiles(data, tileManager)
-        if (complete) {
-          tileDataStore.set(imageIndex, lodLevel, instances, tileKeyList)
-          onProgress?.()
-        } else {
-          // Incomplete — free partial uploads, will be retried next frame
-          for (const tk of tileKeyList) tileManager.freeTile(tk)
-          onProgress?.() // still trigger rebuild to re-evaluate
-        }
+        // Tiles are uploaded as they stream in; the load stays in progress until the last is stored
+        const tileRange = tileRanges.get(imageIndex) ?? null
+        let load
+        const stored = new Promise(resolve => {
+          load = { placed: true, finish: resolve }
+        })
+        const result = await pool.loadImageTiles(
+          layout.images[imageIndex].url, imageIndex, lodLevel, priority, tileRange,
+          batch => queueTileUpload(uploads, tileManager, { load, batch })
+        )
+        queueTileUpload(uploads, tileManager, { load, result })
+        await stored
+        tileDataStore.clearFailure(imageIndex)
       } catch (err) {
         if (err.message !== 'cancelled') {
-          console.error(`Failed to load image ${imageIndex} at LOD ${lodLevel}:`, err)
+          tileDataStore.recordFailure(imageIndex, err, performance.now())
+          const { attempts } = tileDataStore.getFailure(imageIndex)
+          if (tileDataStore.hasFailed(imageIndex)) {
+            console.error(`Giving up on image ${imageIndex} after ${attempts} failed loads:`, err)
+            onProgress?.() // draw its placeholder
+          } else {
+            console.warn(`Failed to load image ${imageIndex} at LOD ${lodLevel} (attempt ${attempts}):`, err)
+          }
         }
       } finally {
         tileDataStore.clearLoadingPromise(imageIndex, lodLevel)
@@ -333,44 +571,86 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
   await Promise.all(promises)
 }
 
-function rebuildInstances(visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef) {
+// One placeholder tile stretched over an image that failed to load
+function addPlaceholder(layout, imageIndex, tileManager, tileDataStore) {
+  const slot = tileManager.getPlaceholderSlot()
+  if (!slot) return
+  const { x, y } = getImagePosition(layout, imageIndex)
+  const rotation = layout.rotations[imageIndex] || 0
+  const scale = layout.scales[imageIndex] || 1
+  const info = tileDataStore.getImageInfo(imageIndex)
+  const w = (info?.worldWidth ?? BASE_WORLD_SIZE) * scale
+  const h = (info?.worldHeight ?? BASE_WORLD_SIZE) * scale
+
+  // Image center, rotated around its top-left origin like its tiles
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
+  const centerX = x + (w / 2) * cos + (h / 2) * sin
+  const centerY = y + (w / 2) * sin - (h / 2) * cos
+  tileManager.addInstance(slot, centerX, centerY, w, h, rotation)
+}
+
+function rebuildInstances(layout, visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef, lodTransitions) {
   tileManager.clearInstances()
 
   const renderedSet = new Set()
+  const now = performance.now()
 
   for (const imageIndex of visibleImages) {
     const targetLod = perImageLod.get(imageIndex) ?? 0
-    // Use best available LOD (target or fallback)
+    // Use best fully loaded LOD (target or fallback) as the base
     const availableLod = tileDataStore.getBestAvailableLod(imageIndex, targetLod)
-    if (availableLod < 0) continue
-
-    renderedSet.add(`${imageIndex}_${availableLod}`)
 
-    const instances = tileDataStore.get(imageIndex, availableLod)
-    if (!instances) continue
-
-    for (const { slot, worldX, worldY, tileWorldW, tileWorldH, rotation } of instances) {
-      tileManager.addInstance(slot, worldX, worldY, tileWorldW, tileWorldH, rotation)
+    // Partially loaded LODs above it are drawn on top, tile by tile as they arrive
+    const overlays = []
+    for (let lod = availableLod + 1; lod <= targetLod; lod++) {
+      if (tileDataStore.hasTiles(imageIndex, lod)) overlays.push(lod)
+    }
+    lodTransitions.setOverlays(imageIndex, overlays)
+
+    // While fading, the previous LOD stays rendered (and so isn't evicted) underneath
+    if (availableLod >= 0) lodTransitions.setLod(imageIndex, availableLod, now)
+    const layers = [
+      ...lodTransitions.getLayers(imageIndex, now),
+      ...overlays.map(lod => ({ lod, opacity: 1 }))
+    ]
+    let drawn = false
+    for (const { lod, opacity } of layers) {
+      // Tiles still queued for upload would sample empty texels
+      const instances = tileDataStore.getUploaded(imageIndex, lod)
+      if (!instances) continue
+      renderedSet.add(`${imageIndex}_${lod}`)
+      drawn = true
+
+      for (const { slot, worldX, worldY, tileWorldW, tileWorldH, rotation } of instances) {
+        tileManager.addInstance(slot, worldX, worldY, tileWorldW, tileWorldH, rotation, opacity)
+      }
+    }
+    if (!drawn && tileDataStore.hasFailed(imageIndex)) {
+      addPlaceholder(layout, imageIndex, tileManager, tileDataStore)
     }
   }
 
+  lodTransitions.retain(visibleImages)
+
   renderedSetRef.current = renderedSet
   tileManager.update()
 }
 
-function Scene({ onTileCountChange, onVisibleImagesChange, onStatsChange }) {
+function Scene({ layout, onTileCountChange, onVisibleImagesChange, onStatsChange }) {
   const controlsRef = useRef()
 
-  const totalCols = GRID_COLS
-  const totalRows = Math.ceil(IMAGE_COUNT / GRID_COLS)
+  const totalCols = layout.cols
+  const totalRows = Math.ceil(layout.count / layout.cols)
   const centerX = ((totalCols - 1) * (BASE_WORLD_SIZE + GAP)) / 2
   const centerY = -((totalRows - 1) * (BASE_WORLD_SIZE + GAP)) / 2
 
   return (
     <>
-      <SetupCamera controlsRef={controlsRef} />
+      <SetupCamera layout={layout} controlsRef={controlsRef} />
       <FigmaControlsComponent ref={controlsRef} />
       <TileSystem
+        layout={layout}
         onTileCountChange={onTileCountChange}
         onVisibleImagesChange={onVisibleImagesChange}
         onStatsChange={onStatsChange}
@@ -380,41 +660,50 @@ function Scene({ onTileCountChange, onVisibleImagesChange, onStatsChange }) {
   )
 }
 
-function SetupCamera({ controlsRef }) {
+function SetupCamera({ layout, controlsRef }) {
   const { camera } = useThree()
 
   useEffect(() => {
-    const totalCols = GRID_COLS
-    const totalRows = Math.ceil(IMAGE_COUNT / GRID_COLS)
+    const totalCols = layout.cols
+    const totalRows = Math.ceil(layout.count / layout.cols)
     const centerX = ((totalCols - 1) * (BASE_WORLD_SIZE + GAP)) / 2
     const centerY = -((totalRows - 1) * (BASE_WORLD_SIZE + GAP)) / 2
 
     camera.position.set(centerX, centerY, 100)
     camera.up.set(0, 1, 0)
     camera.lookAt(centerX, centerY, 0)
-  }, [camera, controlsRef])
+  }, [camera, controlsRef, layout])
 
   return null
 }
 
 function App() {
-  const [stats, setStats] = useState({ visibleImages: 0, currentLod: 0, tilesRendered: 0, slotsUsed: 0, slotsTotal: 0 })
+  const [stats, setStats] = useState({ visibleImages: 0, currentLod: 0, tilesRendered: 0, slotsUsed: 0, slotsTotal: 0, atlasLayers: '', atlasFormat: '', workers: '', decodeRate: '', sourceCache: '', failures: '' })
+  const { collection, manifestUrl, error, setManifestUrl } = useImageCollection()
+  const layout = useMemo(() => collection && createGridLayout(collection), [collection])
 
   return (
     <div className="container">
       <div className="controls-info">
-        <p>Images: {IMAGE_COUNT}</p>
+        <p>Images: {layout ? layout.count : 'loading…'}</p>
         <p>Visible: {stats.visibleImages}</p>
         <p>LOD: {stats.currentLod}</p>
         <p>Tiles: {stats.tilesRendered}</p>
         <p>Slots: {stats.slotsUsed}/{stats.slotsTotal}</p>
+        <p>Atlas layers: {stats.atlasLayers}</p>
+        <p>Atlas format: {stats.atlasFormat}</p>
+        <p>Workers: {stats.workers}</p>
+        <p>Decode: {stats.decodeRate}</p>
+        <p>Source cache: {stats.sourceCache}</p>
+        <p>Load errors: {stats.failures}</p>
+        <ManifestForm manifestUrl={manifestUrl} error={error} onLoad={setManifestUrl} />
       </div>
       <Canvas
         orthographic
         camera={{ position: [0, 0, 100], zoom: 40, up: [0, 1, 0] }}
         frameloop="always"
       >
-        <Scene onStatsChange={setStats} />
+        {layout && <Scene key={collection.id} layout={layout} onStatsChange={setStats} />}
       </Canvas>
     </div>
   )
@@ -1,27 +1,30 @@
-import { useEffect, useRef, useState } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import { Canvas, useThree, useFrame } from '@react-three/fiber'
 import * as THREE from 'three'
 import { FigmaControlsComponent } from './FigmaControlsComponent'
+import { ManifestForm } from './ManifestForm'
 import { TileManager } from './TileManager'
-import { TileDataStore } from './TileDataStore'
-import { getLoaderPool } from './TileLoaderPool'
-import { selectLod } from './lodSelection'
+import { TileDataStore, getTileGroupId } from './TileDataStore'
+import { getLoaderPool, closeTileData } from './TileLoaderPool'
+import { LodTransitions } from './LodTransitions'
+import { selectImageLodForConfig } from './lodSelection'
+import { createTileConfig, parseTileConfigParams } from './tileConfig'
+import { getImageWorldSize } from './tileGrid'
+import { useImageCollection } from './useImageCollection'
 import './App.css'
 
-// Load all images from public folder
-const imageFiles = import.meta.glob('/public/*.jpg', { eager: true, query: '?url', import: 'default' })
-const images = Object.keys(imageFiles).map(path => imageFiles[path])
-const IMAGE_COUNT = images.length
+// Tile pipeline config — override via query string, e.g. ?tileSize=512 or ?tileSize=128&maxLayers=8
+const TILE_CONFIG = createTileConfig(parseTileConfigParams(window.location.search))
 
 // Stack configuration
 const IMAGES_PER_STACK = 100
-const STACK_COUNT = Math.ceil(IMAGE_COUNT / IMAGES_PER_STACK)
-const STACK_COLS = Math.ceil(Math.sqrt(STACK_COUNT))
 
 // Layout
-const BASE_WORLD_SIZE = 4
+const BASE_WORLD_SIZE = TILE_CONFIG.baseWorldSize
 const GAP = 30.0
 const STACK_OFFSET_RADIUS = 10.5
+// Half the z step between stacked images
+const LOD_FADE_Z_OFFSET = 0.0005
 
 // Pre-generate random offsets for each image (seeded by index for consistency)
 function seededRandom(seed) {
@@ -29,19 +32,54 @@ function seededRandom(seed) {
   return x - Math.floor(x)
 }
 
-const imageOffsets = images.map((_, i) => {
-  const angle = seededRandom(i * 2) * Math.PI * 2
-  const radius = seededRandom(i * 2 + 1) * STACK_OFFSET_RADIUS
+/**
+ * Stacked layout of an image collection (see useImageCollection). Each
+ * image's manifest rotation is added to its random tilt in the stack.
+ */
+function createStackLayout(collection) {
+  const { images } = collection
+  const stackCount = Math.ceil(images.length / IMAGES_PER_STACK)
   return {
-    x: Math.cos(angle) * radius,
-    y: Math.sin(angle) * radius,
-    rotation: (seededRandom(i * 3) - 0.5) * 0.1
+    images,
+    count: images.length,
+    stackCount,
+    stackCols: Math.max(1, Math.ceil(Math.sqrt(stackCount))),
+    offsets: images.map((image, i) => {
+      const angle = seededRandom(i * 2) * Math.PI * 2
+      const radius = seededRandom(i * 2 + 1) * STACK_OFFSET_RADIUS
+      return {
+        x: Math.cos(angle) * radius,
+        y: Math.sin(angle) * radius,
+        rotation: (seededRandom(i * 3) - 0.5) * 0.1 + image.rotation
+      }
+    }),
   }
-})
+}
 
-// LOD config
-const TILE_SIZE = 256
-const MAX_LOD = 4
+// Atlas compaction budget (tiles moved per idle frame)
+const COMPACT_MOVES_PER_FRAME = 16
+
+// Everything the store keeps about an image's shape (see TileDataStore.setImageInfo)
+function getImageInfoForSize(imageWidth, imageHeight) {
+  return { ...getImageWorldSize(imageWidth, imageHeight, BASE_WORLD_SIZE), imageWidth, imageHeight }
+}
+
+// Ask a worker for an image's pixel size ahead of its tile loads (see App.jsx)
+function probeImageSize(layout, imageIndex, tileDataStore) {
+  tileDataStore.setProbing(imageIndex)
+  getLoaderPool(TILE_CONFIG).probeImageSize(layout.images[imageIndex].url, imageIndex)
+    .then(({ imageWidth, imageHeight }) => {
+      tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(imageWidth, imageHeight))
+    })
+    .catch(err => {
+      if (err.message === 'cancelled') {
+        tileDataStore.clearProbe(imageIndex)
+        return
+      }
+      tileDataStore.setProbeFailed(imageIndex)
+      console.warn(`Failed to probe image ${imageIndex}:`, err)
+    })
+}
 
 // Get stack index and position within stack for an image
 function getImageStackInfo(imageIndex) {
@@ -51,20 +89,20 @@ function getImageStackInfo(imageIndex) {
 }
 
 // Get world position for a stack
-function getStackPosition(stackIndex) {
-  const col = stackIndex % STACK_COLS
-  const row = Math.floor(stackIndex / STACK_COLS)
+function getStackPosition(layout, stackIndex) {
+  const col = stackIndex % layout.stackCols
+  const row = Math.floor(stackIndex / layout.stackCols)
   const x = col * (BASE_WORLD_SIZE + GAP)
   const y = -row * (BASE_WORLD_SIZE + GAP)
   return { x, y }
 }
 
 // Get world position for an image (stack position + random offset from center)
-function getImagePosition(imageIndex) {
+function getImagePosition(layout, imageIndex) {
   const { stackIndex, indexInStack } = getImageStackInfo(imageIndex)
-  const { x: stackX, y: stackY } = getStackPosition(stackIndex)
+  const { x: stackX, y: stackY } = getStackPosition(layout, stackIndex)
 
-  const offset = imageOffsets[imageIndex] || { x: 0, y: 0, rotation: 0 }
+  const offset = layout.offsets[imageIndex] || { x: 0, y: 0, rotation: 0 }
 
   return {
     x: stackX + BASE_WORLD_SIZE / 2 + offset.x,
@@ -74,10 +112,37 @@ function getImagePosition(imageIndex) {
   }
 }
 
-function processTiles(data, tileManager) {
-  const { imageIndex, lodLevel, tileWorldSize, tiles, bitmaps } = data
+// Worker pool figures for the stats panel (see App.jsx)
+function getPoolStats(pool) {
+  const { workers, busy, queued, tilesPerSecond, cache } = pool.getStats()
+  const lookups = cache.hits + cache.misses
+  const hitRate = lookups > 0 ? Math.round(cache.hits / lookups * 100) : 0
+  return {
+    workers: `${busy}/${workers} busy, ${queued} queued`,
+    decodeRate: `${Math.round(tilesPerSecond)} tiles/s`,
+    sourceCache: `${cache.entries} images, ${(cache.bytes / 1024 / 1024).toFixed(1)} MB, ${hitRate}% hits`
+  }
+}
+
+// Load error figures for the stats panel (see App.jsx)
+function getFailureStats(tileDataStore) {
+  const { retrying, failed } = tileDataStore.getFailureCounts()
+  return `${failed} failed, ${retrying} retrying`
+}
+
+// Load priority: on screen first, then nearest the view centre (see App.jsx)
+const LOD_PRIORITY_STEP = 1e-6
+function getLoadPriority(layout, imageIndex, lodLevel, cameraX, cameraY, onScreen = true) {
+  const { x, y } = getImagePosition(layout, imageIndex)
+  const closeness = 1 / (1 + Math.hypot(x - cameraX, y - cameraY))
+  return (onScreen ? 1 : 0) + closeness + lodLevel * LOD_PRIORITY_STEP
+}
+
+function processTiles(data, layout, tileManager) {
+  const { imageIndex, lodLevel, tileWorldSize, tilesX, tiles, bitmaps, mipBitmaps, tileLevels } = data
 
-  const { x: imageX, y: imageY, z: imageZ, rotation } = getImagePosition(imageIndex)
+  const { x: imageX, y: imageY, z: imageZ, rotation } = getImagePosition(layout, imageIndex)
+  const groupId = getTileGroupId(imageIndex, lodLevel)
   const instances = []
   const tileKeyList = []
 
@@ -86,12 +151,19 @@ function processTiles(data, tileManager) {
 
   let complete = true
 
+  // Upload the whole image+LOD as one group so its tiles stay together in the atlas
+  // Compressed atlases get block data per mip level instead of bitmaps
+  // (TileManager queues the texels and closes the bitmaps once written)
+  const groupTiles = tiles.map(({ tx, ty }, i) => {
+    const [image, ...mips] = tileLevels?.[i] ?? [bitmaps[i], ...(mipBitmaps?.[i] ?? [])]
+    return { tileKey: `${groupId}_${tx}_${ty}`, image, mips }
+  })
+  const slots = tileManager.uploadTileGroup(groupId, groupTiles, tilesX)
+
   for (let i = 0; i < tiles.length; i++) {
     const { tx, ty, tileWorldW, tileWorldH } = tiles[i]
-    const bitmap = bitmaps[i]
-
-    const tileKey = `${imageIndex}_lod${lodLevel}_${tx}_${ty}`
-    const slot = tileManager.uploadTile(tileKey, bitmap)
+    const { tileKey } = groupTiles[i]
+    const slot = slots[i]
 
     if (slot) {
       tileKeyList.push(tileKey)
@@ -104,6 +176,7 @@ function processTiles(data, tileManager) {
       const rotatedY = localX * sin + localY * cos
 
       instances.push({
+        tileKey,
         slot,
         worldX: imageX + rotatedX,
         worldY: imageY + rotatedY,
@@ -115,8 +188,6 @@ function processTiles(data, tileManager) {
     } else {
       complete = false
     }
-
-    bitmap.close()
   }
 
   return { instances, tileKeyList, complete }
@@ -124,13 +195,15 @@ function processTiles(data, tileManager) {
 
 // Visibility checker for stacked layout using frustum
 class StackedVisibilityChecker {
-  constructor() {
+  constructor(layout) {
+    this.layout = layout
     this.frustum = new THREE.Frustum()
     this.projScreenMatrix = new THREE.Matrix4()
     this.boundingBox = new THREE.Box3()
   }
 
-  getVisibleImages(camera) {
+  // Images in the view, grown by `margin` view widths/heights per side
+  getVisibleImages(camera, margin = 0) {
     camera.updateMatrixWorld()
     this.projScreenMatrix.multiplyMatrices(
       camera.projectionMatrix,
@@ -140,12 +213,16 @@ class StackedVisibilityChecker {
 
     const visible = []
 
-    for (let i = 0; i < IMAGE_COUNT; i++) {
-      const { x, y } = getImagePosition(i)
+    // Growing every box is the same as growing the (orthographic) view
+    const halfSize = BASE_WORLD_SIZE / 2
+    const growX = halfSize + margin * (camera.right - camera.left) / camera.zoom
+    const growY = halfSize + margin * (camera.top - camera.bottom) / camera.zoom
 
-      const halfSize = BASE_WORLD_SIZE / 2
-      this.boundingBox.min.set(x - halfSize, y - halfSize, -1)
-      this.boundingBox.max.set(x + halfSize, y + halfSize, 1)
+    for (let i = 0; i < this.layout.count; i++) {
+      const { x, y } = getImagePosition(this.layout, i)
+
+      this.boundingBox.min.set(x - growX, y - growY, -1)
+      this.boundingBox.max.set(x + growX, y + growY, 1)
 
       if (this.frustum.intersectsBox(this.boundingBox)) {
         visible.push(i)
@@ -158,7 +235,7 @@ class StackedVisibilityChecker {
   dispose() {}
 }
 
-function TileSystem({ onStatsChange }) {
+function TileSystem({ layout, onStatsChange }) {
   const { gl, scene, camera } = useThree()
   const tileManagerRef = useRef(null)
   const visibilityCheckerRef = useRef(null)
@@ -167,30 +244,43 @@ function TileSystem({ onStatsChange }) {
   const visibleImagesRef = useRef([])
   const needsRebuildRef = useRef(false)
   const renderedSetRef = useRef(new Set())
+  const lodTransitionsRef = useRef(null)
+  const tileUploadsRef = useRef([])
   const initRef = useRef(false)
 
   useEffect(() => {
     if (initRef.current) return
     initRef.current = true
 
-    const tileManager = new TileManager(gl)
+    const tileManager = new TileManager(gl, TILE_CONFIG)
     tileManagerRef.current = tileManager
+    getLoaderPool(TILE_CONFIG).setCompressedFormat(tileManager.compressedFormat)
     scene.add(tileManager.getMesh())
 
-    const visibilityChecker = new StackedVisibilityChecker()
+    const visibilityChecker = new StackedVisibilityChecker(layout)
     visibilityCheckerRef.current = visibilityChecker
 
-    const tileDataStore = new TileDataStore()
+    const tileDataStore = new TileDataStore(TILE_CONFIG.maxLod)
     tileDataStoreRef.current = tileDataStore
 
+    layout.images.forEach(({ width, height }, imageIndex) => {
+      if (width && height) tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(width, height))
+    })
+
+    lodTransitionsRef.current = new LodTransitions(TILE_CONFIG.lodFadeMs)
+    const tileUploads = tileUploadsRef.current
+
     return () => {
+      initRef.current = false
+      getLoaderPool(TILE_CONFIG).cancelAll()
+      discardTileUploads(tileUploads)
       scene.remove(tileManager.getMesh())
       tileManager.dispose()
       visibilityChecker.dispose()
     }
-  }, [gl, scene])
+  }, [gl, scene, layout])
 
-  useFrame(() => {
+  useFrame((state, delta) => {
     const tileManager = tileManagerRef.current
     const visibilityChecker = visibilityCheckerRef.current
     const tileDataStore = tileDataStoreRef.current
@@ -213,9 +303,14 @@ function TileSystem({ onStatsChange }) {
     let anyLodChanged = false
 
     const perImageLod = new Map()
-    const pool = getLoaderPool()
+    const pool = getLoaderPool(TILE_CONFIG)
+    // Slow frames shrink the worker pool
+    pool.reportFrameTime(delta * 1000)
     for (const idx of visibleImages) {
-      const targetLod = selectLod(zoom, TILE_SIZE, BASE_WORLD_SIZE, MAX_LOD)
+      // Capped at the image's native resolution once its size is known
+      let targetLod = selectImageLodForConfig(zoom, TILE_CONFIG, tileDataStore.getImagePixelSize(idx))
+      if (targetLod > 0 && tileDataStore.needsProbe(idx)) probeImageSize(layout, idx, tileDataStore)
+      if (tileDataStore.isProbing(idx)) targetLod = 0
       perImageLod.set(idx, targetLod)
 
       const prevLod = imageLodCache.get(idx)
@@ -228,19 +323,31 @@ function TileSystem({ onStatsChange }) {
       }
     }
 
+    // Forget images no longer visible and cancel loads past the grace margin
+    const visibleSet = new Set(visibleImages)
     if (visibilityChanged) {
-      const visibleSet = new Set(visibleImages)
       for (const idx of imageLodCache.keys()) {
         if (!visibleSet.has(idx)) {
           imageLodCache.delete(idx)
         }
       }
+      pool.cancelImagesExcept(new Set(visibilityChecker.getVisibleImages(camera, TILE_CONFIG.cancelMargin)))
     }
 
+    // Queued loads follow the camera
+    const camX = camera.position.x
+    const camY = camera.position.y
+    const getPriority = (idx, lodLevel) =>
+      getLoadPriority(layout, idx, lodLevel, camX, camY, visibleSet.has(idx))
+    pool.updatePriorities(getPriority)
+
     // Group images that need loading by their target LOD
     const loadByLod = new Map()
+    const now = performance.now()
     for (const idx of visibleImages) {
       const targetLod = perImageLod.get(idx)
+      // Failed images wait out their backoff; given-up ones are never requested again
+      if (!tileDataStore.canLoad(idx, now)) continue
       if (!tileDataStore.has(idx, targetLod) && !tileDataStore.isLoading(idx, targetLod)) {
         if (!loadByLod.has(targetLod)) {
           loadByLod.set(targetLod, [])
@@ -260,23 +367,36 @@ function TileSystem({ onStatsChange }) {
       if (freeSlots < estimatedNeeded) {
         tileDataStore.evictStale(renderedSetRef.current, tileManager, visibleImages, estimatedNeeded)
       }
+    } else if (tileManager.compact(tileDataStore, COMPACT_MOVES_PER_FRAME) > 0) {
+      // Nothing to load this frame: pack the atlas down a little
+      needsRebuildRef.current = true
+    } else {
+      // Fully packed: release empty layers at the top of the atlas
+      tileManager.shrink()
     }
 
-    const camX = camera.position.x
-    const camY = camera.position.y
     for (const [lodLevel, imageIndices] of loadByLod) {
-      loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStore, camX, camY, () => {
+      loadImagesAtLod(layout, imageIndices, lodLevel, tileManager, tileUploadsRef.current, tileDataStore, getPriority, () => {
         needsRebuildRef.current = true
       })
     }
 
-    if (visibilityChanged || anyLodChanged) {
+    // Store streamed tiles, then upload a frame's budget of them
+    if (drainTileUploads(tileUploadsRef.current, layout, tileManager, tileDataStore)) {
+      needsRebuildRef.current = true
+    }
+    if (flushTileUploads(tileManager, tileDataStore)) {
+      needsRebuildRef.current = true
+    }
+
+    // Keep redrawing while any image is cross-fading between LODs
+    if (visibilityChanged || anyLodChanged || lodTransitionsRef.current.hasActive()) {
       needsRebuildRef.current = true
     }
 
     if (needsRebuildRef.current) {
       needsRebuildRef.current = false
-      rebuildInstances(visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef)
+      rebuildInstances(layout, visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef, lodTransitionsRef.current)
 
       const lodValues = [...perImageLod.values()]
       const minLod = lodValues.length > 0 ? Math.min(...lodValues) : 0
@@ -287,9 +407,13 @@ function TileSystem({ onStatsChange }) {
         visibleImages: visibleImages.length,
         currentLod: minLod === maxLod ? minLod : `${minLod}-${maxLod}`,
         tilesRendered: tileManager.getTileCount(),
-        stacks: STACK_COUNT,
+        stacks: layout.stackCount,
         slotsUsed: usedSlots,
-        slotsTotal: totalSlots
+        slotsTotal: totalSlots,
+        atlasLayers: `${tileManager.getLayerCount()}/${tileManager.maxLayers}`,
+        atlasFormat: tileManager.getAtlasFormatName(),
+        ...getPoolStats(pool),
+        failures: getFailureStats(tileDataStore)
       }
       onStatsChange?.(stats)
     }
@@ -298,8 +422,68 @@ function TileSystem({ onStatsChange }) {
   return null
 }
 
-async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStore, cameraX, cameraY, onProgress = null) {
-  const pool = getLoaderPool()
+/**
+ * Store queued tile batches in arrival order (see App.jsx). An image's tiles
+ * are only drawn once all are stored: they collect on its load until its
+ * result arrives, and are freed if the load failed (result null). Tiles
+ * TileManager hasn't written yet wait for flushTileUploads.
+ * @returns {boolean} Whether anything was stored
+ */
+function drainTileUploads(queue, layout, tileManager, tileDataStore) {
+  const changed = queue.length > 0
+  for (const item of queue.splice(0)) {
+    const { load } = item
+    if ('result' in item) {
+      const { result } = item
+      if (result && load.placed) {
+        const { imageIndex, lodLevel, imageWidth, imageHeight } = result
+        tileDataStore.setImageInfo(imageIndex, getImageInfoForSize(imageWidth, imageHeight))
+        tileDataStore.set(imageIndex, lodLevel, load.instances, load.tileKeyList)
+        tileDataStore.addPendingUploads(imageIndex, lodLevel, load.tileKeyList.filter(tk => tileManager.isUploadPending(tk)))
+      } else {
+        for (const tk of load.tileKeyList) tileManager.freeTile(tk)
+      }
+      load.finish()
+      continue
+    }
+    const { instances, tileKeyList, complete } = processTiles(item.batch, layout, tileManager)
+    load.instances.push(...instances)
+    load.tileKeyList.push(...tileKeyList)
+    if (!complete) load.placed = false
+  }
+  return changed
+}
+
+// Write queued tiles to the atlas within the frame's budget (see App.jsx)
+function flushTileUploads(tileManager, tileDataStore) {
+  const uploaded = tileManager.flushUploads({
+    maxTiles: TILE_CONFIG.uploadTilesPerFrame,
+    maxMs: TILE_CONFIG.uploadMsPerFrame
+  })
+  tileDataStore.markUploaded(uploaded)
+  return uploaded.length > 0
+}
+
+// Queue for the atlas the tiles were loaded for, unless it is disposed (see App.jsx)
+function queueTileUpload(uploads, tileManager, item) {
+  if (!tileManager.disposed) {
+    uploads.push(item)
+    return
+  }
+  if (item.batch) closeTileData(item.batch)
+  item.load.finish()
+}
+
+// Queued batches of a torn-down atlas: close their bitmaps, and let their loads finish
+function discardTileUploads(queue) {
+  for (const { load, batch } of queue.splice(0)) {
+    if (batch) closeTileData(batch)
+    load.finish()
+  }
+}
+
+async function loadImagesAtLod(layout, imageIndices, lodLevel, tileManager, uploads, tileDataStore, getPriority, onProgress = null) {
+  const pool = getLoaderPool(TILE_CONFIG)
 
   imageIndices.forEach(idx => tileDataStore.setRequestedLod(idx, lodLevel))
 
@@ -314,12 +498,7 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
       return
     }
 
-    // Priority: LOD as primary, distance-from-center as secondary
-    const { x, y } = getImagePosition(imageIndex)
-    const dx = x - cameraX
-    const dy = y - cameraY
-    const dist = Math.sqrt(dx * dx + dy * dy)
-    const priority = lodLevel + 1 / (1 + dist)
+    const priority = getPriority(imageIndex, lodLevel)
 
     const promise = (async () => {
       try {
@@ -327,29 +506,32 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
           return
         }
 
-        const data = await pool.loadImageTiles(images[imageIndex], imageIndex, lodLevel, priority)
-
-        if (!tileDataStore.shouldPrioritize(imageIndex, lodLevel)) {
-          const { instances, tileKeyList, complete } = processTiles(data, tileManager)
-          if (complete) {
-            tileDataStore.set(imageIndex, lodLevel, instances, tileKeyList)
-          } else {
-            for (const tk of tileKeyList) tileManager.freeTile(tk)
-          }
-          return
-        }
-
-        const { instances, tileKeyList, complete } = processTiles(data, tileManager)
-        if (complete) {
-          tileDataStore.set(imageIndex, lodLevel, instances, tileKeyList)
-          onProgress?.()
-        } else {
-          for (const tk of tileKeyList) tileManager.freeTile(tk)
-          onProgress?.()
+        // Tiles are uploaded as they stream in; the load stays in progress until the last is stored
+        let load
+        const stored = new Promise(resolve => {
+          load = { instances: [], tileKeyList: [], placed: true, finish: resolve }
+        })
+        let result = null
+        try {
+          result = await pool.loadImageTiles(
+            layout.images[imageIndex].url, imageIndex, lodLevel, priority, null,
+            batch => queueTileUpload(uploads, tileManager, { load, batch })
+          )
+        } finally {
+          queueTileUpload(uploads, tileManager, { load, result })
         }
+        await stored
+        tileDataStore.clearFailure(imageIndex)
       } catch (err) {
         if (err.message !== 'cancelled') {
-          console.error(`Failed to load image ${imageIndex} at LOD ${lodLevel}:`, err)
+          tileDataStore.recordFailure(imageIndex, err, performance.now())
+          const { attempts } = tileDataStore.getFailure(imageIndex)
+          if (tileDataStore.hasFailed(imageIndex)) {
+            console.error(`Giving up on image ${imageIndex} after ${attempts} failed loads:`, err)
+            onProgress?.() // draw its placeholder
+          } else {
+            console.warn(`Failed to load image ${imageIndex} at LOD ${lodLevel} (attempt ${attempts}):`, err)
+          }
         }
       } finally {
         tileDataStore.clearLoadingPromise(imageIndex, lodLevel)
@@ -363,10 +545,30 @@ async function loadImagesAtLod(imageIndices, lodLevel, tileManager, tileDataStor
   await Promise.all(promises)
 }
 
-function rebuildInstances(visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef) {
+// One placeholder tile stretched over an image that failed to load
+function addPlaceholder(layout, imageIndex, tileManager, tileDataStore) {
+  const slot = tileManager.getPlaceholderSlot()
+  if (!slot) return
+  const { x, y, z, rotation } = getImagePosition(layout, imageIndex)
+  const info = tileDataStore.getImageInfo(imageIndex)
+  const w = info?.worldWidth ?? BASE_WORLD_SIZE
+  const h = info?.worldHeight ?? BASE_WORLD_SIZE
+
+  // Tiles start at the top-left of the stack cell (see processTiles)
+  const localX = w / 2 - BASE_WORLD_SIZE / 2
+  const localY = -h / 2 + BASE_WORLD_SIZE / 2
+  const cos = Math.cos(rotation)
+  const sin = Math.sin(rotation)
+  const centerX = x + localX * cos - localY * sin
+  const centerY = y + localX * sin + localY * cos
+  tileManager.addInstanceWithZ(slot, centerX, centerY, z, w, h, rotation)
+}
+
+function rebuildInstances(layout, visibleImages, perImageLod, tileManager, tileDataStore, renderedSetRef, lodTransitions) {
   tileManager.clearInstances()
 
   const renderedSet = new Set()
+  const now = performance.now()
 
   // Sort by z-index (images at back of stack first)
   const sortedImages = [...visibleImages].sort((a, b) => {
@@ -378,71 +580,92 @@ function rebuildInstances(visibleImages, perImageLod, tileManager, tileDataStore
   for (const imageIndex of sortedImages) {
     const targetLod = perImageLod.get(imageIndex) ?? 0
     const availableLod = tileDataStore.getBestAvailableLod(imageIndex, targetLod)
-    if (availableLod < 0) continue
-
-    renderedSet.add(`${imageIndex}_${availableLod}`)
-
-    const instances = tileDataStore.get(imageIndex, availableLod)
-    if (!instances) continue
+    if (availableLod < 0) {
+      if (tileDataStore.hasFailed(imageIndex)) addPlaceholder(layout, imageIndex, tileManager, tileDataStore)
+      continue
+    }
 
-    for (const { slot, worldX, worldY, worldZ, tileWorldW, tileWorldH, rotation } of instances) {
-      tileManager.addInstanceWithZ(slot, worldX, worldY, worldZ, tileWorldW, tileWorldH, rotation)
+    // While fading, the previous LOD stays rendered (and so isn't evicted) underneath
+    lodTransitions.setLod(imageIndex, availableLod, now)
+    const layers = lodTransitions.getLayers(imageIndex, now)
+    for (let i = 0; i < layers.length; i++) {
+      const { lod, opacity } = layers[i]
+      const instances = tileDataStore.getUploaded(imageIndex, lod)
+      if (!instances) continue
+      renderedSet.add(`${imageIndex}_${lod}`)
+
+      // Lift the fading-in LOD above the one below it, still under the next image
+      const zOffset = i * LOD_FADE_Z_OFFSET
+      for (const { slot, worldX, worldY, worldZ, tileWorldW, tileWorldH, rotation } of instances) {
+        tileManager.addInstanceWithZ(slot, worldX, worldY, worldZ + zOffset, tileWorldW, tileWorldH, rotation, opacity)
+      }
     }
   }
 
+  lodTransitions.retain(visibleImages)
+
   renderedSetRef.current = renderedSet
   tileManager.update()
 }
 
-function Scene({ onStatsChange }) {
+function Scene({ layout, onStatsChange }) {
   const controlsRef = useRef()
 
   return (
     <>
-      <SetupCamera controlsRef={controlsRef} />
+      <SetupCamera layout={layout} controlsRef={controlsRef} />
       <FigmaControlsComponent ref={controlsRef} />
-      <TileSystem onStatsChange={onStatsChange} />
+      <TileSystem layout={layout} onStatsChange={onStatsChange} />
       <ambientLight intensity={1} />
     </>
   )
 }
 
-function SetupCamera({ controlsRef }) {
+function SetupCamera({ layout, controlsRef }) {
   const { camera } = useThree()
 
   useEffect(() => {
-    const totalCols = STACK_COLS
-    const totalRows = Math.ceil(STACK_COUNT / STACK_COLS)
+    const totalCols = layout.stackCols
+    const totalRows = Math.ceil(layout.stackCount / layout.stackCols)
     const centerX = ((totalCols - 1) * (BASE_WORLD_SIZE + GAP)) / 2
     const centerY = -((totalRows - 1) * (BASE_WORLD_SIZE + GAP)) / 2
 
     camera.position.set(centerX, centerY, 100)
     camera.up.set(0, 1, 0)
     camera.lookAt(centerX, centerY, 0)
-  }, [camera, controlsRef])
+  }, [camera, controlsRef, layout])
 
   return null
 }
 
 function App() {
-  const [stats, setStats] = useState({ visibleImages: 0, currentLod: 0, tilesRendered: 0, stacks: 0, slotsUsed: 0, slotsTotal: 0 })
+  const [stats, setStats] = useState({ visibleImages: 0, currentLod: 0, tilesRendered: 0, stacks: 0, slotsUsed: 0, slotsTotal: 0, atlasLayers: '', atlasFormat: '', workers: '', decodeRate: '', sourceCache: '', failures: '' })
+  const { collection, manifestUrl, error, setManifestUrl } = useImageCollection()
+  const layout = useMemo(() => collection && createStackLayout(collection), [collection])
 
   return (
     <div className="container">
       <div className="controls-info">
-        <p>Images: {IMAGE_COUNT}</p>
+        <p>Images: {layout ? layout.count : 'loading…'}</p>
         <p>Stacks: {stats.stacks} ({IMAGES_PER_STACK}/stack)</p>
         <p>Visible: {stats.visibleImages}</p>
         <p>LOD: {stats.currentLod}</p>
         <p>Tiles: {stats.tilesRendered}</p>
         <p>Slots: {stats.slotsUsed}/{stats.slotsTotal}</p>
+        <p>Atlas layers: {stats.atlasLayers}</p>
+        <p>Atlas format: {stats.atlasFormat}</p>
+        <p>Workers: {stats.workers}</p>
+        <p>Decode: {stats.decodeRate}</p>
+        <p>Source cache: {stats.sourceCache}</p>
+        <p>Load errors: {stats.failures}</p>
+        <ManifestForm manifestUrl={manifestUrl} error={error} onLoad={setManifestUrl} />
       </div>
       <Canvas
         orthographic
         camera={{ position: [0, 0, 100], zoom: 40, up: [0, 1, 0] }}
         frameloop="always"
       >
-        <Scene onStatsChange={setStats} />
+        {layout && <Scene key={collection.id} layout={layout} onStatsChange={setStats} />}
       </Canvas>
     </div>
   )
@@ -0,0 +1,111 @@
+import { DEFAULT_TILE_CONFIG } from './tileConfig'
+
+/**
+ * Per-image cross-fades between LOD levels.
+ *
+ * When an image's displayed LOD changes, the previous LOD keeps rendering
+ * at full opacity underneath while the new one fades in on top. Callers
+ * keep drawing (and keep from evicting) every layer getLayers() returns.
+ *
+ * Partially loaded LODs drawn on top of an image are recorded as overlays;
+ * once one of them becomes the displayed LOD its tiles are already showing,
+ * so it takes over without a fade. Callers refresh the overlays before
+ * setLod each frame, and a LOD that has just been completed has already
+ * left them, so the previous overlays count too.
+ */
+export class LodTransitions {
+  /**
+   * @param {number} [duration] - Fade length in ms (0 = swap instantly)
+   */
+  constructor(duration = DEFAULT_TILE_CONFIG.lodFadeMs) {
+    this.duration = duration
+    this.states = new Map() // imageIndex -> { lod, from, start, overlays, previousOverlays }; from is null when settled
+  }
+
+  progress(state, now) {
+    if (state.from === null || this.duration <= 0) return 1
+    return Math.min(1, Math.max(0, (now - state.start) / this.duration))
+  }
+
+  /**
+   * Record the LOD an image should display, starting a fade if it changed.
+   * The first LOD shown for an image appears without a fade.
+   */
+  setLod(imageIndex, lod, now) {
+    const state = this.states.get(imageIndex)
+    const overlays = state?.overlays ?? []
+    const previousOverlays = state?.previousOverlays ?? []
+    if (!state || state.lod === null) {
+      this.states.set(imageIndex, { lod, from: null, start: now, overlays, previousOverlays })
+      return
+    }
+    if (state.lod === lod) return
+
+    const t = this.progress(state, now)
+    if (this.duration <= 0 || overlays.includes(lod) || previousOverlays.includes(lod)) {
+      this.states.set(imageIndex, { lod, from: null, start: now, overlays, previousOverlays })
+    } else if (state.from === lod) {
+      // Reversing mid-fade: pick up from the opacity the old LOD effectively has
+      this.states.set(imageIndex, { lod, from: state.lod, start: now - (1 - t) * this.duration, overlays, previousOverlays })
+    } else {
+      this.states.set(imageIndex, { lod, from: state.lod, start: now, overlays, previousOverlays })
+    }
+  }
+
+  /**
+   * Record the partially loaded LODs currently drawn over an image.
+   * @param {number[]} lods
+   */
+  setOverlays(imageIndex, lods) {
+    const state = this.states.get(imageIndex)
+    if (state) {
+      state.previousOverlays = state.overlays
+      state.overlays = lods
+    } else {
+      this.states.set(imageIndex, { lod: null, from: null, start: 0, overlays: lods, previousOverlays: [] })
+    }
+  }
+
+  /**
+   * LOD layers to draw for an image, bottom first. Finished fades settle here.
+   * @returns {Array<{ lod: number, opacity: number }>}
+   */
+  getLayers(imageIndex, now) {
+    const state = this.states.get(imageIndex)
+    if (!state || state.lod === null) return []
+
+    const t = this.progress(state, now)
+    if (t >= 1) {
+      state.from = null
+      return [{ lod: state.lod, opacity: 1 }]
+    }
+    return [
+      { lod: state.from, opacity: 1 },
+      { lod: state.lod, opacity: t },
+    ]
+  }
+
+  isFading(imageIndex) {
+    return this.states.get(imageIndex)?.from != null
+  }
+
+  // Whether any image is mid-fade (callers redraw every frame until false)
+  hasActive() {
+    for (const state of this.states.values()) {
+      if (state.from !== null) return true
+    }
+    return false
+  }
+
+  // Drop state for images not in the list (e.g. no longer visible)
+  retain(imageIndices) {
+    const keep = new Set(imageIndices)
+    for (const imageIndex of this.states.keys()) {
+      if (!keep.has(imageIndex)) this.states.delete(imageIndex)
+    }
+  }
+
+  clear() {
+    this.states.clear()
+  }
+}
@@ -0,0 +1,133 @@
+import { describe, it, expect } from 'vitest'
+import { LodTransitions } from './LodTransitions'
+
+describe('LodTransitions', () => {
+  it('shows the first LOD immediately', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 1, 1000)
+    expect(t.getLayers(0, 1000)).toEqual([{ lod: 1, opacity: 1 }])
+    expect(t.hasActive()).toBe(false)
+  })
+
+  it('returns no layers for unknown images', () => {
+    expect(new LodTransitions(200).getLayers(5, 0)).toEqual([])
+  })
+
+  it('fades the new LOD in over the old one', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 1, 0)
+    t.setLod(0, 3, 1000)
+    expect(t.isFading(0)).toBe(true)
+    expect(t.getLayers(0, 1000)).toEqual([{ lod: 1, opacity: 1 }, { lod: 3, opacity: 0 }])
+    expect(t.getLayers(0, 1050)).toEqual([{ lod: 1, opacity: 1 }, { lod: 3, opacity: 0.25 }])
+    expect(t.getLayers(0, 1150)).toEqual([{ lod: 1, opacity: 1 }, { lod: 3, opacity: 0.75 }])
+  })
+
+  it('settles once the fade completes', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 1, 0)
+    t.setLod(0, 2, 1000)
+    expect(t.hasActive()).toBe(true)
+    expect(t.getLayers(0, 1200)).toEqual([{ lod: 2, opacity: 1 }])
+    expect(t.hasActive()).toBe(false)
+    expect(t.isFading(0)).toBe(false)
+  })
+
+  it('setting the same LOD again does not restart the fade', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 1, 0)
+    t.setLod(0, 2, 1000)
+    t.setLod(0, 2, 1100)
+    expect(t.getLayers(0, 1100)[1].opacity).toBe(0.5)
+  })
+
+  it('a third LOD mid-fade fades from the LOD being faded in', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 0, 0)
+    t.setLod(0, 1, 1000)
+    t.setLod(0, 2, 1100)
+    expect(t.getLayers(0, 1100)).toEqual([{ lod: 1, opacity: 1 }, { lod: 2, opacity: 0 }])
+  })
+
+  it('reversing mid-fade continues from the current blend', () => {
+    const t = new LodTransitions(200)
+    t.setLod(0, 1, 0)
+    t.setLod(0, 2, 1000)
+    t.setLod(0, 1, 1150) // LOD 2 was at 0.75, so LOD 1 effectively at 0.25
+    expect(t.getLayers(0, 1150)).toEqual([{ lod: 2, opacity: 1 }, { lod: 1, opacity: 0.25 }])
+    expect(t.getLayers(0, 1300)).toEqual([{ lod: 1, opacity: 1 }])
+  })
+
+  it('duration 0 swaps instantly', () => {
+    const t = new LodTransitions(0)
+    t.setLod(0, 1, 0)
+    t.setLod(0, 2, 10)
+    expect(t.getLayers(0, 10)).toEqual([{ lod: 2, opacity: 1 }])
+    expect(t.hasActive()).toBe(false)
+  })
+
+  it('tracks images independently', () => {
+    const t = new LodTransitions(100)
+    t.setLod(0, 0, 0)
+    t.setLod(1, 0, 0)
+    t.setLod(1, 1, 500)
+    expect(t.isFading(0)).toBe(false)
+    expect(t.isFading(1)).toBe(true)
+  })
+
+  it('retain drops images that are no longer listed', () => {
+    const t = new LodTransitions(100)
+    t.setLod(0, 0, 0)
+    t.setLod(1, 0, 0)
+    t.setLod(1, 2, 10)
+    t.retain([0])
+    expect(t.getLayers(1, 20)).toEqual([])
+    expect(t.hasActive()).toBe(false)
+    expect(t.getLayers(0, 20)).toEqual([{ lod: 0, opacity: 1 }])
+  })
+
+  describe('overlays', () => {
+    it('an overlay LOD becomes the displayed LOD without a fade', () => {
+      const t = new LodTransitions(200)
+      // Each frame refreshes the overlays, then sets the LOD (as App does)
+      t.setOverlays(0, [3])
+      t.setLod(0, 1, 0)
+      expect(t.getLayers(0, 0)).toEqual([{ lod: 1, opacity: 1 }])
+
+      // LOD 3 completed: it is no longer an overlay but the displayed LOD
+      t.setOverlays(0, [])
+      t.setLod(0, 3, 16)
+      const layers = t.getLayers(0, 16)
+      expect(layers).toEqual([{ lod: 3, opacity: 1 }])
+      expect(layers.some(layer => layer.opacity === 0)).toBe(false)
+      expect(t.hasActive()).toBe(false)
+    })
+
+    it('a LOD that was never an overlay still fades in', () => {
+      const t = new LodTransitions(200)
+      t.setOverlays(0, [3])
+      t.setLod(0, 1, 0)
+      t.setOverlays(0, [])
+      t.setLod(0, 1, 16)
+      t.setOverlays(0, [])
+      t.setLod(0, 3, 32)
+      expect(t.isFading(0)).toBe(true)
+    })
+
+    it('non-overlay LODs still fade', () => {
+      const t = new LodTransitions(200)
+      t.setLod(0, 1, 0)
+      t.setOverlays(0, [3])
+      t.setLod(0, 2, 1000)
+      expect(t.isFading(0)).toBe(true)
+    })
+
+    it('overlays can be recorded before any LOD is displayed', () => {
+      const t = new LodTransitions(200)
+      t.setOverlays(0, [4])
+      expect(t.getLayers(0, 0)).toEqual([])
+      t.setLod(0, 0, 10)
+      expect(t.getLayers(0, 10)).toEqual([{ lod: 0, opacity: 1 }])
+    })
+  })
+})
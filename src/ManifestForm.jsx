@@ -0,0 +1,25 @@
+import { useState } from 'react'
+
+// Swap the image collection: enter another manifest URL and press Load
+export function ManifestForm({ manifestUrl, error, onLoad }) {
+  const [value, setValue] = useState(manifestUrl)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const url = value.trim()
+    if (url) onLoad(url)
+  }
+
+  return (
+    <form className="manifest-form" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        aria-label="Image manifest URL"
+      />
+      <button type="submit">Load</button>
+      {error && <p className="manifest-error">{error}</p>}
+    </form>
+  )
+}
@@ -0,0 +1,107 @@
+/**
+ * Binary max-heap: pop() returns the value with the highest priority, the
+ * earliest pushed among equals. Push and pop are O(log n); re-prioritising
+ * or removing in bulk is one O(n) pass plus a rebuild.
+ */
+export class PriorityQueue {
+  constructor() {
+    this.heap = [] // { value, priority, order }
+    this.pushCount = 0
+  }
+
+  get size() {
+    return this.heap.length
+  }
+
+  push(value, priority) {
+    this.heap.push({ value, priority, order: this.pushCount++ })
+    this._siftUp(this.heap.length - 1)
+  }
+
+  peek() {
+    return this.heap[0]?.value
+  }
+
+  pop() {
+    const heap = this.heap
+    if (heap.length === 0) return undefined
+    const top = heap[0]
+    const last = heap.pop()
+    if (heap.length > 0) {
+      heap[0] = last
+      this._siftDown(0)
+    }
+    return top.value
+  }
+
+  /**
+   * Recompute every priority, e.g. as the camera moves.
+   * @param {(value: any, priority: number) => number} getPriority
+   */
+  updatePriorities(getPriority) {
+    for (const node of this.heap) node.priority = getPriority(node.value, node.priority)
+    this._heapify()
+  }
+
+  /**
+   * Remove every value `predicate` accepts.
+   * @returns {any[]} The removed values
+   */
+  removeWhere(predicate) {
+    const removed = []
+    const kept = []
+    for (const node of this.heap) {
+      if (predicate(node.value)) removed.push(node.value)
+      else kept.push(node)
+    }
+    if (removed.length > 0) {
+      this.heap = kept
+      this._heapify()
+    }
+    return removed
+  }
+
+  // Values in pop order (a sorted copy; the queue is unchanged)
+  toArray() {
+    return [...this.heap].sort((a, b) => (this._before(a, b) ? -1 : 1)).map(node => node.value)
+  }
+
+  _before(a, b) {
+    return a.priority > b.priority || (a.priority === b.priority && a.order < b.order)
+  }
+
+  _swap(i, j) {
+    const heap = this.heap
+    const node = heap[i]
+    heap[i] = heap[j]
+    heap[j] = node
+  }
+
+  _siftUp(i) {
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this._before(this.heap[i], this.heap[parent])) return
+      this._swap(i, parent)
+      i = parent
+    }
+  }
+
+  _siftDown(i) {
+    const heap = this.heap
+    const n = heap.length
+    while (true) {
+      const left = 2 * i + 1
+      const right = left + 1
+      let first = i
+      if (left < n && this._before(heap[left], heap[first])) first = left
+      if (right < n && this._before(heap[right], heap[first])) first = right
+      if (first === i) return
+      this._swap(i, first)
+      i = first
+    }
+  }
+
+  _heapify() {
+    for (let i = (this.heap.length >> 1) - 1; i >= 0; i--) this._siftDown(i)
+  }
+}
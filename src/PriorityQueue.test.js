@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { PriorityQueue } from './PriorityQueue'
+
+function drain(queue) {
+  const values = []
+  while (queue.size > 0) values.push(queue.pop())
+  return values
+}
+
+describe('PriorityQueue', () => {
+  it('pops the highest priority first', () => {
+    const queue = new PriorityQueue()
+    for (const [value, priority] of [['b', 2], ['d', 0], ['a', 3], ['c', 1]]) queue.push(value, priority)
+    expect(queue.peek()).toBe('a')
+    expect(drain(queue)).toEqual(['a', 'b', 'c', 'd'])
+    expect(queue.pop()).toBeUndefined()
+  })
+
+  it('is first-in first-out among equal priorities', () => {
+    const queue = new PriorityQueue()
+    for (let i = 0; i < 20; i++) queue.push(i, i % 2)
+    expect(drain(queue)).toEqual([1, 3, 5, 7, 9, 11, 13, 15, 17, 19, 0, 2, 4, 6, 8, 10, 12, 14, 16, 18])
+  })
+
+  it('orders Infinity ahead of everything and keeps ties in order', () => {
+    const queue = new PriorityQueue()
+    queue.push('x', 1)
+    queue.push('p1', Infinity)
+    queue.push('p2', Infinity)
+    expect(drain(queue)).toEqual(['p1', 'p2', 'x'])
+  })
+
+  it('reorders after updatePriorities', () => {
+    const queue = new PriorityQueue()
+    for (let i = 0; i < 10; i++) queue.push(i, i)
+    queue.updatePriorities(value => -value)
+    expect(queue.toArray()).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+    expect(drain(queue)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+  })
+
+  it('passes the current priority to updatePriorities', () => {
+    const queue = new PriorityQueue()
+    queue.push('a', 1)
+    queue.push('b', 2)
+    queue.updatePriorities((value, priority) => (value === 'a' ? priority + 5 : priority))
+    expect(queue.pop()).toBe('a')
+  })
+
+  it('removes matching values and stays a heap', () => {
+    const queue = new PriorityQueue()
+    for (let i = 0; i < 30; i++) queue.push(i, (i * 7) % 30)
+    expect(queue.removeWhere(v => v % 3 === 0).sort((a, b) => a - b)).toEqual([0, 3, 6, 9, 12, 15, 18, 21, 24, 27])
+    expect(queue.size).toBe(20)
+    const priorities = drain(queue).map(v => (v * 7) % 30)
+    expect(priorities).toEqual([...priorities].sort((a, b) => b - a))
+  })
+
+  it('matches a sorted reference over random pushes and pops', () => {
+    const queue = new PriorityQueue()
+    const reference = []
+    let seed = 1
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647
+    for (let i = 0; i < 2000; i++) {
+      if (random() < 0.6 || reference.length === 0) {
+        const priority = Math.floor(random() * 50)
+        queue.push(i, priority)
+        reference.push({ value: i, priority })
+        reference.sort((a, b) => b.priority - a.priority || a.value - b.value)
+      } else {
+        expect(queue.pop()).toBe(reference.shift().value)
+      }
+    }
+    expect(drain(queue)).toEqual(reference.map(r => r.value))
+  })
+})
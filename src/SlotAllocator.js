@@ -1,30 +1,259 @@
-const DEFAULT_TILES_PER_ROW = 16 // 4096 / 256
-const DEFAULT_MAX_LAYERS = 16
+import { DEFAULT_TILE_CONFIG } from './tileConfig'
 
+const WORD_BITS = 32
+const FULL_WORD = 0xFFFFFFFF
+
+// Index of the lowest zero bit in a 32-bit word (word must not be full)
+function lowestZeroBit(word) {
+  const bit = ~word & (word + 1)
+  return 31 - Math.clz32(bit)
+}
+
+/**
+ * Atlas slot allocator backed by per-layer occupancy bitsets.
+ *
+ * Each layer is a run of 32-bit words where bit i marks slot i as used.
+ * A second bitset tracks which layers still have room, so finding the
+ * lowest free slot is a find-first-zero over a fixed number of words —
+ * independent of how full the atlas is.
+ */
 export class SlotAllocator {
-  constructor(maxLayers = DEFAULT_MAX_LAYERS, tilesPerRow = DEFAULT_TILES_PER_ROW) {
-    this.maxLayers = maxLayers
+  constructor(maxLayers = DEFAULT_TILE_CONFIG.maxLayers, tilesPerRow = DEFAULT_TILE_CONFIG.tilesPerRow) {
     this.tilesPerRow = tilesPerRow
     this.tilesPerLayer = tilesPerRow * tilesPerRow
+    this.wordsPerLayer = Math.ceil(this.tilesPerLayer / WORD_BITS)
 
-    this.layerSlots = Array.from({ length: maxLayers }, () => new Set())
+    this.maxLayers = 0
+    this.occupancy = new Uint32Array(0)
+    this.layerUsed = new Uint32Array(0)
+    this.fullLayers = new Uint32Array(0)
+    this.usedCount = 0
     this.usedSlots = new Map() // tileKey -> { layer, slotX, slotY }
+    this.groups = new Map() // groupId -> Set(tileKey)
+    this.tileGroups = new Map() // tileKey -> groupId
+
+    // Scratch buffer for rectangle search: free-run length to the right of each slot
+    this.freeRuns = new Uint16Array(this.tilesPerLayer)
+
+    this.resize(maxLayers)
+  }
+
+  /**
+   * Allocator sized for a tile config (layerCount defaults to config.maxLayers).
+   */
+  static fromConfig(config, layerCount = config.maxLayers) {
+    return new SlotAllocator(layerCount, config.tilesPerRow)
+  }
+
+  /**
+   * Change the number of layers, keeping existing allocations.
+   * Shrinking only succeeds when every removed layer is empty.
+   * @returns {boolean} Whether the layer count changed
+   */
+  resize(layerCount) {
+    if (layerCount === this.maxLayers) return false
+    for (let layer = layerCount; layer < this.maxLayers; layer++) {
+      if (this.layerUsed[layer] > 0) return false
+    }
+
+    const kept = Math.min(layerCount, this.maxLayers)
+    const occupancy = new Uint32Array(layerCount * this.wordsPerLayer)
+    occupancy.set(this.occupancy.subarray(0, kept * this.wordsPerLayer))
+    const layerUsed = new Uint32Array(layerCount)
+    layerUsed.set(this.layerUsed.subarray(0, kept))
+
+    // Bits past the end of a layer are permanently marked used
+    const tail = this.tilesPerLayer % WORD_BITS
+    if (tail !== 0) {
+      for (let layer = kept; layer < layerCount; layer++) {
+        occupancy[(layer + 1) * this.wordsPerLayer - 1] = (FULL_WORD << tail) >>> 0
+      }
+    }
+
+    // Same for layers past layerCount in the layer bitset
+    const fullLayers = new Uint32Array(Math.ceil(layerCount / WORD_BITS))
+    const layerTail = layerCount % WORD_BITS
+    if (layerTail !== 0) {
+      fullLayers[fullLayers.length - 1] = (FULL_WORD << layerTail) >>> 0
+    }
+    for (let layer = 0; layer < kept; layer++) {
+      if (layerUsed[layer] === this.tilesPerLayer) fullLayers[layer >>> 5] |= 1 << (layer & 31)
+    }
+
+    this.maxLayers = layerCount
+    this.occupancy = occupancy
+    this.layerUsed = layerUsed
+    this.fullLayers = fullLayers
+    return true
+  }
+
+  findFreeLayer() {
+    for (let w = 0; w < this.fullLayers.length; w++) {
+      const word = this.fullLayers[w]
+      if (word !== FULL_WORD) return w * WORD_BITS + lowestZeroBit(word)
+    }
+    return -1
   }
 
   findFreeSlot() {
+    const layer = this.findFreeLayer()
+    if (layer < 0) return null
+
+    const base = layer * this.wordsPerLayer
+    for (let w = 0; w < this.wordsPerLayer; w++) {
+      const word = this.occupancy[base + w]
+      if (word !== FULL_WORD) {
+        const slotIndex = w * WORD_BITS + lowestZeroBit(word)
+        const slotX = slotIndex % this.tilesPerRow
+        const slotY = Math.floor(slotIndex / this.tilesPerRow)
+        return { layer, slotX, slotY, slotIndex }
+      }
+    }
+    return null
+  }
+
+  isSlotFree(layer, slotIndex) {
+    const word = this.occupancy[layer * this.wordsPerLayer + (slotIndex >>> 5)]
+    return (word & (1 << (slotIndex & 31))) === 0
+  }
+
+  markUsed(layer, slotIndex) {
+    const w = layer * this.wordsPerLayer + (slotIndex >>> 5)
+    this.occupancy[w] |= 1 << (slotIndex & 31)
+    this.usedCount++
+    if (++this.layerUsed[layer] === this.tilesPerLayer) {
+      this.fullLayers[layer >>> 5] |= 1 << (layer & 31)
+    }
+  }
+
+  markFree(layer, slotIndex) {
+    const w = layer * this.wordsPerLayer + (slotIndex >>> 5)
+    this.occupancy[w] &= ~(1 << (slotIndex & 31))
+    this.usedCount--
+    this.layerUsed[layer]--
+    this.fullLayers[layer >>> 5] &= ~(1 << (layer & 31))
+  }
+
+  /**
+   * Find the first layer/position where a w×h block of slots is entirely free.
+   * @returns {{ layer: number, slotX: number, slotY: number } | null}
+   */
+  findFreeRect(w, h) {
+    const rows = this.tilesPerRow
+    if (w > rows || h > rows) return null
+    const runs = this.freeRuns
+
     for (let layer = 0; layer < this.maxLayers; layer++) {
-      const used = this.layerSlots[layer]
-      if (used.size < this.tilesPerLayer) {
-        for (let i = 0; i < this.tilesPerLayer; i++) {
-          if (!used.has(i)) {
+      if (this.tilesPerLayer - this.layerUsed[layer] < w * h) continue
+
+      for (let y = 0; y < rows; y++) {
+        let run = 0
+        for (let x = rows - 1; x >= 0; x--) {
+          const i = y * rows + x
+          run = this.isSlotFree(layer, i) ? run + 1 : 0
+          runs[i] = run
+        }
+      }
+
+      for (let y = 0; y + h <= rows; y++) {
+        for (let x = 0; x + w <= rows; x++) {
+          let fits = true
+          for (let k = 0; k < h && fits; k++) {
+            fits = runs[(y + k) * rows + x] >= w
+          }
+          if (fits) return { layer, slotX: x, slotY: y }
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * Allocate slots for all tiles of one group (e.g. one image at one LOD),
+   * keeping them together on a single layer when possible.
+   *
+   * Preference order:
+   *   1. a contiguous `columns`-wide rectangle on one layer (row-major key order)
+   *   2. any free slots on a single layer with enough room
+   *   3. first free slot anywhere, tile by tile
+   *
+   * @param {string} groupId
+   * @param {string[]} tileKeys - Keys in row-major order
+   * @param {number} [columns] - Tiles per row in the group
+   * @returns {Array<{ layer: number, slotX: number, slotY: number } | null>}
+   */
+  allocateGroup(groupId, tileKeys, columns = tileKeys.length) {
+    const pending = tileKeys.filter(key => !this.usedSlots.has(key))
+    const count = pending.length
+
+    if (count > 0) {
+      const w = Math.max(1, Math.min(columns, this.tilesPerRow, count))
+      const h = Math.ceil(count / w)
+      const rect = this.findFreeRect(w, h)
+
+      if (rect) {
+        for (let i = 0; i < count; i++) {
+          const slotX = rect.slotX + (i % w)
+          const slotY = rect.slotY + Math.floor(i / w)
+          this.markUsed(rect.layer, slotY * this.tilesPerRow + slotX)
+          this.usedSlots.set(pending[i], { layer: rect.layer, slotX, slotY })
+        }
+      } else {
+        const layer = this.findLayerWithRoom(count)
+        if (layer >= 0) {
+          let next = 0
+          for (let i = 0; i < this.tilesPerLayer && next < count; i++) {
+            if (!this.isSlotFree(layer, i)) continue
             const slotX = i % this.tilesPerRow
             const slotY = Math.floor(i / this.tilesPerRow)
-            return { layer, slotX, slotY, slotIndex: i }
+            this.markUsed(layer, i)
+            this.usedSlots.set(pending[next++], { layer, slotX, slotY })
           }
+        } else {
+          for (const key of pending) this.allocate(key)
         }
       }
     }
-    return null
+
+    const slots = tileKeys.map(key => this.usedSlots.get(key) ?? null)
+    for (const key of tileKeys) {
+      if (this.usedSlots.has(key)) this.addToGroup(groupId, key)
+    }
+    return slots
+  }
+
+  findLayerWithRoom(count) {
+    for (let layer = 0; layer < this.maxLayers; layer++) {
+      if (this.tilesPerLayer - this.layerUsed[layer] >= count) return layer
+    }
+    return -1
+  }
+
+  addToGroup(groupId, tileKey) {
+    const prev = this.tileGroups.get(tileKey)
+    if (prev === groupId) return
+    if (prev !== undefined) this.removeFromGroup(tileKey)
+    if (!this.groups.has(groupId)) this.groups.set(groupId, new Set())
+    this.groups.get(groupId).add(tileKey)
+    this.tileGroups.set(tileKey, groupId)
+  }
+
+  removeFromGroup(tileKey) {
+    const groupId = this.tileGroups.get(tileKey)
+    if (groupId === undefined) return
+    const members = this.groups.get(groupId)
+    members.delete(tileKey)
+    if (members.size === 0) this.groups.delete(groupId)
+    this.tileGroups.delete(tileKey)
+  }
+
+  getGroup(groupId) {
+    const members = this.groups.get(groupId)
+    return members ? [...members] : []
+  }
+
+  freeGroup(groupId) {
+    for (const key of this.getGroup(groupId)) this.free(key)
   }
 
   allocate(tileKey) {
@@ -34,7 +263,7 @@ export class SlotAllocator {
     const slot = this.findFreeSlot()
     if (!slot) return null
     const { layer, slotX, slotY, slotIndex } = slot
-    this.layerSlots[layer].add(slotIndex)
+    this.markUsed(layer, slotIndex)
     this.usedSlots.set(tileKey, { layer, slotX, slotY })
     return { layer, slotX, slotY }
   }
@@ -43,8 +272,48 @@ export class SlotAllocator {
     const slot = this.usedSlots.get(tileKey)
     if (!slot) return
     const slotIndex = slot.slotY * this.tilesPerRow + slot.slotX
-    this.layerSlots[slot.layer].delete(slotIndex)
+    this.markFree(slot.layer, slotIndex)
     this.usedSlots.delete(tileKey)
+    this.removeFromGroup(tileKey)
+  }
+
+  /**
+   * Move an allocated tile to a free slot, keeping its group membership.
+   */
+  move(tileKey, to) {
+    const from = this.usedSlots.get(tileKey)
+    if (!from) return null
+    const toIndex = to.slotY * this.tilesPerRow + to.slotX
+    if (!this.isSlotFree(to.layer, toIndex)) return null
+
+    this.markFree(from.layer, from.slotY * this.tilesPerRow + from.slotX)
+    this.markUsed(to.layer, toIndex)
+    const slot = { layer: to.layer, slotX: to.slotX, slotY: to.slotY }
+    this.usedSlots.set(tileKey, slot)
+    return slot
+  }
+
+  // Free slots on layers below layerLimit, lowest first
+  *freeSlots(layerLimit = this.maxLayers) {
+    for (let layer = 0; layer < layerLimit; layer++) {
+      if (this.layerUsed[layer] === this.tilesPerLayer) continue
+      for (let i = 0; i < this.tilesPerLayer; i++) {
+        if (this.isSlotFree(layer, i)) {
+          yield { layer, slotX: i % this.tilesPerRow, slotY: Math.floor(i / this.tilesPerRow) }
+        }
+      }
+    }
+  }
+
+  getLayerUsedCount(layer) {
+    return this.layerUsed[layer]
+  }
+
+  getHighestUsedLayer() {
+    for (let layer = this.maxLayers - 1; layer >= 0; layer--) {
+      if (this.layerUsed[layer] > 0) return layer
+    }
+    return -1
   }
 
   has(tileKey) {
@@ -56,9 +325,7 @@ export class SlotAllocator {
   }
 
   getUsedCount() {
-    let count = 0
-    for (const set of this.layerSlots) count += set.size
-    return count
+    return this.usedCount
   }
 
   getTotalSlots() {
@@ -186,6 +186,183 @@ describe('SlotAllocator', () => {
     })
   })
 
+  describe('bitset lookup', () => {
+    it('hands out the lowest free slot across word boundaries', () => {
+      const a = new SlotAllocator(1, 6) // 36 slots → spans two 32-bit words
+      for (let i = 0; i < 36; i++) a.allocate(`tile_${i}`)
+      expect(a.allocate('overflow')).toBeNull()
+
+      a.free('tile_33')
+      a.free('tile_5')
+      // Lowest index first, regardless of free order
+      expect(a.allocate('new_0')).toEqual({ layer: 0, slotX: 5, slotY: 0 })
+      expect(a.allocate('new_1')).toEqual({ layer: 0, slotX: 3, slotY: 5 })
+      expect(a.allocate('new_2')).toBeNull()
+    })
+
+    it('returns to an earlier layer once a slot there is freed', () => {
+      const a = new SlotAllocator(3, 2) // 3 layers × 4 slots
+      for (let i = 0; i < 10; i++) a.allocate(`tile_${i}`)
+      const freed = a.get('tile_2')
+      expect(freed.layer).toBe(0)
+      a.free('tile_2')
+      expect(a.allocate('tile_new')).toEqual(freed)
+    })
+
+    it('never hands out padding bits past the end of a layer', () => {
+      const a = new SlotAllocator(2, 3) // 9 slots per layer, 23 padding bits
+      const seen = new Set()
+      for (let i = 0; i < 18; i++) {
+        const { layer, slotX, slotY } = a.allocate(`tile_${i}`)
+        expect(slotX).toBeLessThan(3)
+        expect(slotY).toBeLessThan(3)
+        seen.add(`${layer}_${slotX}_${slotY}`)
+      }
+      expect(seen.size).toBe(18)
+      expect(a.allocate('overflow')).toBeNull()
+    })
+  })
+
+  describe('group allocation', () => {
+    const keys = (prefix, n) => Array.from({ length: n }, (_, i) => `${prefix}_${i}`)
+
+    it('places a group as a contiguous rectangle on one layer', () => {
+      const a = new SlotAllocator(2, 4)
+      const slots = a.allocateGroup('img0_lod1', keys('t', 4), 2)
+      expect(slots).toEqual([
+        { layer: 0, slotX: 0, slotY: 0 },
+        { layer: 0, slotX: 1, slotY: 0 },
+        { layer: 0, slotX: 0, slotY: 1 },
+        { layer: 0, slotX: 1, slotY: 1 },
+      ])
+      expect(a.getUsedCount()).toBe(4)
+    })
+
+    it('skips occupied slots to find a free rectangle', () => {
+      const a = new SlotAllocator(1, 4)
+      a.allocate('single') // (0, 0)
+      const slots = a.allocateGroup('g', keys('t', 4), 2)
+      expect(slots[0]).toEqual({ layer: 0, slotX: 1, slotY: 0 })
+      expect(slots[3]).toEqual({ layer: 0, slotX: 2, slotY: 1 })
+    })
+
+    it('moves to the next layer when the rectangle does not fit', () => {
+      const a = new SlotAllocator(2, 4)
+      a.allocateGroup('big', keys('a', 12), 4) // rows 0-2 of layer 0
+      const slots = a.allocateGroup('g', keys('b', 4), 2)
+      expect(slots.every(s => s.layer === 1)).toBe(true)
+      expect(slots[0]).toEqual({ layer: 1, slotX: 0, slotY: 0 })
+    })
+
+    it('falls back to scattered slots on one layer when fragmented', () => {
+      const a = new SlotAllocator(2, 2) // 4 slots per layer
+      a.allocate('x0')
+      a.allocate('x1')
+      a.allocate('x2')
+      a.allocate('x3')
+      a.free('x0')
+      a.free('x3')
+      // Layer 0 has free slots (0,0) and (1,1) — no 2×1 rectangle anywhere on it,
+      // but layer 1 is empty so the group still lands on a single layer
+      const slots = a.allocateGroup('g', keys('t', 2), 2)
+      expect(slots.map(s => s.layer)).toEqual([1, 1])
+
+      // A 2×2 group no longer fits as a rectangle; fall back to filling any slot
+      const rest = a.allocateGroup('h', keys('u', 4), 2)
+      expect(rest.every(Boolean)).toBe(true)
+      expect(a.getUsedCount()).toBe(8)
+    })
+
+    it('returns null for tiles that do not fit at all', () => {
+      const a = new SlotAllocator(1, 2)
+      const slots = a.allocateGroup('g', keys('t', 6), 3)
+      expect(slots.filter(Boolean)).toHaveLength(4)
+      expect(slots.filter(s => s === null)).toHaveLength(2)
+    })
+
+    it('keeps existing slots for keys that are already allocated', () => {
+      const a = new SlotAllocator(1, 4)
+      const existing = a.allocate('t_1')
+      const slots = a.allocateGroup('g', keys('t', 3), 3)
+      expect(slots[1]).toEqual(existing)
+      expect(a.getUsedCount()).toBe(3)
+    })
+
+    it('freeGroup frees the whole block for reuse', () => {
+      const a = new SlotAllocator(1, 4)
+      const first = a.allocateGroup('g', keys('t', 4), 2)
+      expect(a.getGroup('g')).toHaveLength(4)
+      a.freeGroup('g')
+      expect(a.getUsedCount()).toBe(0)
+      expect(a.getGroup('g')).toEqual([])
+      expect(a.allocateGroup('h', keys('u', 4), 2)).toEqual(first)
+    })
+
+    it('freeing a single tile removes it from its group', () => {
+      const a = new SlotAllocator(1, 4)
+      a.allocateGroup('g', keys('t', 3), 3)
+      a.free('t_1')
+      expect(a.getGroup('g').sort()).toEqual(['t_0', 't_2'])
+    })
+  })
+
+  describe('resize', () => {
+    it('growing adds empty layers and keeps allocations', () => {
+      const a = new SlotAllocator(1, 2)
+      for (let i = 0; i < 4; i++) a.allocate(`tile_${i}`)
+      expect(a.allocate('tile_4')).toBeNull()
+
+      expect(a.resize(3)).toBe(true)
+      expect(a.getTotalSlots()).toBe(12)
+      expect(a.get('tile_0')).toEqual({ layer: 0, slotX: 0, slotY: 0 })
+      expect(a.allocate('tile_4')).toEqual({ layer: 1, slotX: 0, slotY: 0 })
+    })
+
+    it('growing keeps padding bits of odd-sized layers', () => {
+      const a = new SlotAllocator(1, 3) // 9 slots per layer
+      a.resize(2)
+      for (let i = 0; i < 18; i++) expect(a.allocate(`tile_${i}`)).not.toBeNull()
+      expect(a.allocate('overflow')).toBeNull()
+    })
+
+    it('shrinking drops empty top layers', () => {
+      const a = new SlotAllocator(4, 2)
+      a.allocate('tile_0')
+      expect(a.resize(2)).toBe(true)
+      expect(a.getTotalSlots()).toBe(8)
+      for (let i = 1; i < 8; i++) expect(a.allocate(`tile_${i}`)).not.toBeNull()
+      expect(a.allocate('overflow')).toBeNull()
+    })
+
+    it('refuses to shrink past a used layer', () => {
+      const a = new SlotAllocator(2, 2)
+      for (let i = 0; i < 5; i++) a.allocate(`tile_${i}`)
+      expect(a.resize(1)).toBe(false)
+      expect(a.getTotalSlots()).toBe(8)
+      expect(a.getHighestUsedLayer()).toBe(1)
+    })
+  })
+
+  describe('move', () => {
+    it('relocates a tile and frees its old slot', () => {
+      const a = new SlotAllocator(2, 2)
+      a.allocate('tile_0')
+      const moved = a.move('tile_0', { layer: 1, slotX: 1, slotY: 1 })
+      expect(moved).toEqual({ layer: 1, slotX: 1, slotY: 1 })
+      expect(a.get('tile_0')).toEqual(moved)
+      expect(a.getUsedCount()).toBe(1)
+      expect(a.allocate('tile_1')).toEqual({ layer: 0, slotX: 0, slotY: 0 })
+    })
+
+    it('refuses to move onto an occupied slot', () => {
+      const a = new SlotAllocator(1, 2)
+      a.allocate('tile_0')
+      const occupied = a.allocate('tile_1')
+      expect(a.move('tile_0', occupied)).toBeNull()
+      expect(a.get('tile_0')).toEqual({ layer: 0, slotX: 0, slotY: 0 })
+    })
+  })
+
   describe('production-scale scenario', () => {
     it('handles 1015 allocations with 16 layers × 16×16 tiles', () => {
       const a = new SlotAllocator(16, 16) // 4096 total — matches production
@@ -195,5 +372,16 @@ describe('SlotAllocator', () => {
       expect(a.getUsedCount()).toBe(1015)
       expect(a.getTotalSlots() - a.getUsedCount()).toBe(3081)
     })
+
+    it('fills a 4096-slot atlas completely and reuses freed slots', () => {
+      const a = new SlotAllocator(16, 16)
+      for (let i = 0; i < 4096; i++) {
+        expect(a.allocate(`t${i}`)).not.toBeNull()
+      }
+      expect(a.allocate('overflow')).toBeNull()
+      a.free('t4000')
+      expect(a.allocate('overflow')).toEqual({ layer: 15, slotX: 0, slotY: 10 })
+      expect(a.getUsedCount()).toBe(4096)
+    })
   })
 })
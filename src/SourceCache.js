@@ -0,0 +1,106 @@
+/**
+ * LRU cache of opened tile sources (see tileSources) within a byte budget.
+ *
+ * Entries are promises, so concurrent requests for one URL share a single
+ * fetch. A source's size is read from its `byteSize` once it has opened
+ * (and again on every eviction pass, since a source may fetch more later).
+ * The most recently used entry is always kept, even alone over budget.
+ * Evicting a source a task is still using only drops the cache's reference.
+ */
+export class SourceCache {
+  /**
+   * @param {number} [maxBytes] - Byte budget (Infinity = unbounded, 0 = keep only the latest)
+   */
+  constructor(maxBytes = Infinity) {
+    this.maxBytes = maxBytes
+    this.entries = new Map() // url -> { promise, source }, least recently used first
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+
+  get size() {
+    return this.entries.size
+  }
+
+  // Bytes held by the sources that have opened
+  get bytes() {
+    let total = 0
+    for (const { source } of this.entries.values()) total += source?.byteSize ?? 0
+    return total
+  }
+
+  has(url) {
+    return this.entries.has(url)
+  }
+
+  /**
+   * The cached source promise for a URL (marking it most recently used),
+   * or undefined. Counts a hit or a miss.
+   */
+  get(url) {
+    const entry = this.entries.get(url)
+    if (!entry) {
+      this.misses++
+      return undefined
+    }
+    this.hits++
+    this.entries.delete(url)
+    this.entries.set(url, entry)
+    return entry.promise
+  }
+
+  /**
+   * Cache a source promise. A rejected one is dropped so a later request
+   * retries instead of reusing the failure.
+   */
+  set(url, promise) {
+    const entry = { promise, source: null }
+    this.entries.delete(url)
+    this.entries.set(url, entry)
+    promise.then(
+      source => {
+        if (this.entries.get(url) !== entry) return
+        entry.source = source
+        this.evict()
+      },
+      () => {
+        if (this.entries.get(url) === entry) this.entries.delete(url)
+      }
+    )
+  }
+
+  delete(url) {
+    return this.entries.delete(url)
+  }
+
+  setMaxBytes(maxBytes) {
+    if (maxBytes === this.maxBytes) return
+    this.maxBytes = maxBytes
+    this.evict()
+  }
+
+  // Drop least recently used entries until within budget
+  evict() {
+    let bytes = this.bytes
+    for (const [url, { source }] of this.entries) {
+      if (bytes <= this.maxBytes || this.entries.size <= 1) return
+      bytes -= source?.byteSize ?? 0
+      this.entries.delete(url)
+      this.evictions++
+    }
+  }
+
+  /**
+   * @returns {{ hits: number, misses: number, evictions: number, entries: number, bytes: number }}
+   */
+  getStats() {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      entries: this.entries.size,
+      bytes: this.bytes
+    }
+  }
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { SourceCache } from './SourceCache'
+
+const source = byteSize => Promise.resolve({ byteSize })
+const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+describe('SourceCache', () => {
+  it('counts hits and misses and shares one promise per URL', () => {
+    const cache = new SourceCache()
+    expect(cache.get('/a.jpg')).toBeUndefined()
+    const promise = source(10)
+    cache.set('/a.jpg', promise)
+    expect(cache.get('/a.jpg')).toBe(promise)
+    expect(cache.getStats()).toMatchObject({ hits: 1, misses: 1, entries: 1 })
+  })
+
+  it('evicts least recently used sources once over budget', async () => {
+    const cache = new SourceCache(250)
+    cache.set('/a.jpg', source(100))
+    cache.set('/b.jpg', source(100))
+    await settle()
+    cache.get('/a.jpg')
+    cache.set('/c.jpg', source(100))
+    await settle()
+    expect(cache.has('/a.jpg')).toBe(true)
+    expect(cache.has('/b.jpg')).toBe(false)
+    expect(cache.getStats()).toMatchObject({ entries: 2, bytes: 200, evictions: 1 })
+  })
+
+  it('keeps the latest source even when it alone is over budget', async () => {
+    const cache = new SourceCache(50)
+    cache.set('/a.jpg', source(10))
+    cache.set('/b.jpg', source(100))
+    await settle()
+    expect(cache.has('/a.jpg')).toBe(false)
+    expect(cache.has('/b.jpg')).toBe(true)
+  })
+
+  it('drops rejected sources so they are fetched again', async () => {
+    const cache = new SourceCache()
+    cache.set('/a.jpg', Promise.reject(new Error('404')).catch(err => { throw err }))
+    await settle()
+    expect(cache.has('/a.jpg')).toBe(false)
+  })
+
+  it('re-reads sizes that grew after opening', async () => {
+    const cache = new SourceCache(150)
+    const grows = { byteSize: 0 }
+    cache.set('/pre/{lod}/{x}_{y}.jpg', Promise.resolve(grows))
+    cache.set('/b.jpg', source(100))
+    await settle()
+    expect(cache.size).toBe(2)
+
+    grows.byteSize = 100
+    cache.setMaxBytes(120)
+    expect(cache.has('/pre/{lod}/{x}_{y}.jpg')).toBe(false)
+    expect(cache.bytes).toBe(100)
+  })
+})
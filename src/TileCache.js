@@ -0,0 +1,192 @@
+/**
+ * Persistent tile cache in IndexedDB, so a reload doesn't fetch and decode
+ * every image again. Shared by every worker (and tab) of an origin.
+ *
+ * Records are keyed by getTileCacheKey: the source URL, LOD, tile and
+ * everything that changes the pixels (tile size, gutter, mips, format),
+ * plus a content version to bump when the images behind the URLs change.
+ * Least recently used records are evicted past the byte quota.
+ */
+
+const DB_NAME = 'tile-cache'
+const STORE = 'tiles'
+const DB_VERSION = 1
+
+// Evict once this fraction of the quota has been written since the last pass
+const EVICT_SLACK = 0.1
+
+// Reads are readonly, so they don't queue behind each other; their access
+// times are written back this many at a time (and before every eviction pass)
+const TOUCH_BATCH = 64
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error ?? new Error('TileCache: transaction aborted'))
+  })
+}
+
+function openDatabase(dbName) {
+  const request = indexedDB.open(dbName, DB_VERSION)
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'key' })
+    store.createIndex('lastUsed', 'lastUsed')
+  }
+  return promisify(request)
+}
+
+/**
+ * Key of one cached tile. The image's own record (its pixel size) uses
+ * lodLevel = 'size' and no tile.
+ * @param {object} tile
+ * @param {string} tile.version - Content version (see tileConfig.tileCacheVersion)
+ * @param {string} tile.url - Source URL
+ * @param {number | string} tile.lodLevel
+ * @param {number} [tile.tx]
+ * @param {number} [tile.ty]
+ * @param {string} [tile.variant] - Whatever else shapes the pixels, e.g. `256/4/3/bc1`
+ */
+export function getTileCacheKey({ version, url, lodLevel, tx = 0, ty = 0, variant = '' }) {
+  return `${version}|${url}|${lodLevel}|${tx}_${ty}|${variant}`
+}
+
+export class TileCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Quota for all records together
+   * @param {string} [options.dbName]
+   * @param {() => number} [options.now] - Clock for recency
+   * @returns {Promise<TileCache>}
+   */
+  static async open({ maxBytes = Infinity, dbName = DB_NAME, now } = {}) {
+    return new TileCache(await openDatabase(dbName), { maxBytes, now })
+  }
+
+  constructor(db, { maxBytes = Infinity, now = () => Date.now() } = {}) {
+    this.db = db
+    this.maxBytes = maxBytes
+    this.now = now
+    this.unevictedBytes = 0
+    this.touched = new Map() // key -> lastUsed not yet written
+    this.hits = 0
+    this.misses = 0
+  }
+
+  /**
+   * A record's data (marking it recently used), or undefined.
+   */
+  async get(key) {
+    const record = await promisify(this.db.transaction(STORE).objectStore(STORE).get(key))
+    if (!record) {
+      this.misses++
+      return undefined
+    }
+    this.hits++
+    this.touched.set(key, this.now())
+    if (this.touched.size >= TOUCH_BATCH) this.flushTouches().catch(() => {})
+    return record.data
+  }
+
+  /**
+   * Write the access times of records read since the last flush.
+   */
+  async flushTouches() {
+    if (this.touched.size === 0) return
+    const touched = this.touched
+    this.touched = new Map()
+    const tx = this.db.transaction(STORE, 'readwrite')
+    const store = tx.objectStore(STORE)
+    for (const [key, lastUsed] of touched) {
+      const request = store.get(key)
+      request.onsuccess = () => {
+        if (request.result) store.put({ ...request.result, lastUsed })
+      }
+    }
+    await transactionDone(tx)
+  }
+
+  /**
+   * Store structured-cloneable data (Blobs, typed arrays, plain objects).
+   * @param {number} bytes - Its size, counted against the quota
+   */
+  async put(key, data, bytes) {
+    const tx = this.db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).put({ key, data, bytes, lastUsed: this.now() })
+    this.touched.delete(key)
+    await transactionDone(tx)
+
+    this.unevictedBytes += bytes
+    if (this.unevictedBytes > this.maxBytes * EVICT_SLACK) {
+      this.unevictedBytes = 0
+      await this.evict()
+    }
+  }
+
+  /**
+   * Delete least recently used records until the rest fit the quota.
+   * @returns {Promise<number>} Records deleted
+   */
+  async evict() {
+    await this.flushTouches()
+    const tx = this.db.transaction(STORE, 'readwrite')
+    const cursorRequest = tx.objectStore(STORE).index('lastUsed').openCursor(null, 'prev')
+    let kept = 0
+    let deleted = 0
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result
+      if (!cursor) return
+      kept += cursor.value.bytes
+      if (kept > this.maxBytes) {
+        cursor.delete()
+        deleted++
+      }
+      cursor.continue()
+    }
+    await transactionDone(tx)
+    return deleted
+  }
+
+  /**
+   * Records and bytes stored (reads every record: for tests and tooling).
+   * @returns {Promise<{ records: number, bytes: number }>}
+   */
+  async getUsage() {
+    const records = await promisify(this.db.transaction(STORE).objectStore(STORE).getAll())
+    return { records: records.length, bytes: records.reduce((sum, record) => sum + record.bytes, 0) }
+  }
+
+  async clear() {
+    const tx = this.db.transaction(STORE, 'readwrite')
+    tx.objectStore(STORE).clear()
+    this.touched.clear()
+    await transactionDone(tx)
+    this.unevictedBytes = 0
+  }
+
+  // Pending access times are written first: close() lets started transactions finish
+  close() {
+    this.flushTouches().catch(() => {})
+    this.db.close()
+  }
+}
+
+/**
+ * Empty the persistent tile cache, e.g. from a settings panel. Workers keep
+ * using the same database, so nothing needs restarting.
+ */
+export async function clearTileCache(dbName = DB_NAME) {
+  const cache = await TileCache.open({ dbName })
+  try {
+    await cache.clear()
+  } finally {
+    cache.close()
+  }
+}
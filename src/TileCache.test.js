@@ -0,0 +1,88 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach } from 'vitest'
+import { TileCache, getTileCacheKey, clearTileCache } from './TileCache'
+
+let dbCount = 0
+let dbName
+let clock
+const open = (maxBytes = Infinity) => TileCache.open({ maxBytes, dbName, now: () => clock++ })
+const levels = bytes => ({ levels: [new Uint8Array(bytes)] })
+
+describe('TileCache', () => {
+  beforeEach(() => {
+    dbName = `tile-cache-test-${dbCount++}`
+    clock = 0
+  })
+
+  it('keys tiles by version, URL, LOD, tile and variant', () => {
+    const tile = { version: '1', url: '/a.jpg', lodLevel: 2, tx: 3, ty: 4, variant: '256/4/3/rgba' }
+    const key = getTileCacheKey(tile)
+    expect(getTileCacheKey({ ...tile })).toBe(key)
+    for (const change of [{ version: '2' }, { url: '/b.jpg' }, { lodLevel: 1 }, { tx: 4, ty: 3 }, { variant: '256/4/3/bc1' }]) {
+      expect(getTileCacheKey({ ...tile, ...change })).not.toBe(key)
+    }
+  })
+
+  it('stores records across instances and counts hits and misses', async () => {
+    const first = await open()
+    await first.put('a', levels(10), 10)
+    first.close()
+
+    const second = await open()
+    expect((await second.get('a')).levels[0]).toHaveLength(10)
+    expect(await second.get('b')).toBeUndefined()
+    expect(second).toMatchObject({ hits: 1, misses: 1 })
+    second.close()
+  })
+
+  it('evicts least recently used records past the quota', async () => {
+    const cache = await open(250)
+    await cache.put('a', levels(100), 100)
+    await cache.put('b', levels(100), 100)
+    await cache.get('a')
+    await cache.put('c', levels(100), 100)
+
+    expect(await cache.get('b')).toBeUndefined()
+    expect(await cache.get('a')).toBeDefined()
+    expect(await cache.get('c')).toBeDefined()
+    expect(await cache.getUsage()).toEqual({ records: 2, bytes: 200 })
+    cache.close()
+  })
+
+  it('reads in readonly transactions', async () => {
+    const cache = await open()
+    await cache.put('a', levels(10), 10)
+    const modes = []
+    const transaction = cache.db.transaction.bind(cache.db)
+    cache.db.transaction = (store, mode = 'readonly') => {
+      modes.push(mode)
+      return transaction(store, mode)
+    }
+    await cache.get('a')
+    await cache.get('b')
+    expect(modes).toEqual(['readonly', 'readonly'])
+    cache.close()
+  })
+
+  it('keeps access times from reads across instances', async () => {
+    const first = await open()
+    await first.put('a', levels(100), 100)
+    await first.put('b', levels(100), 100)
+    await first.get('a')
+    first.close()
+
+    const second = await open(150)
+    expect(await second.evict()).toBe(1)
+    expect(await second.get('a')).toBeDefined()
+    expect(await second.get('b')).toBeUndefined()
+    second.close()
+  })
+
+  it('can be cleared from outside the workers', async () => {
+    const cache = await open()
+    await cache.put('a', levels(10), 10)
+    await clearTileCache(dbName)
+    expect(await cache.getUsage()).toEqual({ records: 0, bytes: 0 })
+    cache.close()
+  })
+})
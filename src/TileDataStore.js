@@ -1,24 +1,125 @@
+// Failed loads: retry after 1 s, 2 s, 4 s ... (at most 30 s), give up after 5
+export const DEFAULT_RETRY = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 30000 }
+
+/**
+ * Wait before retrying an image whose load has failed `attempts` times.
+ */
+export function getRetryDelay(attempts, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY) {
+  return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1))
+}
+
+/**
+ * Atlas group of an image's tiles at one LOD (see SlotAllocator.allocateGroup).
+ * Tile keys are `${groupId}_${tx}_${ty}`.
+ */
+export function getTileGroupId(imageIndex, lodLevel) {
+  return `${imageIndex}_lod${lodLevel}`
+}
+
 export class TileDataStore {
-  constructor(maxLod = 4) {
+  constructor(maxLod = 4, retry = DEFAULT_RETRY) {
     this.maxLod = maxLod
+    this.retry = retry
     this.data = new Map() // imageIndex -> Map(lodLevel -> instances)
     this.tileKeys = new Map() // imageIndex -> Map(lodLevel -> string[])
+    this.tileKeySets = new Map() // "imageIndex_lodLevel" -> Set of the same keys, for lookups
     this.loadingPromises = new Map() // "imageIndex_lodLevel" -> Promise
     this.requestedLod = new Map() // imageIndex -> current requested LOD
+    this.presentTiles = new Map() // "imageIndex_lodLevel" -> Set("tx_ty")
+    this.complete = new Set() // "imageIndex_lodLevel" with every tile loaded
+    this.gridSizes = new Map() // "imageIndex_lodLevel" -> tiles in the LOD's grid (see setTileGrid)
+    this.pendingUploads = new Map() // "imageIndex_lodLevel" -> Set(tileKey) with a slot but no texels yet
+    this.pendingKeys = new Map() // tileKey -> "imageIndex_lodLevel"
+    this.imageInfo = new Map() // imageIndex -> { worldWidth, worldHeight, imageWidth, imageHeight }
+    this.probes = new Map() // imageIndex -> 'pending' | 'failed' (size probes, see TileLoaderPool)
+    this.failures = new Map() // imageIndex -> { attempts, retryAt, error }
   }
 
   getKey(imageIndex, lodLevel) {
     return `${imageIndex}_${lodLevel}`
   }
 
+  // Whether every tile of the image is loaded at this LOD
   has(imageIndex, lodLevel) {
+    return this.complete.has(this.getKey(imageIndex, lodLevel))
+  }
+
+  /**
+   * Whether every tile is loaded and written to the atlas, so the LOD can be
+   * drawn on its own (has() alone only means nothing is left to request).
+   */
+  isDrawable(imageIndex, lodLevel) {
+    return this.has(imageIndex, lodLevel) && !this.pendingUploads.has(this.getKey(imageIndex, lodLevel))
+  }
+
+  // Whether any tile of the image is loaded at this LOD
+  hasTiles(imageIndex, lodLevel) {
     return this.data.get(imageIndex)?.has(lodLevel) ?? false
   }
 
+  hasTile(imageIndex, lodLevel, tx, ty) {
+    return this.presentTiles.get(this.getKey(imageIndex, lodLevel))?.has(`${tx}_${ty}`) ?? false
+  }
+
+  /**
+   * Whether every tile in a range (see tileGrid) is loaded.
+   */
+  hasTileRange(imageIndex, lodLevel, range) {
+    if (this.has(imageIndex, lodLevel)) return true
+    const present = this.presentTiles.get(this.getKey(imageIndex, lodLevel))
+    if (!present) return false
+    for (let ty = range.y0; ty < range.y1; ty++) {
+      for (let tx = range.x0; tx < range.x1; tx++) {
+        if (!present.has(`${tx}_${ty}`)) return false
+      }
+    }
+    return true
+  }
+
   get(imageIndex, lodLevel) {
     return this.data.get(imageIndex)?.get(lodLevel)
   }
 
+  // Instances whose tiles are written to the atlas (see addPendingUploads)
+  getUploaded(imageIndex, lodLevel) {
+    const instances = this.get(imageIndex, lodLevel)
+    const pending = this.pendingUploads.get(this.getKey(imageIndex, lodLevel))
+    if (!instances || !pending) return instances
+    return instances.filter(instance => !pending.has(instance.tileKey))
+  }
+
+  /**
+   * Record tiles that have atlas slots but are still queued for upload
+   * (see TileManager.flushUploads): they aren't drawn until markUploaded.
+   */
+  addPendingUploads(imageIndex, lodLevel, tileKeyList) {
+    if (tileKeyList.length === 0) return
+    const key = this.getKey(imageIndex, lodLevel)
+    if (!this.pendingUploads.has(key)) this.pendingUploads.set(key, new Set())
+    const pending = this.pendingUploads.get(key)
+    for (const tileKey of tileKeyList) {
+      pending.add(tileKey)
+      this.pendingKeys.set(tileKey, key)
+    }
+  }
+
+  // Tiles TileManager.flushUploads wrote (keys the store isn't waiting on are ignored)
+  markUploaded(tileKeyList) {
+    for (const tileKey of tileKeyList) {
+      const key = this.pendingKeys.get(tileKey)
+      if (key === undefined) continue
+      this.pendingKeys.delete(tileKey)
+      const pending = this.pendingUploads.get(key)
+      pending.delete(tileKey)
+      if (pending.size === 0) this.pendingUploads.delete(key)
+    }
+  }
+
+  hasPendingUploads(imageIndex, lodLevel) {
+    return this.pendingUploads.has(this.getKey(imageIndex, lodLevel))
+  }
+
+  // Store every tile of an image at a LOD
   set(imageIndex, lodLevel, instances, tileKeyList) {
     if (!this.data.has(imageIndex)) {
       this.data.set(imageIndex, new Map())
@@ -30,6 +131,164 @@ export class TileDataStore {
       }
       this.tileKeys.get(imageIndex).set(lodLevel, tileKeyList)
     }
+
+    const key = this.getKey(imageIndex, lodLevel)
+    if (tileKeyList) this.tileKeySets.set(key, new Set(tileKeyList))
+    this.presentTiles.set(key, new Set(instances.filter(i => i.tx !== undefined).map(i => `${i.tx}_${i.ty}`)))
+    this.complete.add(key)
+  }
+
+  /**
+   * Record the size of an image's tile grid at a LOD, so loads that each
+   * covered part of it complete the LOD once together they cover it all.
+   */
+  setTileGrid(imageIndex, lodLevel, tilesX, tilesY) {
+    this.gridSizes.set(this.getKey(imageIndex, lodLevel), tilesX * tilesY)
+  }
+
+  /**
+   * Add some tiles of an image at a LOD (instances carry tx/ty). Tiles
+   * already present are skipped. The LOD becomes complete once its tiles
+   * and empty cells fill the whole grid (see setTileGrid).
+   * @param {boolean} [complete] - Whether the image is now fully loaded at this LOD
+   */
+  addTiles(imageIndex, lodLevel, instances, tileKeyList, complete = false) {
+    const key = this.getKey(imageIndex, lodLevel)
+    if (!this.data.has(imageIndex)) this.data.set(imageIndex, new Map())
+    if (!this.tileKeys.has(imageIndex)) this.tileKeys.set(imageIndex, new Map())
+    const lodMap = this.data.get(imageIndex)
+    const keyMap = this.tileKeys.get(imageIndex)
+    if (!lodMap.has(lodLevel)) lodMap.set(lodLevel, [])
+    if (!keyMap.has(lodLevel)) keyMap.set(lodLevel, [])
+    if (!this.tileKeySets.has(key)) this.tileKeySets.set(key, new Set(keyMap.get(lodLevel)))
+    if (!this.presentTiles.has(key)) this.presentTiles.set(key, new Set())
+
+    const stored = lodMap.get(lodLevel)
+    const storedKeys = keyMap.get(lodLevel)
+    const storedKeySet = this.tileKeySets.get(key)
+    const present = this.presentTiles.get(key)
+    for (const instance of instances) {
+      const tileId = `${instance.tx}_${instance.ty}`
+      if (present.has(tileId)) continue
+      present.add(tileId)
+      stored.push(instance)
+    }
+    for (const tileKey of tileKeyList) {
+      if (storedKeySet.has(tileKey)) continue
+      storedKeySet.add(tileKey)
+      storedKeys.push(tileKey)
+    }
+
+    if (complete || present.size === this.gridSizes.get(key)) this.complete.add(key)
+  }
+
+  // Record grid cells with no image content (nothing to load or draw there)
+  addEmptyTiles(imageIndex, lodLevel, tiles) {
+    if (tiles.length === 0) return
+    const key = this.getKey(imageIndex, lodLevel)
+    if (!this.presentTiles.has(key)) this.presentTiles.set(key, new Set())
+    const present = this.presentTiles.get(key)
+    for (const { tx, ty } of tiles) present.add(`${tx}_${ty}`)
+  }
+
+  // Drop an image's tiles at one LOD (atlas slots are the caller's concern)
+  delete(imageIndex, lodLevel) {
+    const key = this.getKey(imageIndex, lodLevel)
+    this.data.get(imageIndex)?.delete(lodLevel)
+    this.tileKeys.get(imageIndex)?.delete(lodLevel)
+    this.tileKeySets.delete(key)
+    this.presentTiles.delete(key)
+    this.complete.delete(key)
+    for (const tileKey of this.pendingUploads.get(key) ?? []) this.pendingKeys.delete(tileKey)
+    this.pendingUploads.delete(key)
+
+    if (this.data.get(imageIndex)?.size === 0) {
+      this.data.delete(imageIndex)
+      this.tileKeys.delete(imageIndex)
+    }
+  }
+
+  // Image geometry, known from the manifest, a size probe or once any LOD of it has loaded
+  setImageInfo(imageIndex, info) {
+    this.imageInfo.set(imageIndex, info)
+    this.probes.delete(imageIndex)
+  }
+
+  getImageInfo(imageIndex) {
+    return this.imageInfo.get(imageIndex)
+  }
+
+  // Longer side of the source image in pixels, for capping its LOD; null until known
+  getImagePixelSize(imageIndex) {
+    const info = this.imageInfo.get(imageIndex)
+    return info?.imageWidth ? Math.max(info.imageWidth, info.imageHeight) : null
+  }
+
+  // Size unknown and not probed yet (a failed probe isn't retried)
+  needsProbe(imageIndex) {
+    return !this.imageInfo.has(imageIndex) && !this.probes.has(imageIndex)
+  }
+
+  isProbing(imageIndex) {
+    return this.probes.get(imageIndex) === 'pending'
+  }
+
+  setProbing(imageIndex) {
+    this.probes.set(imageIndex, 'pending')
+  }
+
+  // Forget a cancelled probe so it is asked again next time
+  clearProbe(imageIndex) {
+    this.probes.delete(imageIndex)
+  }
+
+  setProbeFailed(imageIndex) {
+    if (!this.imageInfo.has(imageIndex)) this.probes.set(imageIndex, 'failed')
+  }
+
+  /**
+   * Count a failed load (of any LOD): the image waits getRetryDelay before
+   * its next load and is given up on after retry.maxAttempts.
+   * @param {number} now - performance.now()
+   */
+  recordFailure(imageIndex, error, now) {
+    const attempts = (this.failures.get(imageIndex)?.attempts ?? 0) + 1
+    this.failures.set(imageIndex, {
+      attempts,
+      retryAt: now + getRetryDelay(attempts, this.retry),
+      error: error?.message ?? String(error)
+    })
+  }
+
+  // A load succeeded: start counting from zero again
+  clearFailure(imageIndex) {
+    this.failures.delete(imageIndex)
+  }
+
+  // No failures, or the backoff has passed and attempts remain
+  canLoad(imageIndex, now) {
+    const failure = this.failures.get(imageIndex)
+    return !failure || (failure.attempts < this.retry.maxAttempts && now >= failure.retryAt)
+  }
+
+  // Given up on: drawn as a placeholder if nothing of it is loaded
+  hasFailed(imageIndex) {
+    return (this.failures.get(imageIndex)?.attempts ?? 0) >= this.retry.maxAttempts
+  }
+
+  getFailure(imageIndex) {
+    return this.failures.get(imageIndex)
+  }
+
+  /**
+   * @returns {{ retrying: number, failed: number }} Images waiting to retry, and given up on
+   */
+  getFailureCounts() {
+    let failed = 0
+    for (const { attempts } of this.failures.values()) {
+      if (attempts >= this.retry.maxAttempts) failed++
+    }
+    return { retrying: this.failures.size - failed, failed }
   }
 
   isLoading(imageIndex, lodLevel) {
@@ -91,30 +350,39 @@ export class TileDataStore {
     for (const { imageIndex, lodLevel, keys, tileCount } of candidates) {
       if (currentFree >= targetFreeSlots) break
 
+      // The group's slots are freed as one block; tiles allocated on their own are freed by key
+      tileManager.freeGroup(getTileGroupId(imageIndex, lodLevel))
       if (keys) {
         for (const tileKey of keys) tileManager.freeTile(tileKey)
-        this.tileKeys.get(imageIndex)?.delete(lodLevel)
-      }
-      this.data.get(imageIndex)?.delete(lodLevel)
-
-      if (this.data.get(imageIndex)?.size === 0) {
-        this.data.delete(imageIndex)
-        this.tileKeys.delete(imageIndex)
       }
+      this.delete(imageIndex, lodLevel)
 
       currentFree += tileCount
     }
   }
 
-  // Get best available LOD for an image (prefer target or lower, fall back to higher)
+  // Point instances at new atlas slots after TileManager.compact() moved their tiles
+  remapSlots(remapped) {
+    if (remapped.size === 0) return
+    for (const lodMap of this.data.values()) {
+      for (const instances of lodMap.values()) {
+        for (const instance of instances) {
+          const slot = instance.tileKey !== undefined && remapped.get(instance.tileKey)
+          if (slot) instance.slot = slot
+        }
+      }
+    }
+  }
+
+  // Get best drawable LOD for an image (prefer target or lower, fall back to higher)
   getBestAvailableLod(imageIndex, targetLod) {
     for (let lod = targetLod; lod >= 0; lod--) {
-      if (this.has(imageIndex, lod)) {
+      if (this.isDrawable(imageIndex, lod)) {
         return lod
       }
     }
     for (let lod = targetLod + 1; lod <= this.maxLod; lod++) {
-      if (this.has(imageIndex, lod)) {
+      if (this.isDrawable(imageIndex, lod)) {
         return lod
       }
     }
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest'
-import { TileDataStore } from './TileDataStore'
+import { TileDataStore, getRetryDelay, getTileGroupId } from './TileDataStore'
 import { SlotAllocator } from './SlotAllocator'
 
 /**
@@ -10,6 +10,7 @@ function makeMockTileManager(maxLayers = 2, tilesPerRow = 4) {
   return {
     slots,
     freeTile(key) { slots.free(key) },
+    freeGroup(groupId) { slots.freeGroup(groupId) },
     getUsedSlotCount() { return slots.getUsedCount() },
     getTotalSlots() { return slots.getTotalSlots() },
     // Helper: allocate a key (simulates uploadTile without WebGL)
@@ -88,6 +89,249 @@ describe('TileDataStore', () => {
     })
   })
 
+  describe('remapSlots', () => {
+    it('rewrites slots of instances whose tiles moved', () => {
+      const store = new TileDataStore()
+      const a = { tileKey: 'a', slot: { layer: 3, slotX: 0, slotY: 0 } }
+      const b = { tileKey: 'b', slot: { layer: 0, slotX: 1, slotY: 0 } }
+      store.set(0, 1, [a, b], ['a', 'b'])
+      store.remapSlots(new Map([['a', { layer: 0, slotX: 0, slotY: 0 }]]))
+      expect(a.slot).toEqual({ layer: 0, slotX: 0, slotY: 0 })
+      expect(b.slot).toEqual({ layer: 0, slotX: 1, slotY: 0 })
+    })
+  })
+
+  describe('partial tiles', () => {
+    const tile = (tx, ty) => ({ tileKey: `0_lod3_${tx}_${ty}`, tx, ty, slot: {} })
+
+    it('addTiles stores tiles without marking the LOD complete', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 3, [tile(1, 1), tile(2, 1)], ['0_lod3_1_1', '0_lod3_2_1'])
+      expect(store.has(0, 3)).toBe(false)
+      expect(store.hasTiles(0, 3)).toBe(true)
+      expect(store.hasTile(0, 3, 2, 1)).toBe(true)
+      expect(store.hasTile(0, 3, 0, 0)).toBe(false)
+      expect(store.get(0, 3)).toHaveLength(2)
+    })
+
+    it('addTiles merges and skips tiles already present', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 3, [tile(0, 0)], ['0_lod3_0_0'])
+      store.addTiles(0, 3, [tile(0, 0), tile(1, 0)], ['0_lod3_0_0', '0_lod3_1_0'])
+      expect(store.get(0, 3)).toHaveLength(2)
+      expect(store.tileKeys.get(0).get(3)).toEqual(['0_lod3_0_0', '0_lod3_1_0'])
+    })
+
+    it('addTiles skips keys already stored, also by set(), until the LOD is deleted', () => {
+      const store = new TileDataStore()
+      store.set(0, 3, [tile(0, 0)], ['0_lod3_0_0'])
+      store.addTiles(0, 3, [tile(1, 0)], ['0_lod3_0_0', '0_lod3_1_0'])
+      expect(store.tileKeys.get(0).get(3)).toEqual(['0_lod3_0_0', '0_lod3_1_0'])
+      store.delete(0, 3)
+      store.addTiles(0, 3, [tile(0, 0)], ['0_lod3_0_0'])
+      expect(store.tileKeys.get(0).get(3)).toEqual(['0_lod3_0_0'])
+    })
+
+    it('addTiles with complete = true makes has() true', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 1, [tile(0, 0), tile(1, 0)], ['a', 'b'], true)
+      expect(store.has(0, 1)).toBe(true)
+    })
+
+    it('clipped loads that together cover the grid complete the LOD', () => {
+      const store = new TileDataStore()
+      store.setTileGrid(0, 3, 3, 2)
+      // Two pans: the left and right halves of a 3×2 grid, one cell empty
+      store.addTiles(0, 3, [tile(0, 0), tile(1, 0), tile(0, 1)], ['a', 'b', 'c'])
+      expect(store.has(0, 3)).toBe(false)
+      store.addEmptyTiles(0, 3, [{ tx: 2, ty: 1 }])
+      store.addTiles(0, 3, [tile(1, 1), tile(2, 0)], ['d', 'e'])
+      expect(store.has(0, 3)).toBe(true)
+      expect(store.getBestAvailableLod(0, 3)).toBe(3)
+    })
+
+    it('partial LODs are not used as the best available LOD', () => {
+      const store = new TileDataStore()
+      store.set(0, 0, [tile(0, 0)], ['base'])
+      store.addTiles(0, 3, [tile(4, 4)], ['0_lod3_4_4'])
+      expect(store.getBestAvailableLod(0, 3)).toBe(0)
+    })
+
+    it('hasTileRange checks every tile in the range', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 3, [tile(1, 1), tile(2, 1), tile(1, 2)], ['a', 'b', 'c'])
+      expect(store.hasTileRange(0, 3, { x0: 1, y0: 1, x1: 3, y1: 2 })).toBe(true)
+      expect(store.hasTileRange(0, 3, { x0: 1, y0: 1, x1: 3, y1: 3 })).toBe(false)
+      expect(store.hasTileRange(1, 3, { x0: 0, y0: 0, x1: 1, y1: 1 })).toBe(false)
+    })
+
+    it('hasTileRange is true for any range of a complete LOD', () => {
+      const store = new TileDataStore()
+      store.set(0, 2, [{ fake: true }], ['k'])
+      expect(store.hasTileRange(0, 2, { x0: 0, y0: 0, x1: 4, y1: 4 })).toBe(true)
+    })
+
+    it('empty grid cells count as present for hasTileRange', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 3, [tile(0, 0)], ['a'])
+      store.addEmptyTiles(0, 3, [{ tx: 1, ty: 0 }])
+      expect(store.hasTileRange(0, 3, { x0: 0, y0: 0, x1: 2, y1: 1 })).toBe(true)
+      expect(store.get(0, 3)).toHaveLength(1)
+    })
+
+    it('delete drops tiles and completeness', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 3, [tile(0, 0)], ['a'], true)
+      store.delete(0, 3)
+      expect(store.has(0, 3)).toBe(false)
+      expect(store.hasTile(0, 3, 0, 0)).toBe(false)
+      expect(store.data.has(0)).toBe(false)
+    })
+
+    it('evictStale frees partially loaded LODs', () => {
+      const tm = makeMockTileManager(2, 4)
+      const store = new TileDataStore()
+      tm.uploadTile('a')
+      tm.uploadTile('b')
+      store.addTiles(0, 3, [tile(0, 0), tile(1, 0)], ['a', 'b'])
+      store.evictStale(new Set(), tm, [], 32)
+      expect(tm.getUsedSlotCount()).toBe(0)
+      expect(store.hasTiles(0, 3)).toBe(false)
+    })
+
+    it('stores image info', () => {
+      const store = new TileDataStore()
+      expect(store.getImageInfo(0)).toBeUndefined()
+      store.setImageInfo(0, { worldWidth: 4, worldHeight: 3 })
+      expect(store.getImageInfo(0)).toEqual({ worldWidth: 4, worldHeight: 3 })
+    })
+
+    it('reports the longer pixel side once the size is known', () => {
+      const store = new TileDataStore()
+      expect(store.getImagePixelSize(0)).toBeNull()
+      store.setImageInfo(0, { worldWidth: 4, worldHeight: 3 })
+      expect(store.getImagePixelSize(0)).toBeNull()
+      store.setImageInfo(0, { worldWidth: 3, worldHeight: 4, imageWidth: 900, imageHeight: 1200 })
+      expect(store.getImagePixelSize(0)).toBe(1200)
+    })
+  })
+
+  describe('pending uploads', () => {
+    const tile = (tx, ty) => ({ tileKey: `0_lod2_${tx}_${ty}`, tx, ty, slot: {} })
+
+    it('a complete LOD is drawn only once every tile is uploaded', () => {
+      const store = new TileDataStore()
+      store.set(0, 0, [tile(0, 0)], ['0_lod2_0_0'])
+      store.set(0, 2, [tile(0, 0), tile(1, 0)], ['0_lod2_0_0', '0_lod2_1_0'])
+      store.addPendingUploads(0, 2, ['0_lod2_0_0', '0_lod2_1_0'])
+
+      // Still loaded as far as requests go
+      expect(store.has(0, 2)).toBe(true)
+      expect(store.isDrawable(0, 2)).toBe(false)
+      expect(store.getBestAvailableLod(0, 2)).toBe(0)
+
+      store.markUploaded(['0_lod2_0_0'])
+      expect(store.getUploaded(0, 2)).toEqual([tile(0, 0)])
+      expect(store.getBestAvailableLod(0, 2)).toBe(0)
+
+      store.markUploaded(['0_lod2_1_0', 'unknown'])
+      expect(store.hasPendingUploads(0, 2)).toBe(false)
+      expect(store.getBestAvailableLod(0, 2)).toBe(2)
+      expect(store.getUploaded(0, 2)).toHaveLength(2)
+    })
+
+    it('delete forgets pending tiles', () => {
+      const store = new TileDataStore()
+      store.addTiles(0, 2, [tile(0, 0)], ['0_lod2_0_0'], true)
+      store.addPendingUploads(0, 2, ['0_lod2_0_0'])
+      store.delete(0, 2)
+      expect(store.pendingKeys.size).toBe(0)
+
+      store.set(0, 2, [tile(0, 0)], ['0_lod2_0_0'])
+      expect(store.isDrawable(0, 2)).toBe(true)
+    })
+  })
+
+  describe('load failures', () => {
+    const retry = { maxAttempts: 3, baseDelayMs: 100, maxDelayMs: 250 }
+
+    it('backs off exponentially up to a cap', () => {
+      expect([1, 2, 3, 4].map(n => getRetryDelay(n, retry))).toEqual([100, 200, 250, 250])
+    })
+
+    it('holds an image back until its retry time', () => {
+      const store = new TileDataStore(4, retry)
+      expect(store.canLoad(0, 0)).toBe(true)
+      store.recordFailure(0, new Error('404'), 1000)
+      expect(store.canLoad(0, 1099)).toBe(false)
+      expect(store.canLoad(0, 1100)).toBe(true)
+      store.recordFailure(0, new Error('404'), 1100)
+      expect(store.canLoad(0, 1299)).toBe(false)
+      expect(store.getFailure(0)).toMatchObject({ attempts: 2, retryAt: 1300, error: '404' })
+    })
+
+    it('gives up after maxAttempts', () => {
+      const store = new TileDataStore(4, retry)
+      for (let i = 0; i < 3; i++) store.recordFailure(1, new Error('decode'), 0)
+      expect(store.hasFailed(1)).toBe(true)
+      expect(store.canLoad(1, Infinity)).toBe(false)
+    })
+
+    it('a success resets the count', () => {
+      const store = new TileDataStore(4, retry)
+      store.recordFailure(2, new Error('x'), 0)
+      store.recordFailure(2, new Error('x'), 0)
+      store.clearFailure(2)
+      expect(store.canLoad(2, 0)).toBe(true)
+      expect(store.getFailure(2)).toBeUndefined()
+    })
+
+    it('counts retrying and failed images', () => {
+      const store = new TileDataStore(4, retry)
+      store.recordFailure(0, new Error('x'), 0)
+      for (let i = 0; i < 3; i++) store.recordFailure(1, new Error('x'), 0)
+      expect(store.getFailureCounts()).toEqual({ retrying: 1, failed: 1 })
+    })
+  })
+
+  describe('size probes', () => {
+    it('probes each image of unknown size once', () => {
+      const store = new TileDataStore()
+      expect(store.needsProbe(0)).toBe(true)
+      store.setProbing(0)
+      expect(store.needsProbe(0)).toBe(false)
+      expect(store.isProbing(0)).toBe(true)
+      store.setProbeFailed(0)
+      expect(store.isProbing(0)).toBe(false)
+      expect(store.needsProbe(0)).toBe(false)
+    })
+
+    it('a known size ends the probe', () => {
+      const store = new TileDataStore()
+      store.setProbing(1)
+      store.setImageInfo(1, { worldWidth: 4, worldHeight: 4, imageWidth: 512, imageHeight: 512 })
+      expect(store.isProbing(1)).toBe(false)
+      // A probe failing after a tile load reported the size changes nothing
+      store.setProbeFailed(1)
+      expect(store.needsProbe(1)).toBe(false)
+      expect(store.isProbing(1)).toBe(false)
+    })
+
+    it('a cancelled probe is asked again', () => {
+      const store = new TileDataStore()
+      store.setProbing(3)
+      store.clearProbe(3)
+      expect(store.isProbing(3)).toBe(false)
+      expect(store.needsProbe(3)).toBe(true)
+    })
+
+    it('images with a known size need no probe', () => {
+      const store = new TileDataStore()
+      store.setImageInfo(2, { worldWidth: 4, worldHeight: 2, imageWidth: 800, imageHeight: 400 })
+      expect(store.needsProbe(2)).toBe(false)
+    })
+  })
+
   describe('loading state', () => {
     it('tracks loading promises', () => {
       const store = new TileDataStore()
@@ -275,6 +519,24 @@ describe('TileDataStore', () => {
       expect(tm.getUsedSlotCount()).toBe(0)
     })
 
+    it('frees each evicted image and LOD as a whole atlas group', () => {
+      const tm = makeMockTileManager(2, 4)
+      const store = new TileDataStore()
+      const groupId = getTileGroupId(3, 1)
+      const keys = [0, 1, 2, 3].map(t => `${groupId}_${t % 2}_${t >> 1}`)
+      tm.slots.allocateGroup(groupId, keys, 2)
+      store.set(3, 1, [{ fake: true }], keys)
+      const kept = getTileGroupId(4, 1)
+      tm.slots.allocateGroup(kept, [`${kept}_0_0`], 1)
+      store.set(4, 1, [{ fake: true }], [`${kept}_0_0`])
+
+      store.evictStale(new Set(['4_1']), tm, [], 32)
+      expect(tm.slots.getGroup(groupId)).toEqual([])
+      expect(tm.slots.groups.has(groupId)).toBe(false)
+      expect(tm.slots.getGroup(kept)).toHaveLength(1)
+      expect(tm.getUsedSlotCount()).toBe(1)
+    })
+
     it('cleans up empty data maps after eviction', () => {
       const tm = makeMockTileManager(2, 4)
       const store = new TileDataStore()
@@ -1,76 +1,438 @@
 import TileWorker from './tileWorker.js?worker'
+import { DEFAULT_TILE_CONFIG } from './tileConfig'
+import { PriorityQueue } from './PriorityQueue'
+import { getInitialPoolSize, choosePoolSize, RateMeter, IDLE_TIMEOUT_MS } from './poolSizing'
 
-// Worker pool — pull-based priority queue (highest LOD dispatched first)
+// Frame times above this are tab switches or stalls, not load
+const MAX_FRAME_SAMPLE_MS = 250
+const BYTES_PER_MB = 1024 * 1024
+
+/**
+ * Close the bitmaps of a tile load result that won't be stored (it was
+ * cancelled, or arrived for a disposed atlas).
+ */
+export function closeTileData(data) {
+  for (const bitmap of data.bitmaps ?? []) bitmap.close()
+  for (const mips of data.mipBitmaps ?? []) for (const mip of mips) mip.close()
+}
+
+// Per-tile arrays of a tile load message, in the same order
+const TILE_ARRAYS = ['tiles', 'bitmaps', 'mipBitmaps', 'tileLevels']
+
+/**
+ * One result from a load's batches, the 'done' message last: its fields,
+ * with every batch's tiles (and their bitmaps or block data) in arrival order.
+ */
+export function mergeTileBatches(batches) {
+  const merged = { ...batches[batches.length - 1] }
+  for (const key of TILE_ARRAYS) {
+    if (merged[key]) merged[key] = batches.flatMap(batch => batch[key] ?? [])
+  }
+  return merged
+}
+
+/**
+ * Worker pool — pull-based priority queue (highest priority dispatched first).
+ *
+ * Workers post a load's tiles in batches as they finish (see tileWorker);
+ * callers take them as they come through loadImageTiles' onTiles, or all at
+ * once in the result.
+ *
+ * Starts with a worker per spare core (within config.minWorkers..maxWorkers)
+ * and resizes as it runs (see poolSizing): workers are added while a backlog
+ * waits, removed when they don't add throughput or frames get slow, and
+ * terminated after sitting idle.
+ *
+ * Each URL's tasks go to the worker that last ran one, so only that worker
+ * caches its source; when another worker has to take it, the previous one is
+ * told to drop its copy. The source cache budget is split between workers.
+ */
 export class TileLoaderPool {
-  constructor(poolSize = 4) {
-    this.workers = Array.from({ length: poolSize }, () => new TileWorker())
-    this.idleWorkers = [...Array(poolSize).keys()]
-    this.queue = [] // kept sorted: highest priority first
-    this.active = new Map() // id -> { resolve, reject, workerIdx }
+  /**
+   * @param {object} [options]
+   * @param {() => number} [options.now] - Clock in ms
+   * @param {number} [options.hardwareConcurrency] - Core count for the starting size
+   */
+  constructor(config = DEFAULT_TILE_CONFIG, {
+    now = () => performance.now(),
+    hardwareConcurrency = globalThis.navigator?.hardwareConcurrency
+  } = {}) {
+    this.config = config
+    this.compressedFormat = null // block format name; null = RGBA bitmaps
+    this.workers = [] // { worker, idleSince, retiring }
+    this.idleWorkers = []
+    this.queue = new PriorityQueue() // tasks by priority
+    this.active = new Map() // id -> { task, handle, cancelled, batches }
     this.idCounter = 0
+    this.urlOwners = new Map() // url -> worker handle caching its source
 
-    this.workers.forEach((worker, idx) => {
-      worker.onmessage = (e) => {
-        const { id, status } = e.data
-        if (status !== 'done' && status !== 'error') return // ignore intermediate messages
-        const entry = this.active.get(id)
-        if (entry) {
-          if (status === 'done') entry.resolve(e.data)
-          else entry.reject(new Error(e.data.error))
-          this.active.delete(id)
-          this.idleWorkers.push(idx)
-          this._dispatch()
-        }
-      }
-    })
+    // Source cache figures of terminated workers (live ones report theirs)
+    this.retiredCache = { hits: 0, misses: 0, evictions: 0 }
+
+    // Sizing state
+    this.now = now
+    this.decodeRate = new RateMeter() // tiles per second
+    this.frameMs = 0 // smoothed main-thread frame time
+    this.ceiling = config.maxWorkers
+    this.lastResize = { at: this.now(), throughput: 0, grew: false }
+
+    const size = getInitialPoolSize(hardwareConcurrency, config)
+    for (let i = 0; i < size; i++) this._spawnWorker()
+  }
+
+  get size() {
+    return this.workers.filter(handle => !handle.retiring).length
+  }
+
+  _spawnWorker() {
+    const handle = { worker: new TileWorker(), idleSince: this.now(), retiring: false, urls: new Set(), cache: null }
+    handle.worker.onmessage = (e) => this._onMessage(handle, e.data)
+    handle.worker.onerror = (e) => {
+      e.preventDefault?.()
+      this._onWorkerError(handle, `Tile worker crashed: ${e.message || 'unknown error'}`)
+    }
+    handle.worker.onmessageerror = () => this._onWorkerError(handle, 'Tile worker sent an unreadable message')
+    this.workers.push(handle)
+    this.idleWorkers.push(handle)
+  }
+
+  _terminateWorker(handle) {
+    handle.worker.terminate()
+    for (const url of handle.urls) this.urlOwners.delete(url)
+    if (handle.cache) {
+      this.retiredCache.hits += handle.cache.hits
+      this.retiredCache.misses += handle.cache.misses
+      this.retiredCache.evictions += handle.cache.evictions
+    }
+    this.workers.splice(this.workers.indexOf(handle), 1)
+    const idle = this.idleWorkers.indexOf(handle)
+    if (idle >= 0) this.idleWorkers.splice(idle, 1)
+  }
+
+  // Remove one worker: an idle one now, else a busy one once its task ends
+  _retireWorker() {
+    const idle = this.idleWorkers[0]
+    if (idle) {
+      this._terminateWorker(idle)
+      return
+    }
+    const busy = this.workers.find(handle => !handle.retiring)
+    if (busy) busy.retiring = true
+  }
+
+  _onMessage(handle, data) {
+    const { id, status } = data
+    if (status === 'tiles') {
+      this._onTiles(data)
+      return
+    }
+    const entry = this.active.get(id)
+    if (!entry) return
+    this.active.delete(id)
+    if (data.cache) handle.cache = data.cache
+    if (status === 'done' && entry.task.type !== 'probe') {
+      this.decodeRate.add(data.tiles?.length ?? 0, this.now())
+    }
+    const { task } = entry
+    if (entry.cancelled) {
+      // Already rejected; it may have finished before the cancel arrived
+      if (status === 'done') closeTileData(data)
+    } else if (status !== 'done') {
+      this._closeBatches(entry)
+      task.reject(new Error(status === 'cancelled' ? 'cancelled' : data.error))
+    } else if (task.type === 'probe') {
+      task.resolve(data)
+    } else if (task.onTiles) {
+      task.onTiles(data)
+      task.resolve(data)
+    } else {
+      task.resolve(mergeTileBatches([...entry.batches, data]))
+    }
+
+    if (handle.retiring) {
+      this._terminateWorker(handle)
+    } else {
+      handle.idleSince = this.now()
+      this.idleWorkers.push(handle)
+    }
+    this._dispatch()
+  }
+
+  /**
+   * A worker crashed (e.g. ran out of memory decoding a huge source) or a
+   * message from it was lost: its task would never settle, so it fails like
+   * a load error and the worker is replaced.
+   */
+  _onWorkerError(handle, error) {
+    if (!this.workers.includes(handle)) return
+    for (const [id, entry] of this.active) {
+      if (entry.handle !== handle) continue
+      this.active.delete(id)
+      this._closeBatches(entry)
+      if (!entry.cancelled) entry.task.reject(new Error(error))
+    }
+    const { retiring } = handle
+    this._terminateWorker(handle)
+    if (!retiring) this._spawnWorker()
+    this._dispatch()
+  }
+
+  // A batch of a load's tiles, ahead of its result
+  _onTiles(data) {
+    const entry = this.active.get(data.id)
+    if (!entry || entry.cancelled) {
+      closeTileData(data)
+      return
+    }
+    this.decodeRate.add(data.tiles.length, this.now())
+    if (entry.task.onTiles) entry.task.onTiles(data)
+    else entry.batches.push(data)
+  }
+
+  // Close the batches held for a result that won't be delivered
+  _closeBatches(entry) {
+    for (const batch of entry.batches) closeTileData(batch)
+    entry.batches = []
+  }
+
+  _enqueue(task) {
+    this.queue.push(task, task.priority)
+    this._adapt()
+    this._dispatch()
+  }
+
+  /**
+   * An idle worker for a URL: the one caching its source if idle, else the
+   * idle one caching the fewest, which takes the URL over from its owner.
+   */
+  _takeWorker(url) {
+    const owner = this.urlOwners.get(url)
+    let index = owner ? this.idleWorkers.indexOf(owner) : -1
+    if (index < 0) {
+      index = 0
+      this.idleWorkers.forEach((handle, i) => {
+        if (handle.urls.size < this.idleWorkers[index].urls.size) index = i
+      })
+    }
+    const handle = this.idleWorkers.splice(index, 1)[0]
+    if (handle === owner) return handle
+
+    if (owner) {
+      owner.urls.delete(url)
+      owner.worker.postMessage({ type: 'evict', url })
+    }
+    handle.urls.add(url)
+    this.urlOwners.set(url, handle)
+    return handle
+  }
+
+  // Each worker's share of the source cache budget
+  _getCacheBytes() {
+    return Math.floor(this.config.sourceCacheMB * BYTES_PER_MB / Math.max(1, this.workers.length))
   }
 
   _dispatch() {
-    while (this.idleWorkers.length > 0 && this.queue.length > 0) {
-      const task = this.queue.shift()
-      const workerIdx = this.idleWorkers.pop()
-      this.active.set(task.id, { resolve: task.resolve, reject: task.reject, workerIdx })
-      this.workers[workerIdx].postMessage({
-        url: task.url, imageIndex: task.imageIndex, lodLevel: task.lodLevel, id: task.id
+    while (this.idleWorkers.length > 0 && this.queue.size > 0) {
+      const task = this.queue.pop()
+      const handle = this._takeWorker(task.url)
+      const caches = {
+        cacheBytes: this._getCacheBytes(),
+        tileCacheBytes: this.config.tileCacheMB * BYTES_PER_MB,
+        tileCacheVersion: this.config.tileCacheVersion
+      }
+      this.active.set(task.id, { task, handle, cancelled: false, batches: [] })
+      if (task.type === 'probe') {
+        handle.worker.postMessage({ type: 'probe', url: task.url, id: task.id, ...caches })
+        continue
+      }
+      handle.worker.postMessage({
+        url: task.url,
+        imageIndex: task.imageIndex,
+        lodLevel: task.lodLevel,
+        id: task.id,
+        tileSize: this.config.tileSize,
+        gutter: this.config.gutter,
+        mipLevels: this.config.mipLevels,
+        compressedFormat: this.compressedFormat,
+        ktx2TileUrl: this.config.ktx2TileUrl,
+        tileRange: task.tileRange,
+        baseWorldSize: this.config.baseWorldSize,
+        ...caches
       })
     }
   }
 
-  loadImageTiles(url, imageIndex, lodLevel, priority = lodLevel) {
+  // Resize by at most one worker (see choosePoolSize), and drop idle workers
+  _adapt() {
+    const now = this.now()
+    const size = this.size
+    const busy = this.active.size
+    const throughput = this.decodeRate.rate(now)
+    const next = choosePoolSize({
+      size,
+      busy,
+      queued: this.queue.size,
+      frameMs: this.frameMs,
+      throughput,
+      ceiling: this.ceiling,
+      last: this.lastResize,
+      now
+    }, this.config)
+    this.ceiling = next.ceiling
+
+    if (next.size !== size) {
+      if (next.size > size) this._spawnWorker()
+      else this._retireWorker()
+      this.lastResize = { at: now, throughput, grew: next.size > size }
+      return
+    }
+
+    // Idle since before the timeout: nothing has needed it
+    if (this.queue.size === 0 && size > this.config.minWorkers) {
+      const idle = this.idleWorkers.find(handle => now - handle.idleSince > IDLE_TIMEOUT_MS)
+      if (idle) this._terminateWorker(idle)
+    }
+  }
+
+  /**
+   * Feed the main thread's frame time (call once per frame); slow frames
+   * shrink the pool. Also where the pool resizes when no tasks arrive.
+   */
+  reportFrameTime(ms) {
+    if (ms <= MAX_FRAME_SAMPLE_MS) this.frameMs = this.frameMs ? this.frameMs * 0.9 + ms * 0.1 : ms
+    this._adapt()
+    this._dispatch()
+  }
+
+  /**
+   * Worker and source cache figures. Cache counts are as of each worker's
+   * last finished task.
+   * @returns {{
+   *   workers: number, busy: number, queued: number, tilesPerSecond: number,
+   *   cache: { hits: number, misses: number, evictions: number, entries: number, bytes: number }
+   * }}
+   */
+  getStats() {
+    const cache = { ...this.retiredCache, entries: 0, bytes: 0 }
+    for (const { cache: worker } of this.workers) {
+      if (!worker) continue
+      cache.hits += worker.hits
+      cache.misses += worker.misses
+      cache.evictions += worker.evictions
+      cache.entries += worker.entries
+      cache.bytes += worker.bytes
+    }
+    return {
+      workers: this.size,
+      busy: this.active.size,
+      queued: this.queue.size,
+      tilesPerSecond: this.decodeRate.rate(this.now()),
+      cache
+    }
+  }
+
+  // Match worker output to the atlas: set from TileManager.compressedFormat
+  setCompressedFormat(format) {
+    this.compressedFormat = format?.name ?? null
+  }
+
+  /**
+   * Load an image's tiles at a LOD.
+   *
+   * Without onTiles the result holds every tile. With it, each batch of
+   * tiles goes to onTiles as it arrives, the result's last ones included, and
+   * the result itself (its emptyTiles, its grid) follows once all have. A
+   * load that fails or is cancelled part way may already have delivered some.
+   * @param {{ x0: number, y0: number, x1: number, y1: number } | null} [tileRange] - Only these tiles (see tileGrid); null = all
+   * @param {((batch: object) => void) | null} [onTiles] - Takes ownership of each batch's bitmaps
+   */
+  loadImageTiles(url, imageIndex, lodLevel, priority = lodLevel, tileRange = null, onTiles = null) {
     return new Promise((resolve, reject) => {
-      const id = this.idCounter++
-      // Insert in priority order (highest first)
-      let i = 0
-      while (i < this.queue.length && this.queue[i].priority >= priority) i++
-      this.queue.splice(i, 0, { id, url, imageIndex, lodLevel, priority, resolve, reject })
-      this._dispatch()
+      this._enqueue({ id: this.idCounter++, url, imageIndex, lodLevel, tileRange, priority, onTiles, resolve, reject })
     })
   }
 
-  // Cancel queued (not yet dispatched to worker) tasks for an image below a given LOD
-  cancelPending(imageIndex, belowLod) {
-    const kept = []
-    for (const task of this.queue) {
-      if (task.imageIndex === imageIndex && task.lodLevel < belowLod) {
-        task.reject(new Error('cancelled'))
-      } else {
-        kept.push(task)
-      }
+  /**
+   * Read an image's pixel size without loading tiles (header bytes or pyramid
+   * metadata). Jumps the queue: it's small and sharpens the LOD of the loads behind it.
+   * @returns {Promise<{ imageWidth: number, imageHeight: number }>}
+   */
+  probeImageSize(url, imageIndex) {
+    return new Promise((resolve, reject) => {
+      this._enqueue({ id: this.idCounter++, type: 'probe', url, imageIndex, priority: Infinity, resolve, reject })
+    })
+  }
+
+  /**
+   * Reject an in-flight task with 'cancelled' and tell its worker to abort.
+   * The worker stays busy until it acknowledges, so it never runs two tasks.
+   */
+  _cancelActive(id, entry) {
+    if (entry.cancelled) return
+    entry.cancelled = true
+    this._closeBatches(entry)
+    entry.task.reject(new Error('cancelled'))
+    entry.handle.worker.postMessage({ type: 'cancel', id })
+  }
+
+  // Cancel the tasks, queued or in flight, that `matches` accepts
+  _cancelMatching(matches) {
+    for (const task of this.queue.removeWhere(matches)) task.reject(new Error('cancelled'))
+    for (const [id, entry] of this.active) {
+      if (matches(entry.task)) this._cancelActive(id, entry)
     }
-    this.queue = kept
+  }
+
+  // Cancel an image's tasks below a given LOD, queued or in flight
+  cancelPending(imageIndex, belowLod) {
+    this._cancelMatching(task => task.imageIndex === imageIndex && task.lodLevel < belowLod)
+  }
+
+  /**
+   * Cancel the tasks, queued or in flight, of every image not in `keep`
+   * (e.g. images that scrolled out of view).
+   * @param {Set<number>} keep
+   */
+  cancelImagesExcept(keep) {
+    this._cancelMatching(task => !keep.has(task.imageIndex))
+  }
+
+  // Cancel every task, queued or in flight (e.g. the image collection was swapped)
+  cancelAll() {
+    this._cancelMatching(() => true)
+  }
+
+  /**
+   * Recompute the priority of queued loads, e.g. each frame as the camera
+   * moves. Probes keep jumping the queue; equal priorities keep their order.
+   * @param {(imageIndex: number, lodLevel: number) => number} getPriority
+   */
+  updatePriorities(getPriority) {
+    if (this.queue.size === 0) return
+    this.queue.updatePriorities((task, priority) =>
+      task.type === 'probe' ? priority : getPriority(task.imageIndex, task.lodLevel)
+    )
   }
 
   dispose() {
-    for (const task of this.queue) task.reject(new Error('disposed'))
-    this.queue = []
-    this.workers.forEach(w => w.terminate())
+    for (const task of this.queue.removeWhere(() => true)) task.reject(new Error('disposed'))
+    for (const entry of this.active.values()) {
+      this._closeBatches(entry)
+      if (!entry.cancelled) entry.task.reject(new Error('disposed'))
+    }
+    this.active.clear()
+    this.workers.forEach(handle => handle.worker.terminate())
+    this.workers = []
+    this.idleWorkers = []
+    this.urlOwners.clear()
   }
 }
 
 let loaderPool = null
-export function getLoaderPool() {
+// The first caller's config sizes the shared pool's tiles and worker limits
+export function getLoaderPool(config = DEFAULT_TILE_CONFIG) {
   if (!loaderPool) {
-    loaderPool = new TileLoaderPool(4)
+    loaderPool = new TileLoaderPool(config)
   }
   return loaderPool
 }
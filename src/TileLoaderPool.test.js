@@ -0,0 +1,383 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+// Workers that record messages and reply only when told to
+const workers = []
+vi.mock('./tileWorker.js?worker', () => ({
+  default: class FakeWorker {
+    constructor() {
+      this.messages = []
+      workers.push(this)
+    }
+    postMessage(message) { this.messages.push(message) }
+    reply(data) { this.onmessage({ data }) }
+    crash(message) { this.onerror({ message, preventDefault() {} }) }
+    terminate() { this.terminated = true }
+  },
+}))
+
+const { TileLoaderPool, closeTileData, mergeTileBatches } = await import('./TileLoaderPool')
+const { createTileConfig } = await import('./tileConfig')
+const { RESIZE_COOLDOWN_MS, IDLE_TIMEOUT_MS } = await import('./poolSizing')
+
+// A pool of exactly `size` workers
+const fixedPool = size => new TileLoaderPool(createTileConfig({ minWorkers: size, maxWorkers: size }))
+
+const lastMessage = worker => worker.messages[worker.messages.length - 1]
+const fakeBitmap = () => ({ close: vi.fn() })
+
+describe('TileLoaderPool cancellation', () => {
+  let pool
+  beforeEach(() => {
+    workers.length = 0
+    pool = fixedPool(1)
+  })
+
+  it('rejects queued tasks without involving a worker', async () => {
+    pool.loadImageTiles('/a.jpg', 0, 2).catch(() => {})
+    const queued = pool.loadImageTiles('/b.jpg', 1, 0)
+    pool.cancelPending(1, 2)
+    await expect(queued).rejects.toThrow('cancelled')
+    expect(workers[0].messages).toHaveLength(1)
+  })
+
+  it('rejects in-flight tasks at once and tells the worker to abort', async () => {
+    const loading = pool.loadImageTiles('/a.jpg', 0, 0)
+    const { id } = lastMessage(workers[0])
+    pool.cancelPending(0, 1)
+    await expect(loading).rejects.toThrow('cancelled')
+    expect(lastMessage(workers[0])).toEqual({ type: 'cancel', id })
+  })
+
+  it('keeps the worker busy until it acknowledges the cancel', () => {
+    pool.loadImageTiles('/a.jpg', 0, 0).catch(() => {})
+    const { id } = lastMessage(workers[0])
+    pool.cancelAll()
+    pool.loadImageTiles('/b.jpg', 1, 0)
+    expect(lastMessage(workers[0]).type).toBe('cancel')
+
+    workers[0].reply({ id, status: 'cancelled' })
+    expect(lastMessage(workers[0]).url).toBe('/b.jpg')
+  })
+
+  it('closes results that finish before the cancel arrives', () => {
+    pool.loadImageTiles('/a.jpg', 0, 0).catch(() => {})
+    const { id } = lastMessage(workers[0])
+    pool.cancelAll()
+    const bitmaps = [fakeBitmap()]
+    const mipBitmaps = [[fakeBitmap(), fakeBitmap()]]
+    workers[0].reply({ id, status: 'done', bitmaps, mipBitmaps })
+    for (const bitmap of [...bitmaps, ...mipBitmaps.flat()]) expect(bitmap.close).toHaveBeenCalled()
+    expect(pool.idleWorkers).toHaveLength(1)
+  })
+
+  it('leaves other images and higher LODs running', async () => {
+    pool = fixedPool(2)
+    const other = pool.loadImageTiles('/a.jpg', 0, 0)
+    const higher = pool.loadImageTiles('/b.jpg', 1, 3)
+    pool.cancelPending(1, 3)
+    for (const worker of workers.slice(-2)) {
+      const { id, imageIndex, type } = lastMessage(worker)
+      expect(type).toBeUndefined()
+      worker.reply({ id, status: 'done', imageIndex })
+    }
+    await expect(higher).resolves.toMatchObject({ imageIndex: 1 })
+    await expect(other).resolves.toMatchObject({ imageIndex: 0 })
+  })
+})
+
+describe('TileLoaderPool visibility', () => {
+  let pool
+  beforeEach(() => {
+    workers.length = 0
+    pool = fixedPool(1)
+    // Occupy the only worker so later tasks stay queued
+    pool.loadImageTiles('/busy.jpg', 99, 0, 100).catch(() => {})
+  })
+
+  it('cancels queued and in-flight tasks of images outside the kept set', async () => {
+    const kept = pool.loadImageTiles('/a.jpg', 0, 1)
+    const dropped = pool.loadImageTiles('/b.jpg', 1, 1)
+    const probe = pool.probeImageSize('/c.jpg', 2)
+    pool.cancelImagesExcept(new Set([0]))
+    await expect(dropped).rejects.toThrow('cancelled')
+    await expect(probe).rejects.toThrow('cancelled')
+    expect(lastMessage(workers[0]).type).toBe('cancel')
+    expect(pool.queue.toArray().map(t => t.imageIndex)).toEqual([0])
+    kept.catch(() => {})
+  })
+
+  it('re-sorts queued loads by new priorities, keeping probes first', () => {
+    for (const idx of [0, 1, 2]) pool.loadImageTiles(`/${idx}.jpg`, idx, 1, 1 + idx / 10).catch(() => {})
+    pool.probeImageSize('/3.jpg', 3).catch(() => {})
+    expect(pool.queue.toArray().map(t => t.imageIndex)).toEqual([3, 2, 1, 0])
+
+    pool.updatePriorities(idx => (idx === 0 ? 5 : 1))
+    expect(pool.queue.toArray().map(t => t.imageIndex)).toEqual([3, 0, 1, 2])
+    expect(pool.queue.peek().type).toBe('probe')
+  })
+
+  it('dispatches by the updated priorities', () => {
+    for (const idx of [0, 1, 2]) pool.loadImageTiles(`/${idx}.jpg`, idx, 0, idx).catch(() => {})
+    pool.updatePriorities(idx => -idx)
+    const worker = workers[0]
+    for (const expected of [0, 1, 2]) {
+      worker.reply({ id: lastMessage(worker).id, status: 'error', error: 'x' })
+      expect(lastMessage(worker).imageIndex).toBe(expected)
+    }
+  })
+})
+
+describe('TileLoaderPool sizing', () => {
+  let time
+  const makePool = (overrides, hardwareConcurrency = 4) =>
+    new TileLoaderPool(createTileConfig({ minWorkers: 1, maxWorkers: 4, ...overrides }), {
+      now: () => time,
+      hardwareConcurrency,
+    })
+  // Answer every running load with `tiles` tiles
+  const finishAll = (pool, tiles = 10) => {
+    for (const [id, { handle }] of [...pool.active]) {
+      handle.worker.reply({ id, status: 'done', tiles: Array(tiles).fill({}) })
+    }
+  }
+
+  beforeEach(() => {
+    workers.length = 0
+    time = 0
+  })
+
+  it('starts with a worker per spare core within the limits', () => {
+    expect(makePool({}, 4).size).toBe(3)
+    expect(makePool({}, 16).size).toBe(4)
+    expect(makePool({ minWorkers: 2 }, 1).size).toBe(2)
+  })
+
+  it('adds a worker for a backlog once the cooldown has passed', () => {
+    const pool = makePool({}, 2)
+    for (let i = 0; i < 5; i++) pool.loadImageTiles(`/${i}.jpg`, i, 0).catch(() => {})
+    expect(pool.size).toBe(1)
+    time = RESIZE_COOLDOWN_MS
+    pool.reportFrameTime(16)
+    expect(pool.size).toBe(2)
+    expect(pool.getStats()).toMatchObject({ workers: 2, busy: 2, queued: 3 })
+  })
+
+  it('removes a worker that did not raise throughput', () => {
+    const pool = makePool({}, 2)
+    for (let i = 0; i < 20; i++) pool.loadImageTiles(`/${i}.jpg`, i, 0).catch(() => {})
+    time = RESIZE_COOLDOWN_MS
+    finishAll(pool)
+    pool.reportFrameTime(16)
+    expect(pool.size).toBe(2)
+
+    // Same tile rate with two workers as with one
+    time += RESIZE_COOLDOWN_MS
+    finishAll(pool, 5)
+    pool.reportFrameTime(16)
+    expect(pool.size).toBe(1)
+
+    // ...and it isn't re-added while the same backlog lasts
+    time += RESIZE_COOLDOWN_MS
+    pool.reportFrameTime(16)
+    expect(pool.size).toBe(1)
+  })
+
+  it('shrinks while frames are slow', () => {
+    const pool = makePool({}, 4)
+    time = RESIZE_COOLDOWN_MS
+    for (let i = 0; i < 20; i++) pool.reportFrameTime(40)
+    expect(pool.size).toBe(2)
+  })
+
+  it('ignores frame gaps from tab switches', () => {
+    const pool = makePool({}, 4)
+    time = RESIZE_COOLDOWN_MS
+    pool.reportFrameTime(5000)
+    expect(pool.size).toBe(3)
+  })
+
+  it('lets a busy worker finish before removing it', () => {
+    const pool = makePool({ maxWorkers: 1 }, 2)
+    pool.loadImageTiles('/a.jpg', 0, 0).catch(() => {})
+    pool.loadImageTiles('/b.jpg', 1, 0).catch(() => {})
+    pool._retireWorker()
+    expect(pool.size).toBe(0)
+    expect(workers).toHaveLength(1)
+    finishAll(pool)
+    expect(pool.workers).toHaveLength(0)
+  })
+
+  it('terminates workers left idle, down to minWorkers', () => {
+    const pool = makePool({}, 4)
+    time = IDLE_TIMEOUT_MS + 1
+    pool.reportFrameTime(16)
+    pool.reportFrameTime(16)
+    pool.reportFrameTime(16)
+    expect(pool.size).toBe(1)
+  })
+})
+
+describe('TileLoaderPool source cache', () => {
+  beforeEach(() => {
+    workers.length = 0
+  })
+
+  // Finish a worker's last task
+  const finish = (worker, data = {}) => worker.reply({ id: lastMessage(worker).id, status: 'done', ...data })
+  const stats = (hits, misses, entries, bytes) => ({ hits, misses, evictions: 0, entries, bytes })
+
+  it('sends a URL back to the worker that cached it', () => {
+    const pool = fixedPool(2)
+    pool.loadImageTiles('/a.jpg', 0, 0)
+    const owner = workers.find(worker => worker.messages.length > 0)
+    finish(owner)
+    pool.loadImageTiles('/b.jpg', 1, 0)
+    pool.loadImageTiles('/a.jpg', 0, 1)
+    expect(lastMessage(owner)).toMatchObject({ url: '/a.jpg', lodLevel: 1 })
+  })
+
+  it('moves a URL to another worker while its owner is busy, evicting the old copy', () => {
+    const pool = fixedPool(2)
+    pool.loadImageTiles('/a.jpg', 0, 0)
+    const [owner, other] = workers[0].messages.length > 0 ? workers : [...workers].reverse()
+    pool.loadImageTiles('/a.jpg', 0, 1)
+    expect(lastMessage(other)).toMatchObject({ url: '/a.jpg', lodLevel: 1 })
+    expect(lastMessage(owner)).toEqual({ type: 'evict', url: '/a.jpg' })
+    expect(pool.urlOwners.get('/a.jpg').worker).toBe(other)
+  })
+
+  it('splits the budget between workers', () => {
+    const pool = new TileLoaderPool(createTileConfig({ minWorkers: 4, maxWorkers: 4, sourceCacheMB: 64 }))
+    pool.loadImageTiles('/a.jpg', 0, 0)
+    pool.probeImageSize('/b.jpg', 1)
+    const sent = workers.flatMap(worker => worker.messages)
+    expect(sent.map(message => message.cacheBytes)).toEqual([16 * 1024 * 1024, 16 * 1024 * 1024])
+  })
+
+  it('sums the cache figures workers report, keeping those of removed workers', () => {
+    const pool = fixedPool(2)
+    pool.loadImageTiles('/a.jpg', 0, 0)
+    pool.loadImageTiles('/b.jpg', 1, 0)
+    finish(workers[0], { cache: stats(3, 1, 1, 1000) })
+    finish(workers[1], { cache: stats(0, 2, 2, 500) })
+    expect(pool.getStats().cache).toEqual(stats(3, 3, 3, 1500))
+
+    pool._terminateWorker(pool.workers[0])
+    expect(pool.getStats().cache.hits).toBe(3)
+    expect(pool.getStats().cache.misses).toBe(3)
+    expect(pool.getStats().cache.bytes).toBeLessThan(1500)
+  })
+})
+
+describe('TileLoaderPool streaming', () => {
+  let pool
+  beforeEach(() => {
+    workers.length = 0
+    pool = fixedPool(1)
+  })
+
+  // A batch of tiles at the given x positions, as the worker posts them
+  const batch = (id, status, xs) => ({
+    id,
+    status,
+    tiles: xs.map(tx => ({ tx, ty: 0 })),
+    bitmaps: xs.map(() => fakeBitmap()),
+    mipBitmaps: xs.map(() => [fakeBitmap()])
+  })
+
+  it('merges streamed batches into the result without a callback', async () => {
+    const loading = pool.loadImageTiles('/a.jpg', 0, 0)
+    const { id } = lastMessage(workers[0])
+    workers[0].reply(batch(id, 'tiles', [0, 1]))
+    workers[0].reply({ ...batch(id, 'done', [2]), emptyTiles: [{ tx: 3, ty: 0 }] })
+    const result = await loading
+    expect(result.tiles.map(t => t.tx)).toEqual([0, 1, 2])
+    expect(result.bitmaps).toHaveLength(3)
+    expect(result.mipBitmaps.map(mips => mips.length)).toEqual([1, 1, 1])
+    expect(result.emptyTiles).toEqual([{ tx: 3, ty: 0 }])
+  })
+
+  it('hands each batch to onTiles as it arrives, the last one included', async () => {
+    const received = []
+    const loading = pool.loadImageTiles('/a.jpg', 0, 0, 0, null, data => received.push(data.tiles.map(t => t.tx)))
+    const { id } = lastMessage(workers[0])
+    workers[0].reply(batch(id, 'tiles', [0]))
+    expect(received).toEqual([[0]])
+    workers[0].reply(batch(id, 'done', [1]))
+    await loading
+    expect(received).toEqual([[0], [1]])
+  })
+
+  it('closes batches that arrive after a cancel, or were held for a failed load', async () => {
+    const cancelled = pool.loadImageTiles('/a.jpg', 0, 0)
+    const first = lastMessage(workers[0]).id
+    const held = batch(first, 'tiles', [0])
+    workers[0].reply(held)
+    pool.cancelAll()
+    await expect(cancelled).rejects.toThrow('cancelled')
+    const late = batch(first, 'tiles', [1])
+    workers[0].reply(late)
+    workers[0].reply({ id: first, status: 'cancelled' })
+    for (const data of [held, late]) expect(data.bitmaps[0].close).toHaveBeenCalled()
+
+    const failing = pool.loadImageTiles('/b.jpg', 1, 0)
+    const second = lastMessage(workers[0]).id
+    const partial = batch(second, 'tiles', [0])
+    workers[0].reply(partial)
+    workers[0].reply({ id: second, status: 'error', error: 'decode failed' })
+    await expect(failing).rejects.toThrow('decode failed')
+    expect(partial.bitmaps[0].close).toHaveBeenCalled()
+  })
+
+  it('merges compressed batches level data per tile', () => {
+    const levels = tx => [new Uint8Array([tx]), new Uint8Array([tx])]
+    const merged = mergeTileBatches([
+      { tiles: [{ tx: 0 }], tileLevels: [levels(0)] },
+      { tiles: [{ tx: 1 }], tileLevels: [levels(1)], status: 'done' }
+    ])
+    expect(merged.tileLevels).toEqual([levels(0), levels(1)])
+    expect(merged.status).toBe('done')
+  })
+})
+
+describe('TileLoaderPool worker errors', () => {
+  let pool
+  beforeEach(() => {
+    workers.length = 0
+    pool = fixedPool(1)
+  })
+
+  it('fails the task of a crashed worker and replaces the worker', async () => {
+    const loading = pool.loadImageTiles('/a.jpg', 0, 0)
+    const queued = pool.loadImageTiles('/b.jpg', 1, 0)
+    const crashed = workers[0]
+    crashed.crash('out of memory')
+
+    await expect(loading).rejects.toThrow(/crashed: out of memory/)
+    expect(crashed.terminated).toBe(true)
+    expect(pool.size).toBe(1)
+    expect(pool.getStats().busy).toBe(1)
+    // The replacement takes the next task
+    const { id } = lastMessage(workers[1])
+    expect(lastMessage(workers[1]).url).toBe('/b.jpg')
+    workers[1].reply({ id, status: 'done', tiles: [], bitmaps: [] })
+    await expect(queued).resolves.toMatchObject({ status: 'done' })
+  })
+
+  it('closes the batches a crashed worker had streamed', async () => {
+    const loading = pool.loadImageTiles('/a.jpg', 0, 0)
+    const { id } = lastMessage(workers[0])
+    const bitmap = fakeBitmap()
+    workers[0].reply({ id, status: 'tiles', tiles: [{ tx: 0, ty: 0 }], bitmaps: [bitmap] })
+    workers[0].onmessageerror({})
+    await expect(loading).rejects.toThrow(/unreadable/)
+    expect(bitmap.close).toHaveBeenCalled()
+  })
+})
+
+describe('closeTileData', () => {
+  it('ignores results without bitmaps', () => {
+    expect(() => closeTileData({ tileLevels: [[new Uint8Array(8)]] })).not.toThrow()
+    expect(() => closeTileData({ imageWidth: 1, imageHeight: 1 })).not.toThrow()
+  })
+})
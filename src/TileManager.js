@@ -1,27 +1,36 @@
 import * as THREE from 'three'
 import { SlotAllocator } from './SlotAllocator'
+import { planCompaction } from './atlasCompaction'
+import { DEFAULT_TILE_CONFIG } from './tileConfig'
+import { selectCompressedFormat, getCompressedFormat } from './textureFormats'
+import { createPlaceholderLevels } from './placeholderTile'
 
-const TILE_SIZE = 256
-const ATLAS_SIZE = 4096 // Each layer is 4096x4096
-const TILES_PER_LAYER = ATLAS_SIZE / TILE_SIZE // 16x16 = 256 tiles per layer
-const MAX_LAYERS = 16 // 16 layers × 256 tiles = 4,096 tile slots
-const MAX_INSTANCES = MAX_LAYERS * TILES_PER_LAYER * TILES_PER_LAYER
+// Atlas key of the tile drawn for images that failed to load
+const PLACEHOLDER_KEY = 'placeholder'
+
+// Consecutive shrink() calls, with no growth or new tiles in between, before
+// the atlas actually shrinks: a working set near a layer boundary would
+// otherwise shrink and grow back (copying the whole atlas) over and over
+export const SHRINK_IDLE_CALLS = 120
 
 const vertexShader = /* glsl */ `
   attribute float aLayer;
   attribute vec2 aUvOffset;
   attribute vec2 aUvScale;
+  attribute float aOpacity;
 
   varying vec2 vUv;
   varying float vLayer;
   varying vec2 vUvOffset;
   varying vec2 vUvScale;
+  varying float vOpacity;
 
   void main() {
     vUv = uv;
     vLayer = aLayer;
     vUvOffset = aUvOffset;
     vUvScale = aUvScale;
+    vOpacity = aOpacity;
 
     vec4 worldPos = instanceMatrix * vec4(position, 1.0);
     gl_Position = projectionMatrix * modelViewMatrix * worldPos;
@@ -39,6 +48,7 @@ const fragmentShader = /* glsl */ `
   varying float vLayer;
   varying vec2 vUvOffset;
   varying vec2 vUvScale;
+  varying float vOpacity;
 
   void main() {
     // Map local UV to atlas UV
@@ -53,30 +63,41 @@ const fragmentShader = /* glsl */ `
       }
     }
 
-    gl_FragColor = color;
+    gl_FragColor = vec4(color.rgb, color.a * vOpacity);
   }
 `
 
+// Release a tile's ImageBitmaps (block data needs nothing)
+function closeLevels(levels) {
+  if (!levels) return
+  for (const level of [levels.image, ...levels.mips]) level?.close?.()
+}
+
 export class TileManager {
-  constructor(renderer, maxLayers = MAX_LAYERS) {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {ReturnType<import('./tileConfig').createTileConfig>} [config]
+   */
+  constructor(renderer, config = DEFAULT_TILE_CONFIG) {
     this.renderer = renderer
     this.gl = renderer.getContext()
-    this.maxLayers = maxLayers
-
-    this.slots = new SlotAllocator(maxLayers, TILES_PER_LAYER)
-
-    // Create the DataArrayTexture
-    this.tileAtlas = new THREE.DataArrayTexture(
-      new Uint8Array(ATLAS_SIZE * ATLAS_SIZE * 4 * maxLayers),
-      ATLAS_SIZE,
-      ATLAS_SIZE,
-      maxLayers
-    )
-    this.tileAtlas.format = THREE.RGBAFormat
-    this.tileAtlas.type = THREE.UnsignedByteType
-    this.tileAtlas.minFilter = THREE.LinearFilter
-    this.tileAtlas.magFilter = THREE.LinearFilter
-    this.tileAtlas.needsUpdate = true
+    this.config = config
+    this.disposed = false // tiles streamed in after dispose() are dropped, not queued (see App.jsx queueTileUpload)
+    this.tileSize = config.tileSize
+    this.atlasSize = config.atlasSize
+    this.maxLayers = config.maxLayers
+    this.mipLevels = config.mipLevels
+    this.compressedFormat = this.selectCompressedFormat()
+    // Compressed textures can't be copied GPU-side, so a compressed atlas is
+    // allocated at full size and never grows, shrinks or compacts
+    this.minLayers = this.compressedFormat ? config.maxLayers : config.initialLayers
+    this.layerCount = this.minLayers
+    this.idleShrinkCalls = 0 // see SHRINK_IDLE_CALLS
+
+    this.slots = SlotAllocator.fromConfig(config, this.layerCount)
+    this.tileAtlas = this.createAtlas(this.layerCount)
+    // Tiles with a slot whose texels aren't written yet, oldest first (see flushUploads)
+    this.pendingUploads = new Map() // tileKey -> { image, mips }
 
     // Create instanced mesh
     this.geometry = new THREE.PlaneGeometry(1, 1)
@@ -87,9 +108,11 @@ export class TileManager {
       },
       vertexShader,
       fragmentShader,
+      // Instances are drawn in order, so a fading LOD blends over the one below it
+      transparent: true,
     })
 
-    const maxInstances = MAX_INSTANCES
+    const maxInstances = config.maxLayers * this.slots.tilesPerLayer
     this.mesh = new THREE.InstancedMesh(this.geometry, this.material, maxInstances)
     this.mesh.count = 0
     this.mesh.frustumCulled = false
@@ -104,61 +127,318 @@ export class TileManager {
     this.uvScaleAttribute = new THREE.InstancedBufferAttribute(
       new Float32Array(maxInstances * 2), 2
     )
+    this.opacityAttribute = new THREE.InstancedBufferAttribute(
+      new Float32Array(maxInstances), 1
+    )
 
     this.geometry.setAttribute('aLayer', this.layerAttribute)
     this.geometry.setAttribute('aUvOffset', this.uvOffsetAttribute)
     this.geometry.setAttribute('aUvScale', this.uvScaleAttribute)
+    this.geometry.setAttribute('aOpacity', this.opacityAttribute)
 
     this.instances = []
-    this.uvScale = TILE_SIZE / ATLAS_SIZE // 0.0625 for 256/4096
+    this.slotUvSize = config.tileSize / config.atlasSize // 0.0625 for 256/4096
+    // Sample only the tile's content; the gutter around it is there for filtering
+    this.uvInset = config.gutter / config.atlasSize
+    this.uvScale = config.contentSize / config.atlasSize
+  }
+
+  /**
+   * Resolve config.compression to a block format the renderer supports
+   * (enabling its extension), or null for an RGBA8 atlas.
+   */
+  selectCompressedFormat() {
+    const { compression, ktx2TileUrl } = this.config
+    if (compression === 'none') return null
+
+    // Without pre-encoded tiles the worker has to encode them itself
+    const encodable = !ktx2TileUrl
+    const extensions = this.gl.getSupportedExtensions()
+    let format = compression === 'auto'
+      ? selectCompressedFormat(extensions, { encodable })
+      : getCompressedFormat(compression)
+    if (format && (!extensions?.includes(format.extension) || (encodable && !format.encodable))) {
+      format = null
+    }
+    if (!format) {
+      console.warn(`TileManager: compression '${compression}' unavailable, using an RGBA atlas`)
+      return null
+    }
+
+    this.renderer.extensions.get(format.extension)
+    return format
+  }
+
+  /**
+   * Create a GPU-only array texture: storage is allocated by texStorage3D
+   * with no CPU-side backing buffer. Mip levels are allocated up front and
+   * filled per slot by writeSlot; three never generates them.
+   */
+  createAtlas(layers) {
+    // Only the length is read (texStorage3D level count); the data stays null
+    const mipmaps = Array.from({ length: this.mipLevels }, (_, level) => ({
+      data: null,
+      width: this.atlasSize >> level,
+      height: this.atlasSize >> level,
+      depth: layers,
+    }))
+
+    let atlas
+    if (this.compressedFormat) {
+      atlas = new THREE.CompressedArrayTexture(
+        mipmaps, this.atlasSize, this.atlasSize, layers, this.compressedFormat.threeFormat
+      )
+    } else {
+      atlas = new THREE.DataArrayTexture(null, this.atlasSize, this.atlasSize, layers)
+      atlas.format = THREE.RGBAFormat
+      atlas.mipmaps = mipmaps
+    }
+    atlas.type = THREE.UnsignedByteType
+    atlas.generateMipmaps = false
+    atlas.minFilter = this.mipLevels > 1 ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter
+    atlas.magFilter = THREE.LinearFilter
+    atlas.source.dataReady = false
+    atlas.needsUpdate = true
+    this.renderer.initTexture(atlas)
+    return atlas
+  }
+
+  /**
+   * Reallocate the atlas with a different layer count, copying the first
+   * min(old, new) layers GPU-side (every mip level). Callers make sure
+   * dropped layers are empty.
+   */
+  reallocateAtlas(layers) {
+    const oldAtlas = this.tileAtlas
+    const newAtlas = this.createAtlas(layers)
+
+    const oldTexture = this.renderer.properties.get(oldAtlas).__webglTexture
+    const newTexture = this.renderer.properties.get(newAtlas).__webglTexture
+    if (oldTexture && newTexture) {
+      const gl = this.gl
+      const copyLayers = Math.min(this.slots.getHighestUsedLayer() + 1, layers)
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.getCopyFramebuffer())
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, newTexture)
+      for (let level = 0; level < this.mipLevels; level++) {
+        const size = this.atlasSize >> level
+        for (let layer = 0; layer < copyLayers; layer++) {
+          gl.framebufferTextureLayer(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, oldTexture, level, layer)
+          gl.copyTexSubImage3D(gl.TEXTURE_2D_ARRAY, level, 0, 0, layer, 0, 0, size, size)
+        }
+      }
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null)
+    }
+
+    this.tileAtlas = newAtlas
+    this.material.uniforms.uTileAtlas.value = newAtlas
+    oldAtlas.dispose()
+    this.layerCount = layers
+  }
+
+  /**
+   * Add layers (doubling, up to maxLayers) when the allocator runs out.
+   * @returns {boolean} Whether the atlas grew
+   */
+  grow() {
+    if (this.layerCount >= this.maxLayers) return false
+    this.idleShrinkCalls = 0
+    const layers = Math.min(this.maxLayers, this.layerCount * 2)
+    this.slots.resize(layers)
+    this.reallocateAtlas(layers)
+    return true
   }
 
   /**
-   * Upload a tile ImageBitmap to the atlas
+   * Drop empty layers from the top of the atlas, keeping `spareLayers` free
+   * layers as headroom. Most effective right after compact() has finished.
+   * Call on every idle frame: it only shrinks once SHRINK_IDLE_CALLS calls
+   * have passed since the atlas last grew or took new tiles.
+   * @returns {boolean} Whether the atlas shrank
+   */
+  shrink(spareLayers = 1) {
+    if (++this.idleShrinkCalls < SHRINK_IDLE_CALLS) return false
+    const needed = this.slots.getHighestUsedLayer() + 1 + spareLayers
+    const layers = Math.max(this.minLayers, Math.min(needed, this.layerCount))
+    if (layers >= this.layerCount) return false
+    this.reallocateAtlas(layers)
+    this.slots.resize(layers)
+    this.idleShrinkCalls = 0
+    return true
+  }
+
+  getCopyFramebuffer() {
+    if (!this.copyFramebuffer) this.copyFramebuffer = this.gl.createFramebuffer()
+    return this.copyFramebuffer
+  }
+
+  /**
+   * Upload a tile to the atlas right away, outside the upload queue. Images
+   * are ImageBitmaps for an RGBA atlas and block data (Uint8Array) for a
+   * compressed one.
+   * @param {string} tileKey
+   * @param {ImageBitmap | Uint8Array} image - Level 0
+   * @param {Array<ImageBitmap | Uint8Array>} [mips] - Levels 1..mipLevels-1, each half the previous
    * @returns {{ layer: number, slotX: number, slotY: number } | null}
    */
-  uploadTile(tileKey, imageBitmap) {
-    const slot = this.slots.allocate(tileKey)
+  uploadTile(tileKey, image, mips) {
+    let slot = this.slots.allocate(tileKey)
+    while (!slot && this.grow()) {
+      slot = this.slots.allocate(tileKey)
+    }
     if (!slot) {
       console.warn('TileManager: No free slots available')
       return null
     }
 
+    this.writeSlot(slot, image, mips)
+    return slot
+  }
+
+  /**
+   * Allocate slots for all tiles of one group (image + LOD) so they share an
+   * atlas layer, ideally as a contiguous block of slots. Their texels are
+   * queued and written by flushUploads; the queue owns (and closes) the images.
+   * @param {string} groupId
+   * @param {Array<{ tileKey: string, image: ImageBitmap | Uint8Array, mips?: Array<ImageBitmap | Uint8Array> }>} tiles - Row-major order
+   * @param {number} [columns] - Tiles per row in the group
+   * @returns {Array<{ layer: number, slotX: number, slotY: number } | null>}
+   */
+  uploadTileGroup(groupId, tiles, columns) {
+    this.idleShrinkCalls = 0
+    const tileKeys = tiles.map(t => t.tileKey)
+    let slots = this.slots.allocateGroup(groupId, tileKeys, columns)
+    while (slots.includes(null) && this.grow()) {
+      slots = this.slots.allocateGroup(groupId, tileKeys, columns)
+    }
+
+    let missing = 0
+    for (let i = 0; i < tiles.length; i++) {
+      const { tileKey, image, mips = [] } = tiles[i]
+      if (slots[i]) {
+        closeLevels(this.pendingUploads.get(tileKey))
+        this.pendingUploads.set(tileKey, { image, mips })
+      } else {
+        closeLevels({ image, mips })
+        missing++
+      }
+    }
+    if (missing > 0) {
+      console.warn(`TileManager: No free slots for ${missing} tile(s) of ${groupId}`)
+    }
+    return slots
+  }
+
+  /**
+   * Write queued tiles to the atlas, oldest first, until either budget is
+   * spent. At least one tile is written per call. Call once per frame.
+   * @param {object} [budget]
+   * @param {number} [budget.maxTiles]
+   * @param {number} [budget.maxMs] - Time budget (0 = none)
+   * @returns {string[]} Keys of the tiles written
+   */
+  flushUploads({ maxTiles = Infinity, maxMs = 0 } = {}) {
+    const written = []
+    const deadline = maxMs > 0 ? performance.now() + maxMs : Infinity
+    for (const [tileKey, levels] of this.pendingUploads) {
+      if (written.length >= maxTiles || (written.length > 0 && performance.now() >= deadline)) break
+      this.pendingUploads.delete(tileKey)
+      // Looked up now: compaction may have moved the slot since it was queued
+      this.writeSlot(this.slots.get(tileKey), levels.image, levels.mips)
+      closeLevels(levels)
+      written.push(tileKey)
+    }
+    return written
+  }
+
+  // Whether a tile has a slot but its texels are still queued
+  isUploadPending(tileKey) {
+    return this.pendingUploads.has(tileKey)
+  }
+
+  getPendingUploadCount() {
+    return this.pendingUploads.size
+  }
+
+  // Forget a queued tile whose slot was freed
+  dropPendingUpload(tileKey) {
+    closeLevels(this.pendingUploads.get(tileKey))
+    this.pendingUploads.delete(tileKey)
+  }
+
+  /**
+   * Write one slot's texels. Each mip level only touches the slot's own
+   * footprint on that level, so other slots' mips are left as they are.
+   * Missing mip levels are left untouched.
+   */
+  writeSlot(slot, image, mips = []) {
     const { layer, slotX, slotY } = slot
+    const tileSize = this.tileSize
+    const format = this.compressedFormat
 
-    // Upload ImageBitmap to the specific slot (skip if no WebGL texture yet)
+    if (format && !ArrayBuffer.isView(image)) {
+      console.warn('TileManager: Expected compressed tile data for a compressed atlas')
+      return
+    }
+
+    // Upload to the specific slot (skip if no WebGL texture yet)
     const texture = this.renderer.properties.get(this.tileAtlas).__webglTexture
     if (texture) {
       const gl = this.gl
       gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture)
-      gl.texSubImage3D(
-        gl.TEXTURE_2D_ARRAY,
-        0,
-        slotX * TILE_SIZE, // x offset in layer
-        slotY * TILE_SIZE, // y offset in layer
-        layer,             // layer index
-        TILE_SIZE, TILE_SIZE, 1,
-        gl.RGBA,
-        gl.UNSIGNED_BYTE,
-        imageBitmap
-      )
+      for (let level = 0; level < this.mipLevels; level++) {
+        const data = level === 0 ? image : mips[level - 1]
+        if (!data) break
+        const size = tileSize >> level
+        if (format) {
+          gl.compressedTexSubImage3D(
+            gl.TEXTURE_2D_ARRAY, level,
+            slotX * size, slotY * size, layer,
+            size, size, 1,
+            format.glFormat,
+            data
+          )
+        } else {
+          gl.texSubImage3D(
+            gl.TEXTURE_2D_ARRAY,
+            level,
+            slotX * size, // x offset in layer
+            slotY * size, // y offset in layer
+            layer,        // layer index
+            size, size, 1,
+            gl.RGBA,
+            gl.UNSIGNED_BYTE,
+            data
+          )
+        }
+      }
     }
+  }
 
-    return slot
+  /**
+   * Slot of the placeholder tile drawn for images that failed to load,
+   * uploaded on first use. Looked up each call: compaction may move it.
+   * @returns {{ layer: number, slotX: number, slotY: number } | null} null if it can't be made
+   */
+  getPlaceholderSlot() {
+    if (this.slots.has(PLACEHOLDER_KEY)) return this.slots.get(PLACEHOLDER_KEY)
+    const levels = createPlaceholderLevels(this.tileSize, this.mipLevels, this.compressedFormat)
+    if (!levels) return null
+    const [image, ...mips] = levels
+    return this.uploadTile(PLACEHOLDER_KEY, image, mips)
   }
 
   /**
    * Add a tile instance to be rendered
    */
-  addInstance(slot, x, y, scaleX = 1, scaleY = 1, rotation = 0) {
+  addInstance(slot, x, y, scaleX = 1, scaleY = 1, rotation = 0, opacity = 1) {
     const z = this.instances.length * 0.001
-    return this.addInstanceWithZ(slot, x, y, z, scaleX, scaleY, rotation)
+    return this.addInstanceWithZ(slot, x, y, z, scaleX, scaleY, rotation, opacity)
   }
 
   /**
    * Add a tile instance with z-position (for stacking)
    */
-  addInstanceWithZ(slot, x, y, z = 0, scaleX = 1, scaleY = 1, rotation = 0) {
+  addInstanceWithZ(slot, x, y, z = 0, scaleX = 1, scaleY = 1, rotation = 0, opacity = 1) {
     if (!slot) return -1
 
     const instanceIndex = this.instances.length
@@ -177,27 +457,99 @@ export class TileManager {
 
     // Set attributes
     this.layerAttribute.setX(instanceIndex, layer)
-    this.uvOffsetAttribute.setXY(instanceIndex, slotX * this.uvScale, slotY * this.uvScale)
+    this.uvOffsetAttribute.setXY(
+      instanceIndex,
+      slotX * this.slotUvSize + this.uvInset,
+      slotY * this.slotUvSize + this.uvInset
+    )
     this.uvScaleAttribute.setXY(instanceIndex, this.uvScale, this.uvScale)
+    this.opacityAttribute.setX(instanceIndex, opacity)
 
-    this.instances.push({ slot, x, y, z, scaleX, scaleY, rotation })
+    this.instances.push({ slot, x, y, z, scaleX, scaleY, rotation, opacity })
     this.mesh.count = this.instances.length
 
     return instanceIndex
   }
 
   freeTile(tileKey) {
+    this.dropPendingUpload(tileKey)
     this.slots.free(tileKey)
   }
 
+  freeGroup(groupId) {
+    for (const tileKey of this.slots.getGroup(groupId)) this.dropPendingUpload(tileKey)
+    this.slots.freeGroup(groupId)
+  }
+
+  /**
+   * Incrementally pack tiles from high atlas layers into holes on low layers.
+   * Texels are copied GPU-side; slot records held by the store are rewritten.
+   * Call once per frame with a small budget until it returns 0.
+   * @param {import('./TileDataStore').TileDataStore} [tileDataStore]
+   * @param {number} [maxMoves=32] - Tiles to move this call
+   * @returns {number} Number of tiles moved
+   */
+  compact(tileDataStore, maxMoves = 32) {
+    if (this.compressedFormat) return 0
+    const moves = planCompaction(this.slots, maxMoves)
+    if (moves.length === 0) return 0
+
+    const texture = this.renderer.properties.get(this.tileAtlas).__webglTexture
+    if (texture) {
+      const gl = this.gl
+      const tileSize = this.tileSize
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, this.getCopyFramebuffer())
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture)
+      for (const { from, to } of moves) {
+        // Source and destination are always on different layers, so this is not a feedback loop
+        for (let level = 0; level < this.mipLevels; level++) {
+          const size = tileSize >> level
+          gl.framebufferTextureLayer(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, texture, level, from.layer)
+          gl.copyTexSubImage3D(
+            gl.TEXTURE_2D_ARRAY,
+            level,
+            to.slotX * size,
+            to.slotY * size,
+            to.layer,
+            from.slotX * size,
+            from.slotY * size,
+            size, size
+          )
+        }
+      }
+      gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null)
+    }
+
+    const remapped = new Map()
+    for (const { tileKey, to } of moves) {
+      remapped.set(tileKey, this.slots.move(tileKey, to))
+    }
+    tileDataStore?.remapSlots(remapped)
+
+    return moves.length
+  }
+
   getUsedSlotCount() {
     return this.slots.getUsedCount()
   }
 
+  // Capacity at maxLayers — eviction should only kick in once growth is exhausted
   getTotalSlots() {
+    return this.maxLayers * this.slots.tilesPerLayer
+  }
+
+  getAllocatedSlots() {
     return this.slots.getTotalSlots()
   }
 
+  getLayerCount() {
+    return this.layerCount
+  }
+
+  getAtlasFormatName() {
+    return this.compressedFormat?.name ?? 'rgba8'
+  }
+
   clearInstances() {
     this.instances = []
     this.mesh.count = 0
@@ -208,6 +560,7 @@ export class TileManager {
     this.layerAttribute.needsUpdate = true
     this.uvOffsetAttribute.needsUpdate = true
     this.uvScaleAttribute.needsUpdate = true
+    this.opacityAttribute.needsUpdate = true
   }
 
   getMesh() {
@@ -223,6 +576,10 @@ export class TileManager {
   }
 
   dispose() {
+    this.disposed = true
+    for (const levels of this.pendingUploads.values()) closeLevels(levels)
+    this.pendingUploads.clear()
+    if (this.copyFramebuffer) this.gl.deleteFramebuffer(this.copyFramebuffer)
     this.geometry.dispose()
     this.material.dispose()
     this.tileAtlas.dispose()
@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { TileManager, SHRINK_IDLE_CALLS } from './TileManager'
+import { createTileConfig } from './tileConfig'
+
+// 2×2 slots per layer, RGBA, so no extension lookups
+const config = createTileConfig({
+  tileSize: 256, atlasSize: 512, maxLayers: 4, initialLayers: 2, mipLevels: 2, compression: 'none'
+})
+
+/**
+ * Renderer whose WebGL context records texel writes. Every texture has a
+ * GL handle, so writeSlot and compact take their GPU paths.
+ */
+function makeMockRenderer() {
+  const writes = []
+  const gl = {
+    TEXTURE_2D_ARRAY: 'TEXTURE_2D_ARRAY',
+    READ_FRAMEBUFFER: 'READ_FRAMEBUFFER',
+    COLOR_ATTACHMENT0: 'COLOR_ATTACHMENT0',
+    RGBA: 'RGBA',
+    UNSIGNED_BYTE: 'UNSIGNED_BYTE',
+    getSupportedExtensions: () => [],
+    bindTexture() {},
+    bindFramebuffer() {},
+    framebufferTextureLayer() {},
+    copyTexSubImage3D() {},
+    createFramebuffer: () => ({}),
+    deleteFramebuffer() {},
+    texSubImage3D(target, level, x, y, layer, w, h, depth, format, type, data) {
+      writes.push({ level, x, y, layer, data })
+    }
+  }
+  const textures = new WeakMap()
+  const renderer = {
+    getContext: () => gl,
+    initTexture(texture) { textures.set(texture, { __webglTexture: {} }) },
+    properties: { get: texture => textures.get(texture) ?? {} },
+    extensions: { get() {} }
+  }
+  return { renderer, writes }
+}
+
+const level = name => ({ name, close: vi.fn() })
+const tile = tileKey => ({ tileKey, image: level(tileKey), mips: [level(`${tileKey}/1`)] })
+// Level-0 writes, as the tile names they wrote
+const written = writes => writes.filter(w => w.level === 0).map(w => w.data.name)
+
+describe('TileManager upload queue', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('allocates slots at once and writes texels only when flushed', () => {
+    const { renderer, writes } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    const slots = tm.uploadTileGroup('g', [tile('a'), tile('b')], 2)
+
+    expect(slots.every(Boolean)).toBe(true)
+    expect(tm.getUsedSlotCount()).toBe(2)
+    expect(writes).toHaveLength(0)
+    expect(tm.isUploadPending('a')).toBe(true)
+    expect(tm.getPendingUploadCount()).toBe(2)
+
+    expect(tm.flushUploads()).toEqual(['a', 'b'])
+    expect(writes).toHaveLength(4) // two levels each
+    expect(tm.getPendingUploadCount()).toBe(0)
+  })
+
+  it('writes oldest first, at most maxTiles per call', () => {
+    const { renderer, writes } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    tm.uploadTileGroup('g1', [tile('a'), tile('b')], 2)
+    tm.uploadTileGroup('g2', [tile('c')], 1)
+
+    expect(tm.flushUploads({ maxTiles: 2 })).toEqual(['a', 'b'])
+    expect(written(writes)).toEqual(['a', 'b'])
+    expect(tm.flushUploads({ maxTiles: 2 })).toEqual(['c'])
+    expect(tm.flushUploads({ maxTiles: 2 })).toEqual([])
+  })
+
+  it('stops once maxMs has passed, after at least one tile', () => {
+    const { renderer } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    tm.uploadTileGroup('g', [tile('a'), tile('b'), tile('c')], 3)
+
+    let clock = 0
+    vi.spyOn(performance, 'now').mockImplementation(() => (clock += 3))
+    // Deadline 8: 'b' is written at 6, 'c' is checked at 9
+    expect(tm.flushUploads({ maxMs: 5 })).toEqual(['a', 'b'])
+
+    clock = 0
+    vi.spyOn(performance, 'now').mockImplementation(() => (clock += 100))
+    expect(tm.flushUploads({ maxMs: 1 })).toEqual(['c'])
+  })
+
+  it('closes the image levels once written', () => {
+    const { renderer } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    const t = tile('a')
+    tm.uploadTileGroup('g', [t], 1)
+    expect(t.image.close).not.toHaveBeenCalled()
+
+    tm.flushUploads()
+    expect(t.image.close).toHaveBeenCalledOnce()
+    expect(t.mips[0].close).toHaveBeenCalledOnce()
+  })
+
+  it('closes the levels of tiles that found no slot', () => {
+    const { renderer } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    // 4 layers of 4 slots hold 16 tiles
+    const tiles = Array.from({ length: 17 }, (_, i) => tile(`t${i}`))
+    const slots = tm.uploadTileGroup('g', tiles, 17)
+
+    const rejected = tiles.filter((_, i) => !slots[i])
+    expect(rejected.length).toBeGreaterThan(0)
+    for (const t of rejected) expect(t.image.close).toHaveBeenCalled()
+    expect(tm.getPendingUploadCount()).toBe(tiles.length - rejected.length)
+  })
+
+  it('writes to the slot a tile has when flushed, after compaction moved it', () => {
+    const { renderer, writes } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    tm.uploadTileGroup('low', [tile('a'), tile('b'), tile('c'), tile('d')], 2)
+    tm.flushUploads()
+    tm.uploadTileGroup('high', [tile('e')], 1)
+    expect(tm.slots.get('e').layer).toBe(1)
+
+    // Free layer 0, then pack 'e' down into it before its texels are written
+    tm.freeGroup('low')
+    expect(tm.compact(null)).toBe(1)
+    const slot = tm.slots.get('e')
+    expect(slot.layer).toBe(0)
+
+    writes.length = 0
+    expect(tm.flushUploads()).toEqual(['e'])
+    expect(writes[0]).toMatchObject({ layer: 0, x: slot.slotX * 256, y: slot.slotY * 256 })
+  })
+
+  it('drops and closes queued tiles whose slots are freed', () => {
+    const { renderer, writes } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    const [a, b, c] = [tile('a'), tile('b'), tile('c')]
+    tm.uploadTileGroup('g1', [a, b], 2)
+    tm.uploadTileGroup('g2', [c], 1)
+
+    tm.freeTile('a')
+    expect(a.image.close).toHaveBeenCalledOnce()
+    expect(tm.isUploadPending('a')).toBe(false)
+
+    tm.freeGroup('g2')
+    expect(c.image.close).toHaveBeenCalledOnce()
+    expect(c.mips[0].close).toHaveBeenCalledOnce()
+
+    expect(tm.flushUploads()).toEqual(['b'])
+    expect(written(writes)).toEqual(['b'])
+  })
+
+  it('closes queued tiles on dispose', () => {
+    const { renderer } = makeMockRenderer()
+    const tm = new TileManager(renderer, config)
+    const t = tile('a')
+    tm.uploadTileGroup('g', [t], 1)
+    tm.dispose()
+    expect(t.image.close).toHaveBeenCalledOnce()
+    expect(tm.getPendingUploadCount()).toBe(0)
+  })
+})
+
+describe('TileManager shrink', () => {
+  const growable = createTileConfig({
+    tileSize: 256, atlasSize: 512, maxLayers: 8, initialLayers: 1, mipLevels: 2, compression: 'none'
+  })
+
+  // 9 tiles grow the atlas 1 -> 2 -> 4 layers; freeing the last leaves layers 2-3 empty
+  function setup() {
+    const { renderer } = makeMockRenderer()
+    const tm = new TileManager(renderer, growable)
+    tm.uploadTileGroup('g', Array.from({ length: 8 }, (_, i) => tile(`t${i}`)), 2)
+    tm.uploadTileGroup('extra', [tile('x')], 1)
+    expect(tm.getLayerCount()).toBe(4)
+    tm.freeGroup('extra')
+    return tm
+  }
+
+  const idle = (tm, calls) => {
+    let shrank = false
+    for (let i = 0; i < calls; i++) shrank = tm.shrink() || shrank
+    return shrank
+  }
+
+  it('shrinks only after enough idle calls', () => {
+    const tm = setup()
+    expect(idle(tm, SHRINK_IDLE_CALLS - 1)).toBe(false)
+    expect(tm.getLayerCount()).toBe(4)
+    expect(tm.shrink()).toBe(true)
+    expect(tm.getLayerCount()).toBe(3)
+  })
+
+  it('does not thrash while tiles keep arriving near a layer boundary', () => {
+    const tm = setup()
+    const reallocate = vi.spyOn(tm, 'reallocateAtlas')
+    // A tile on every few idle frames, freed again: the working set hovers
+    for (let round = 0; round < 20; round++) {
+      expect(idle(tm, SHRINK_IDLE_CALLS / 2)).toBe(false)
+      tm.uploadTileGroup('extra', [tile('x')], 1)
+      tm.freeGroup('extra')
+    }
+    expect(reallocate).not.toHaveBeenCalled()
+    expect(tm.getLayerCount()).toBe(4)
+  })
+
+  it('waits again after growing', () => {
+    const tm = setup()
+    idle(tm, SHRINK_IDLE_CALLS - 1)
+    tm.grow()
+    expect(tm.shrink()).toBe(false)
+  })
+})
@@ -1,3 +1,24 @@
+import { getTileGrid, getTileRange } from './tileGrid'
+
+// Sutherland–Hodgman step: keep the part of a convex polygon on one side of
+// an axis-aligned line (axis 0 = x, 1 = y)
+function clipPolygon(points, axis, value, keepAbove) {
+  const inside = p => (keepAbove ? p[axis] >= value : p[axis] <= value)
+  const out = []
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i]
+    const b = points[(i + 1) % points.length]
+    const aIn = inside(a)
+    const bIn = inside(b)
+    if (aIn) out.push(a)
+    if (aIn !== bIn) {
+      const t = (value - a[axis]) / (b[axis] - a[axis])
+      out.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t])
+    }
+  }
+  return out
+}
+
 export class VisibilityChecker {
   constructor(imageCount, gridCols, imageWorldSize, gap, rotations = null, scales = null) {
     this.imageCount = imageCount
@@ -42,12 +63,8 @@ export class VisibilityChecker {
   getImageBounds(i) {
     if (i < 0 || i >= this.imageCount) return null
 
-    const col = i % this.gridCols
-    const row = Math.floor(i / this.gridCols)
-
     // Pivot (Top-Left of grid cell)
-    const pivotX = col * this.stride
-    const pivotY = -row * this.stride
+    const { pivotX, pivotY } = this.getImagePivot(i)
 
     // Transform Data
     const rotation = this.rotations ? this.rotations[i] : 0
@@ -81,15 +98,81 @@ export class VisibilityChecker {
     }
   }
 
+  // World position of an image's top-left corner (its rotation/scale origin)
+  getImagePivot(i) {
+    const col = i % this.gridCols
+    const row = Math.floor(i / this.gridCols)
+    return { pivotX: col * this.stride, pivotY: -row * this.stride }
+  }
+
+  /**
+   * Bounding box, in image-local space (origin top-left, x right, y down,
+   * unscaled world units), of the part of image i inside the camera bounds.
+   * The camera rectangle becomes a rotated quad in image space; it is clipped
+   * to the image before taking the box, so rotated images stay tight.
+   * @param {{ minX: number, maxX: number, minY: number, maxY: number }} cameraBounds - From getCameraBounds
+   * @returns {{ minX: number, minY: number, maxX: number, maxY: number } | null}
+   */
+  getVisibleLocalRect(i, cameraBounds, worldWidth = this.imageWorldSize, worldHeight = this.imageWorldSize) {
+    if (i < 0 || i >= this.imageCount) return null
+
+    const { pivotX, pivotY } = this.getImagePivot(i)
+    const rotation = this.rotations ? this.rotations[i] : 0
+    const scale = this.scales ? this.scales[i] : 1
+    const c = Math.cos(rotation)
+    const s = Math.sin(rotation)
+
+    // Camera corners in winding order, mapped world -> image-local
+    const corners = [
+      [cameraBounds.minX, cameraBounds.minY],
+      [cameraBounds.maxX, cameraBounds.minY],
+      [cameraBounds.maxX, cameraBounds.maxY],
+      [cameraBounds.minX, cameraBounds.maxY]
+    ]
+    let polygon = corners.map(([wx, wy]) => {
+      const dx = wx - pivotX
+      const dy = wy - pivotY
+      return [(dx * c + dy * s) / scale, -(-dx * s + dy * c) / scale]
+    })
+
+    polygon = clipPolygon(polygon, 0, 0, true)
+    polygon = clipPolygon(polygon, 0, worldWidth, false)
+    polygon = clipPolygon(polygon, 1, 0, true)
+    polygon = clipPolygon(polygon, 1, worldHeight, false)
+    if (polygon.length === 0) return null
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+    for (const [x, y] of polygon) {
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+    }
+    return { minX, minY, maxX, maxY }
+  }
+
+  /**
+   * Range of tiles (see tileGrid) of image i at a LOD that intersect the
+   * camera bounds, grown by `margin` tiles. null when the image is off screen.
+   */
+  getVisibleTileRange(i, cameraBounds, lodLevel, worldWidth = this.imageWorldSize, worldHeight = this.imageWorldSize, margin = 0) {
+    const rect = this.getVisibleLocalRect(i, cameraBounds, worldWidth, worldHeight)
+    if (!rect) return null
+    const grid = getTileGrid(worldWidth, worldHeight, this.imageWorldSize, lodLevel)
+    return getTileRange(grid, rect.minX, rect.minY, rect.maxX, rect.maxY, margin)
+  }
+
   /**
    * Compute the world-space AABB visible to the orthographic camera.
    * Camera is always looking straight down -Z, so this is just
    * position +/- half-extents adjusted by zoom.
+   * @param {number} [margin] - Grow each side by this many view widths/heights
    */
-  getCameraBounds(camera) {
+  getCameraBounds(camera, margin = 0) {
     camera.updateMatrixWorld()
-    const halfW = (camera.right - camera.left) / (2 * camera.zoom)
-    const halfH = (camera.top - camera.bottom) / (2 * camera.zoom)
+    const grow = 1 + 2 * margin
+    const halfW = (camera.right - camera.left) / (2 * camera.zoom) * grow
+    const halfH = (camera.top - camera.bottom) / (2 * camera.zoom) * grow
     const cx = camera.position.x
     const cy = camera.position.y
     const EPS = 1e-6
@@ -101,10 +184,13 @@ export class VisibilityChecker {
     }
   }
 
-  getVisibleImages(camera) {
+  /**
+   * Images whose bounds overlap the view, grown by `margin` (see getCameraBounds).
+   */
+  getVisibleImages(camera, margin = 0) {
     const visible = []
 
-    const { minX, maxX, minY, maxY } = this.getCameraBounds(camera)
+    const { minX, maxX, minY, maxY } = this.getCameraBounds(camera, margin)
 
     // Dynamic Padding based on max possible AABB extent from a grid cell pivot
     const searchPadding = this.imageWorldSize * this.maxScale * 1.42
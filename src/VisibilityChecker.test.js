@@ -386,6 +386,17 @@ describe('VisibilityChecker', () => {
       expect(checker.isImageVisible(4, camera)).toBe(false)
     })
 
+    it('a margin grows the view by view widths per side', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      // View is 800/40 = 20 wide; the image starts 18 past its right edge
+      const camera = makeCamera(-28, -2, 40)
+      const bounds = checker.getCameraBounds(camera, 0.5)
+      expect(bounds.maxX - bounds.minX).toBeCloseTo(40, 4)
+      expect(checker.getVisibleImages(camera)).toEqual([])
+      expect(checker.getVisibleImages(camera, 0.5)).toEqual([])
+      expect(checker.getVisibleImages(camera, 1)).toEqual([0])
+    })
+
     it('results are sorted by index', () => {
       checker = new VisibilityChecker(100, 10, BASE_WORLD_SIZE, GAP)
       const camera = makeCamera(20, -20, 20)
@@ -395,4 +406,132 @@ describe('VisibilityChecker', () => {
       }
     })
   })
+
+  describe('getVisibleTileRange', () => {
+    // World-space corners of tile (tx, ty) of image i
+    function tileCorners(checker, i, grid, tx, ty) {
+      const { pivotX, pivotY } = checker.getImagePivot(i)
+      const rotation = checker.rotations ? checker.rotations[i] : 0
+      const scale = checker.scales ? checker.scales[i] : 1
+      const c = Math.cos(rotation)
+      const s = Math.sin(rotation)
+      const size = grid.tileWorldSize
+      return [[tx, ty], [tx + 1, ty], [tx + 1, ty + 1], [tx, ty + 1]].map(([gx, gy]) => {
+        const lx = Math.min(gx * size, grid.worldWidth) * scale
+        const ly = -Math.min(gy * size, grid.worldHeight) * scale
+        return [pivotX + lx * c - ly * s, pivotY + lx * s + ly * c]
+      })
+    }
+
+    // Separating-axis test between a convex quad and an AABB
+    function quadIntersectsBounds(quad, b) {
+      const axes = [[1, 0], [0, 1]]
+      for (let k = 0; k < 2; k++) {
+        const [x0, y0] = quad[k]
+        const [x1, y1] = quad[k + 1]
+        axes.push([y0 - y1, x1 - x0])
+      }
+      const box = [[b.minX, b.minY], [b.maxX, b.minY], [b.maxX, b.maxY], [b.minX, b.maxY]]
+      for (const [ax, ay] of axes) {
+        const project = pts => pts.map(([x, y]) => x * ax + y * ay)
+        const q = project(quad)
+        const r = project(box)
+        if (Math.max(...q) < Math.min(...r) || Math.max(...r) < Math.min(...q)) return false
+      }
+      return true
+    }
+
+    // GROUND TRUTH: bounding range of every tile that intersects the camera
+    function referenceRange(checker, i, bounds, lod, worldWidth, worldHeight) {
+      const size = BASE_WORLD_SIZE / Math.pow(2, lod)
+      const grid = { tileWorldSize: size, worldWidth, worldHeight }
+      const tilesX = Math.ceil(worldWidth / size)
+      const tilesY = Math.ceil(worldHeight / size)
+      let range = null
+      for (let ty = 0; ty < tilesY; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+          if (!quadIntersectsBounds(tileCorners(checker, i, grid, tx, ty), bounds)) continue
+          range = range
+            ? { x0: Math.min(range.x0, tx), y0: Math.min(range.y0, ty), x1: Math.max(range.x1, tx + 1), y1: Math.max(range.y1, ty + 1) }
+            : { x0: tx, y0: ty, x1: tx + 1, y1: ty + 1 }
+        }
+      }
+      return range
+    }
+
+    it('camera covering the whole image returns every tile', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      const bounds = { minX: -10, maxX: 10, minY: -10, maxY: 10 }
+      expect(checker.getVisibleTileRange(0, bounds, 2)).toEqual({ x0: 0, y0: 0, x1: 4, y1: 4 })
+    })
+
+    it('unrotated image: camera over one corner', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      // Image spans x [0, 4], y [-4, 0]; LOD 2 tiles are 1 unit
+      const bounds = { minX: 2.5, maxX: 10, minY: -10, maxY: -3.5 }
+      expect(checker.getVisibleTileRange(0, bounds, 2)).toEqual({ x0: 2, y0: 3, x1: 4, y1: 4 })
+    })
+
+    it('returns null when the camera misses the image', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      expect(checker.getVisibleTileRange(0, { minX: 5, maxX: 6, minY: -1, maxY: 1 }, 2)).toBeNull()
+    })
+
+    it('applies scale: a 10× image shows few LOD 4 tiles when zoomed in', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP, null, [10])
+      // Image spans 40 units; LOD 4 tiles cover 0.25 × 10 = 2.5 world units
+      const bounds = { minX: 1, maxX: 4, minY: -4, maxY: -1 }
+      expect(checker.getVisibleTileRange(0, bounds, 4)).toEqual({ x0: 0, y0: 0, x1: 2, y1: 2 })
+    })
+
+    it('rotated image: clipped range is tighter than the view bounding box', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP, [Math.PI / 4])
+      // Small view just right of the pivot, over the image's top edge
+      const bounds = { minX: 0.5, maxX: 1.5, minY: 0.2, maxY: 1.2 }
+      const range = checker.getVisibleTileRange(0, bounds, 3)
+      expect(range).toEqual(referenceRange(checker, 0, bounds, 3, BASE_WORLD_SIZE, BASE_WORLD_SIZE))
+    })
+
+    it('margin grows the range and stays clamped', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      const bounds = { minX: 2.5, maxX: 10, minY: -10, maxY: -3.5 }
+      expect(checker.getVisibleTileRange(0, bounds, 2, BASE_WORLD_SIZE, BASE_WORLD_SIZE, 1)).toEqual({ x0: 1, y0: 2, x1: 4, y1: 4 })
+    })
+
+    it('uses the real image size for non-square images', () => {
+      checker = new VisibilityChecker(1, 1, BASE_WORLD_SIZE, GAP)
+      // 4 × 2 landscape: LOD 2 grid is 4 × 2; view below the image content sees nothing
+      expect(checker.getVisibleTileRange(0, { minX: 0, maxX: 4, minY: -4, maxY: -2.5 }, 2, 4, 2)).toBeNull()
+      expect(checker.getVisibleTileRange(0, { minX: 0, maxX: 4, minY: -4, maxY: -1.5 }, 2, 4, 2)).toEqual({ x0: 0, y0: 1, x1: 4, y1: 2 })
+    })
+
+    it('matches brute-force tile intersection for the full app config', () => {
+      const count = 100
+      const cols = 10
+      const rotations = Array.from({ length: count }, (_, i) => (i % 10 === 0 ? Math.PI / 4 : (i % 7) * 0.3))
+      const scales = Array.from({ length: count }, (_, i) => (i % 40 === 0 ? 10 : 1))
+      checker = new VisibilityChecker(count, cols, BASE_WORLD_SIZE, GAP, rotations, scales)
+
+      let seed = 1
+      const random = () => {
+        seed = (seed * 16807) % 2147483647
+        return seed / 2147483647
+      }
+
+      let compared = 0
+      for (let n = 0; n < 40; n++) {
+        const camera = makeCamera(random() * 45, -random() * 45, 20 + random() * 200)
+        const bounds = checker.getCameraBounds(camera)
+        for (const i of checker.getVisibleImages(camera)) {
+          const worldHeight = i % 3 === 0 ? 2.7 : BASE_WORLD_SIZE
+          for (const lod of [2, 4]) {
+            const range = checker.getVisibleTileRange(i, bounds, lod, BASE_WORLD_SIZE, worldHeight)
+            expect(range).toEqual(referenceRange(checker, i, bounds, lod, BASE_WORLD_SIZE, worldHeight))
+            compared++
+          }
+        }
+      }
+      expect(compared).toBeGreaterThan(0)
+    })
+  })
 })
@@ -0,0 +1,62 @@
+/**
+ * Atlas compaction planning.
+ *
+ * Over time the allocator leaves holes in low layers while tiles sit on high
+ * layers. The minimum number of layers that can hold every tile is
+ * ceil(used / tilesPerLayer); everything above that line is moved down into
+ * holes below it. Planning is pure bookkeeping on a SlotAllocator so it can be
+ * tested without WebGL — TileManager performs the texel copies.
+ */
+
+/**
+ * Number of layers the current tiles would occupy if perfectly packed.
+ */
+export function getCompactLayerCount(slots) {
+  return Math.ceil(slots.getUsedCount() / slots.tilesPerLayer)
+}
+
+/**
+ * Check whether any tile lives above the packed layer count.
+ */
+export function needsCompaction(slots) {
+  return slots.getHighestUsedLayer() >= getCompactLayerCount(slots)
+}
+
+/**
+ * Plan up to maxMoves tile moves from the highest layers into free slots on
+ * the lowest layers. Does not modify the allocator.
+ *
+ * Tiles on the highest layer move first, and tiles of the same group move
+ * consecutively so they land next to each other.
+ *
+ * @param {import('./SlotAllocator').SlotAllocator} slots
+ * @param {number} [maxMoves=Infinity] - Per-call budget
+ * @returns {Array<{ tileKey: string, from: object, to: object }>}
+ */
+export function planCompaction(slots, maxMoves = Infinity) {
+  if (maxMoves <= 0 || !needsCompaction(slots)) return []
+
+  const targetLayers = getCompactLayerCount(slots)
+  const sources = []
+  for (const [tileKey, slot] of slots.usedSlots) {
+    if (slot.layer >= targetLayers) {
+      sources.push({ tileKey, slot, group: slots.tileGroups.get(tileKey) ?? tileKey })
+    }
+  }
+
+  sources.sort((a, b) => {
+    if (a.slot.layer !== b.slot.layer) return b.slot.layer - a.slot.layer
+    if (a.group !== b.group) return a.group < b.group ? -1 : 1
+    return (a.slot.slotY - b.slot.slotY) || (a.slot.slotX - b.slot.slotX)
+  })
+
+  const moves = []
+  const destinations = slots.freeSlots(targetLayers)
+  for (const { tileKey, slot } of sources) {
+    if (moves.length >= maxMoves) break
+    const next = destinations.next()
+    if (next.done) break
+    moves.push({ tileKey, from: { ...slot }, to: next.value })
+  }
+  return moves
+}
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest'
+import { SlotAllocator } from './SlotAllocator'
+import { planCompaction, needsCompaction, getCompactLayerCount } from './atlasCompaction'
+
+/** Apply a plan the same way TileManager.compact() does (minus the GPU copy). */
+function applyMoves(slots, moves) {
+  for (const { tileKey, to } of moves) slots.move(tileKey, to)
+}
+
+/** Fill `count` slots, then free every key for which keep(i) is false. */
+function fragmented(maxLayers, tilesPerRow, count, keep) {
+  const slots = new SlotAllocator(maxLayers, tilesPerRow)
+  for (let i = 0; i < count; i++) slots.allocate(`t${i}`)
+  for (let i = 0; i < count; i++) if (!keep(i)) slots.free(`t${i}`)
+  return slots
+}
+
+describe('atlasCompaction', () => {
+  describe('getCompactLayerCount / needsCompaction', () => {
+    it('packed atlas needs no compaction', () => {
+      const slots = fragmented(4, 2, 6, () => true)
+      expect(getCompactLayerCount(slots)).toBe(2)
+      expect(needsCompaction(slots)).toBe(false)
+      expect(planCompaction(slots)).toEqual([])
+    })
+
+    it('empty atlas needs no compaction', () => {
+      const slots = new SlotAllocator(4, 2)
+      expect(needsCompaction(slots)).toBe(false)
+    })
+
+    it('sparse high layer needs compaction', () => {
+      // 16 slots over 4 layers, keep every other one → 8 used, packable into 2 layers
+      const slots = fragmented(4, 2, 16, i => i % 2 === 0)
+      expect(getCompactLayerCount(slots)).toBe(2)
+      expect(needsCompaction(slots)).toBe(true)
+    })
+  })
+
+  describe('planCompaction', () => {
+    it('moves tiles from high layers into holes on low layers', () => {
+      const slots = fragmented(4, 2, 16, i => i % 2 === 0)
+      const moves = planCompaction(slots)
+      // Layers 2 and 3 hold 4 tiles; layers 0-1 have exactly 4 holes
+      expect(moves).toHaveLength(4)
+      for (const { from, to } of moves) {
+        expect(from.layer).toBeGreaterThanOrEqual(2)
+        expect(to.layer).toBeLessThan(2)
+      }
+      // Highest layer first
+      expect(moves[0].from.layer).toBe(3)
+    })
+
+    it('does not modify the allocator', () => {
+      const slots = fragmented(4, 2, 16, i => i % 2 === 0)
+      const before = new Map([...slots.usedSlots].map(([k, v]) => [k, { ...v }]))
+      planCompaction(slots)
+      expect(new Map(slots.usedSlots)).toEqual(before)
+    })
+
+    it('never plans two moves into the same slot', () => {
+      const slots = fragmented(8, 4, 128, i => i % 3 === 0)
+      const moves = planCompaction(slots)
+      const targets = moves.map(m => `${m.to.layer}_${m.to.slotX}_${m.to.slotY}`)
+      expect(new Set(targets).size).toBe(targets.length)
+    })
+
+    it('respects the per-call move budget', () => {
+      const slots = fragmented(4, 2, 16, i => i % 2 === 0)
+      expect(planCompaction(slots, 3)).toHaveLength(3)
+      expect(planCompaction(slots, 0)).toEqual([])
+    })
+
+    it('incremental passes converge to a packed atlas', () => {
+      const slots = fragmented(8, 4, 128, i => i % 3 === 0)
+      const used = slots.getUsedCount()
+      let passes = 0
+      while (needsCompaction(slots)) {
+        applyMoves(slots, planCompaction(slots, 5))
+        passes++
+        expect(passes).toBeLessThan(100)
+      }
+      expect(slots.getUsedCount()).toBe(used)
+      expect(slots.getHighestUsedLayer()).toBe(getCompactLayerCount(slots) - 1)
+    })
+
+    it('moves tiles of one group next to each other', () => {
+      const slots = new SlotAllocator(3, 2)
+      // Layer 0: 4 singles, layer 1: group g (4 tiles), layer 2: group h (2 tiles)
+      for (let i = 0; i < 4; i++) slots.allocate(`s${i}`)
+      slots.allocateGroup('g', ['g0', 'g1', 'g2', 'g3'], 2)
+      slots.allocateGroup('h', ['h0', 'h1'], 2)
+      // Free half of layer 0 and the group g block, leaving h stranded on layer 2
+      slots.free('s1')
+      slots.free('s3')
+      slots.freeGroup('g')
+
+      const moves = planCompaction(slots)
+      expect(moves.map(m => m.tileKey)).toEqual(['h0', 'h1'])
+      expect(moves.map(m => m.to.layer)).toEqual([0, 0])
+
+      applyMoves(slots, moves)
+      expect(slots.getGroup('h').sort()).toEqual(['h0', 'h1'])
+      expect(slots.getHighestUsedLayer()).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,257 @@
+/**
+ * Minimal real-time block encoders used by tileWorker when tiles have no
+ * pre-encoded KTX2 version. Quality is below offline encoders but fast
+ * enough to run per tile.
+ *
+ * Input is tightly packed RGBA8 rows (as from ImageData), width and height
+ * multiples of 4. Output blocks are in row-major order, matching what
+ * compressedTexSubImage3D expects.
+ */
+
+// Gather one 4×4 block as 16 [r, g, b] triples, row-major
+function readBlock(rgba, width, bx, by, out) {
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const src = ((by * 4 + y) * width + bx * 4 + x) * 4
+      const dst = (y * 4 + x) * 3
+      out[dst] = rgba[src]
+      out[dst + 1] = rgba[src + 1]
+      out[dst + 2] = rgba[src + 2]
+    }
+  }
+}
+
+function to565(r, g, b) {
+  return ((r * 31 + 127) / 255 << 11) | ((g * 63 + 127) / 255 << 5) | ((b * 31 + 127) / 255)
+}
+
+function from565(c) {
+  const r = (c >> 11) & 31
+  const g = (c >> 5) & 63
+  const b = c & 31
+  return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2)]
+}
+
+/**
+ * BC1 (DXT1) in four-colour mode: endpoints from the block's bounding box.
+ * @returns {Uint8Array} 8 bytes per block
+ */
+export function encodeBC1(rgba, width, height) {
+  const blocksX = width / 4
+  const blocksY = height / 4
+  const out = new Uint8Array(blocksX * blocksY * 8)
+  const view = new DataView(out.buffer)
+  const px = new Uint8Array(48)
+  const palette = [[0, 0, 0], [0, 0, 0], [0, 0, 0], [0, 0, 0]]
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      readBlock(rgba, width, bx, by, px)
+
+      const min = [255, 255, 255]
+      const max = [0, 0, 0]
+      for (let i = 0; i < 48; i += 3) {
+        for (let c = 0; c < 3; c++) {
+          if (px[i + c] < min[c]) min[c] = px[i + c]
+          if (px[i + c] > max[c]) max[c] = px[i + c]
+        }
+      }
+
+      let c0 = to565(max[0], max[1], max[2])
+      let c1 = to565(min[0], min[1], min[2])
+      if (c0 < c1) [c0, c1] = [c1, c0]
+
+      let indices = 0
+      if (c0 !== c1) {
+        const e0 = from565(c0)
+        const e1 = from565(c1)
+        for (let c = 0; c < 3; c++) {
+          palette[0][c] = e0[c]
+          palette[1][c] = e1[c]
+          palette[2][c] = (2 * e0[c] + e1[c]) / 3
+          palette[3][c] = (e0[c] + 2 * e1[c]) / 3
+        }
+        for (let p = 0; p < 16; p++) {
+          let best = 0
+          let bestErr = Infinity
+          for (let k = 0; k < 4; k++) {
+            const dr = px[p * 3] - palette[k][0]
+            const dg = px[p * 3 + 1] - palette[k][1]
+            const db = px[p * 3 + 2] - palette[k][2]
+            const err = dr * dr + dg * dg + db * db
+            if (err < bestErr) { bestErr = err; best = k }
+          }
+          indices |= best << (p * 2)
+        }
+      }
+
+      const offset = (by * blocksX + bx) * 8
+      view.setUint16(offset, c0, true)
+      view.setUint16(offset + 2, c1, true)
+      view.setUint32(offset + 4, indices >>> 0, true)
+    }
+  }
+  return out
+}
+
+export const ETC1_MODIFIERS = [
+  [2, 8], [5, 17], [9, 29], [13, 42],
+  [18, 60], [24, 80], [33, 106], [47, 183],
+]
+
+// Pixel index codes in (msb << 1 | lsb) order: +a, +b, -a, -b
+const ETC1_SIGNS = [[0, 1], [1, 1], [0, -1], [1, -1]]
+
+const clamp255 = v => (v < 0 ? 0 : v > 255 ? 255 : v)
+
+// Best table + per-pixel codes for one subblock around a base colour
+function fitSubblock(px, pixels, base) {
+  let best = { error: Infinity, table: 0, codes: null }
+  for (let table = 0; table < 8; table++) {
+    const codes = new Uint8Array(pixels.length)
+    let error = 0
+    for (let i = 0; i < pixels.length; i++) {
+      const p = pixels[i] * 3
+      let bestErr = Infinity
+      for (let code = 0; code < 4; code++) {
+        const [k, sign] = ETC1_SIGNS[code]
+        const m = sign * ETC1_MODIFIERS[table][k]
+        const dr = px[p] - clamp255(base[0] + m)
+        const dg = px[p + 1] - clamp255(base[1] + m)
+        const db = px[p + 2] - clamp255(base[2] + m)
+        const err = dr * dr + dg * dg + db * db
+        if (err < bestErr) { bestErr = err; codes[i] = code }
+      }
+      error += bestErr
+    }
+    if (error < best.error) best = { error, table, codes }
+  }
+  return best
+}
+
+function average(px, pixels) {
+  const sum = [0, 0, 0]
+  for (const p of pixels) {
+    sum[0] += px[p * 3]
+    sum[1] += px[p * 3 + 1]
+    sum[2] += px[p * 3 + 2]
+  }
+  return sum.map(s => s / pixels.length)
+}
+
+// Row-major pixel indices of the two subblocks for each flip setting
+const SUBBLOCKS = [0, 1].map(flip => [0, 1].map(half => {
+  const pixels = []
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const inHalf = flip ? (y >> 1) === half : (x >> 1) === half
+      if (inHalf) pixels.push(y * 4 + x)
+    }
+  }
+  return pixels
+}))
+
+// Candidate ETC1 encodings of one block (individual and, if it fits, differential)
+function encodeEtc1Block(px) {
+  let best = null
+
+  for (let flip = 0; flip < 2; flip++) {
+    const [pixels1, pixels2] = SUBBLOCKS[flip]
+    const avg1 = average(px, pixels1)
+    const avg2 = average(px, pixels2)
+
+    const candidates = []
+
+    // Individual mode: two 4-bit colours
+    const q1 = avg1.map(v => Math.round(v / 17))
+    const q2 = avg2.map(v => Math.round(v / 17))
+    candidates.push({
+      diff: 0,
+      high: ((q1[0] << 28) | (q2[0] << 24) | (q1[1] << 20) | (q2[1] << 16) | (q1[2] << 12) | (q2[2] << 8)) >>> 0,
+      base1: q1.map(v => v * 17),
+      base2: q2.map(v => v * 17),
+    })
+
+    // Differential mode: 5-bit colour + 3-bit signed delta
+    const d1 = avg1.map(v => Math.round(v * 31 / 255))
+    const d2 = avg2.map(v => Math.round(v * 31 / 255))
+    const delta = d2.map((v, c) => v - d1[c])
+    if (delta.every(d => d >= -4 && d <= 3)) {
+      const expand = v => (v << 3) | (v >> 2)
+      candidates.push({
+        diff: 1,
+        high: ((d1[0] << 27) | ((delta[0] & 7) << 24) | (d1[1] << 19) | ((delta[1] & 7) << 16) |
+          (d1[2] << 11) | ((delta[2] & 7) << 8)) >>> 0,
+        base1: d1.map(expand),
+        base2: d2.map(expand),
+      })
+    }
+
+    for (const candidate of candidates) {
+      const fit1 = fitSubblock(px, pixels1, candidate.base1)
+      const fit2 = fitSubblock(px, pixels2, candidate.base2)
+      const error = fit1.error + fit2.error
+      if (best && error >= best.error) continue
+
+      let msb = 0
+      let lsb = 0
+      const place = (pixels, codes) => {
+        for (let i = 0; i < pixels.length; i++) {
+          const y = pixels[i] >> 2
+          const x = pixels[i] & 3
+          const bit = x * 4 + y // ETC1 indexes pixels column-major
+          msb |= (codes[i] >> 1) << bit
+          lsb |= (codes[i] & 1) << bit
+        }
+      }
+      place(pixels1, fit1.codes)
+      place(pixels2, fit2.codes)
+
+      best = {
+        error,
+        high: (candidate.high | (fit1.table << 5) | (fit2.table << 2) | (candidate.diff << 1) | flip) >>> 0,
+        low: ((msb << 16) | lsb) >>> 0,
+      }
+    }
+  }
+  return best
+}
+
+/**
+ * ETC1 (decodable as ETC2 RGB): tries both subblock orientations and both
+ * colour modes, keeping the lowest squared error.
+ * @returns {Uint8Array} 8 bytes per block
+ */
+export function encodeETC1(rgba, width, height) {
+  const blocksX = width / 4
+  const blocksY = height / 4
+  const out = new Uint8Array(blocksX * blocksY * 8)
+  const view = new DataView(out.buffer)
+  const px = new Uint8Array(48)
+
+  for (let by = 0; by < blocksY; by++) {
+    for (let bx = 0; bx < blocksX; bx++) {
+      readBlock(rgba, width, bx, by, px)
+      const { high, low } = encodeEtc1Block(px)
+      const offset = (by * blocksX + bx) * 8
+      view.setUint32(offset, high, false)
+      view.setUint32(offset + 4, low, false)
+    }
+  }
+  return out
+}
+
+const ENCODERS = {
+  bc1: encodeBC1,
+  etc2: encodeETC1,
+}
+
+/**
+ * Encode RGBA8 pixels into the named format.
+ * @param {string} formatName - A COMPRESSED_FORMATS name with `encodable: true`
+ */
+export function encodeBlocks(formatName, rgba, width, height) {
+  const encode = ENCODERS[formatName]
+  if (!encode) throw new Error(`blockEncoders: no encoder for ${formatName}`)
+  return encode(rgba, width, height)
+}
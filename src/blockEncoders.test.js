@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest'
+import { encodeBC1, encodeETC1, encodeBlocks, ETC1_MODIFIERS } from './blockEncoders'
+
+function solid(width, height, [r, g, b]) {
+  const rgba = new Uint8Array(width * height * 4)
+  for (let i = 0; i < rgba.length; i += 4) {
+    rgba[i] = r
+    rgba[i + 1] = g
+    rgba[i + 2] = b
+    rgba[i + 3] = 255
+  }
+  return rgba
+}
+
+// Left half one colour, right half another
+function split(left, right) {
+  const rgba = new Uint8Array(64)
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const c = x < 2 ? left : right
+      rgba.set([...c, 255], (y * 4 + x) * 4)
+    }
+  }
+  return rgba
+}
+
+function expand565(c) {
+  const r = (c >> 11) & 31
+  const g = (c >> 5) & 63
+  const b = c & 31
+  return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2)]
+}
+
+function decodeBC1Pixel(block, x, y) {
+  const view = new DataView(block.buffer, block.byteOffset)
+  const c0 = expand565(view.getUint16(0, true))
+  const c1 = expand565(view.getUint16(2, true))
+  const index = (view.getUint32(4, true) >>> ((y * 4 + x) * 2)) & 3
+  const palette = [c0, c1, c0.map((v, i) => (2 * v + c1[i]) / 3), c0.map((v, i) => (v + 2 * c1[i]) / 3)]
+  return palette[index]
+}
+
+// Reference ETC1 decoder (spec order) for one pixel
+function decodeETC1Pixel(block, x, y) {
+  const view = new DataView(block.buffer, block.byteOffset)
+  const high = view.getUint32(0, false)
+  const low = view.getUint32(4, false)
+  const flip = high & 1
+  const diff = (high >> 1) & 1
+  const second = flip ? y >= 2 : x >= 2
+  let base
+  if (diff) {
+    const shifts = [27, 19, 11]
+    base = shifts.map(s => {
+      let v = (high >>> s) & 31
+      if (second) {
+        let d = (high >>> (s - 3)) & 7
+        if (d >= 4) d -= 8
+        v += d
+      }
+      return (v << 3) | (v >> 2)
+    })
+  } else {
+    const shifts = second ? [24, 16, 8] : [28, 20, 12]
+    base = shifts.map(s => ((high >>> s) & 15) * 17)
+  }
+  const table = second ? (high >> 2) & 7 : (high >> 5) & 7
+  const bit = x * 4 + y
+  const msb = (low >>> (bit + 16)) & 1
+  const lsb = (low >>> bit) & 1
+  const magnitude = ETC1_MODIFIERS[table][lsb]
+  const m = msb ? -magnitude : magnitude
+  return base.map(v => Math.min(255, Math.max(0, v + m)))
+}
+
+function maxError(decodePixel, blocks, rgba) {
+  let max = 0
+  for (let y = 0; y < 4; y++) {
+    for (let x = 0; x < 4; x++) {
+      const got = decodePixel(blocks, x, y)
+      for (let c = 0; c < 3; c++) {
+        max = Math.max(max, Math.abs(got[c] - rgba[(y * 4 + x) * 4 + c]))
+      }
+    }
+  }
+  return max
+}
+
+describe('encodeBC1', () => {
+  it('8 bytes per 4×4 block', () => {
+    expect(encodeBC1(solid(8, 8, [0, 0, 0]), 8, 8).length).toBe(32)
+  })
+
+  it('solid colour exactly representable in 565', () => {
+    const blocks = encodeBC1(solid(4, 4, [255, 0, 0]), 4, 4)
+    expect([...blocks]).toEqual([0x00, 0xF8, 0x00, 0xF8, 0, 0, 0, 0])
+  })
+
+  it('two-colour block reproduces both colours', () => {
+    const rgba = split([255, 255, 255], [0, 0, 0])
+    expect(maxError(decodeBC1Pixel, encodeBC1(rgba, 4, 4), rgba)).toBe(0)
+  })
+
+  it('keeps c0 > c1 (four-colour mode)', () => {
+    const blocks = encodeBC1(split([10, 20, 30], [200, 150, 100]), 4, 4)
+    const view = new DataView(blocks.buffer)
+    expect(view.getUint16(0, true)).toBeGreaterThan(view.getUint16(2, true))
+  })
+
+  it('gradient error is bounded by half the palette spacing', () => {
+    const rgba = new Uint8Array(64)
+    for (let i = 0; i < 16; i++) rgba.set([i * 16, i * 16, i * 16, 255], i * 4)
+    // 0..240 over four palette entries: 80 apart
+    expect(maxError(decodeBC1Pixel, encodeBC1(rgba, 4, 4), rgba)).toBeLessThanOrEqual(40)
+  })
+
+  it('writes blocks in row-major order', () => {
+    const rgba = new Uint8Array(8 * 4 * 4)
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 8; x++) rgba.set(x < 4 ? [0, 0, 0, 255] : [255, 255, 255, 255], (y * 8 + x) * 4)
+    }
+    const blocks = encodeBC1(rgba, 8, 4)
+    expect(decodeBC1Pixel(blocks.subarray(0, 8), 0, 0)).toEqual([0, 0, 0])
+    expect(decodeBC1Pixel(blocks.subarray(8, 16), 0, 0)).toEqual([255, 255, 255])
+  })
+})
+
+describe('encodeETC1', () => {
+  it('8 bytes per 4×4 block', () => {
+    expect(encodeETC1(solid(8, 4, [0, 0, 0]), 8, 4).length).toBe(16)
+  })
+
+  it('solid colours decode closely', () => {
+    for (const colour of [[0, 0, 0], [255, 255, 255], [128, 128, 128], [200, 30, 90]]) {
+      const rgba = solid(4, 4, colour)
+      expect(maxError(decodeETC1Pixel, encodeETC1(rgba, 4, 4), rgba)).toBeLessThanOrEqual(6)
+    }
+  })
+
+  it('left/right split picks side-by-side subblocks', () => {
+    const rgba = split([240, 20, 20], [20, 20, 240])
+    const blocks = encodeETC1(rgba, 4, 4)
+    expect(blocks[3] & 1).toBe(0) // flip bit
+    expect(maxError(decodeETC1Pixel, blocks, rgba)).toBeLessThanOrEqual(12)
+  })
+
+  it('top/bottom split picks stacked subblocks', () => {
+    const rgba = new Uint8Array(64)
+    for (let i = 0; i < 16; i++) rgba.set(i < 8 ? [20, 200, 20, 255] : [220, 220, 220, 255], i * 4)
+    const blocks = encodeETC1(rgba, 4, 4)
+    expect(blocks[3] & 1).toBe(1)
+    expect(maxError(decodeETC1Pixel, blocks, rgba)).toBeLessThanOrEqual(12)
+  })
+})
+
+describe('encodeBlocks', () => {
+  it('dispatches by format name', () => {
+    const rgba = solid(4, 4, [255, 0, 0])
+    expect(encodeBlocks('bc1', rgba, 4, 4)).toEqual(encodeBC1(rgba, 4, 4))
+    expect(encodeBlocks('etc2', rgba, 4, 4)).toEqual(encodeETC1(rgba, 4, 4))
+  })
+
+  it('throws for formats without an encoder', () => {
+    expect(() => encodeBlocks('bc7', solid(4, 4, [0, 0, 0]), 4, 4)).toThrow(/no encoder/)
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Image size from the first bytes of a file, without decoding it.
+ *
+ * Supports JPEG (SOF marker, with EXIF orientation), PNG (IHDR) and WebP
+ * (VP8 / VP8L / VP8X). Sizes are as displayed: createImageBitmap applies
+ * EXIF orientation, so a JPEG rotated by 90° reports swapped dimensions.
+ */
+
+// SOF markers carrying the frame size (C4 = DHT, C8 = JPG extension, CC = DAC)
+function isSofMarker(marker) {
+  return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc
+}
+
+// Orientation tag (0x0112) from an Exif APP1 payload starting at `start`
+function readExifOrientation(view, start, end) {
+  // "Exif\0\0" then a TIFF header
+  if (end - start < 14 || view.getUint32(start) !== 0x45786966) return 1
+  const tiff = start + 6
+  const little = view.getUint16(tiff) === 0x4949
+  const ifd = tiff + view.getUint32(tiff + 4, little)
+  if (ifd + 2 > end) return 1
+  const count = view.getUint16(ifd, little)
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12
+    if (entry + 12 > end) return 1
+    if (view.getUint16(entry, little) === 0x0112) return view.getUint16(entry + 8, little)
+  }
+  return 1
+}
+
+function readJpegSize(view) {
+  let orientation = 1
+  let offset = 2
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null
+    const marker = view.getUint8(offset + 1)
+    // Fill bytes and standalone markers have no length
+    if (marker === 0xff) { offset++; continue }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) { offset += 2; continue }
+    if (marker === 0xd9 || marker === 0xda) return null // end of image / start of scan: no SOF before it
+
+    const length = view.getUint16(offset + 2)
+    const segment = offset + 4
+    if (marker === 0xe1) {
+      orientation = readExifOrientation(view, segment, Math.min(view.byteLength, offset + 2 + length))
+    } else if (isSofMarker(marker)) {
+      if (segment + 5 > view.byteLength) return null
+      const height = view.getUint16(segment + 1)
+      const width = view.getUint16(segment + 3)
+      // Orientations 5-8 transpose the image
+      return orientation >= 5 && orientation <= 8 ? { width: height, height: width } : { width, height }
+    }
+    offset += 2 + length
+  }
+  return null
+}
+
+function readPngSize(view) {
+  if (view.byteLength < 24 || view.getUint32(12) !== 0x49484452) return null // "IHDR"
+  return { width: view.getUint32(16), height: view.getUint32(20) }
+}
+
+function readWebpSize(view) {
+  if (view.byteLength < 30) return null
+  const chunk = view.getUint32(12)
+  if (chunk === 0x56503820) { // "VP8 " lossy
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff }
+  }
+  if (chunk === 0x5650384c) { // "VP8L" lossless: 14-bit sizes minus one after the signature byte
+    const bits = view.getUint32(21, true)
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 }
+  }
+  if (chunk === 0x56503858) { // "VP8X" extended: 24-bit canvas sizes minus one
+    const read24 = offset => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16)
+    return { width: read24(24) + 1, height: read24(27) + 1 }
+  }
+  return null
+}
+
+/**
+ * @param {Uint8Array} bytes - The start of an image file
+ * @returns {{ width: number, height: number } | null} null if the format is unknown or the size lies past `bytes`
+ */
+export function readImageSize(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  if (view.byteLength < 12) return null
+  if (view.getUint16(0) === 0xffd8) return readJpegSize(view)
+  if (view.getUint32(0) === 0x89504e47) return readPngSize(view)
+  if (view.getUint32(0) === 0x52494646 && view.getUint32(8) === 0x57454250) return readWebpSize(view) // RIFF....WEBP
+  return null
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import jpeg from 'jpeg-js'
+import { readImageSize } from './imageHeader'
+
+function encodeJpeg(width, height) {
+  const data = new Uint8Array(width * height * 4).fill(200)
+  return new Uint8Array(jpeg.encode({ data, width, height }, 80).data)
+}
+
+// APP1 Exif segment holding just an orientation tag
+function exifSegment(orientation, littleEndian) {
+  const tiff = new DataView(new ArrayBuffer(26))
+  tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d)
+  tiff.setUint16(2, 42, littleEndian)
+  tiff.setUint32(4, 8, littleEndian) // IFD0 offset
+  tiff.setUint16(8, 1, littleEndian) // one entry
+  tiff.setUint16(10, 0x0112, littleEndian)
+  tiff.setUint16(12, 3, littleEndian) // SHORT
+  tiff.setUint32(14, 1, littleEndian)
+  tiff.setUint16(18, orientation, littleEndian)
+  const payload = new Uint8Array([0x45, 0x78, 0x69, 0x66, 0, 0, ...new Uint8Array(tiff.buffer)])
+  const length = payload.length + 2
+  return new Uint8Array([0xff, 0xe1, length >> 8, length & 0xff, ...payload])
+}
+
+// Insert a segment right after SOI
+function withSegment(file, segment) {
+  return new Uint8Array([...file.subarray(0, 2), ...segment, ...file.subarray(2)])
+}
+
+describe('readImageSize', () => {
+  it('reads a JPEG frame size', () => {
+    expect(readImageSize(encodeJpeg(30, 20))).toEqual({ width: 30, height: 20 })
+  })
+
+  it('swaps JPEG sizes for transposing EXIF orientations', () => {
+    const file = encodeJpeg(30, 20)
+    expect(readImageSize(withSegment(file, exifSegment(6, false)))).toEqual({ width: 20, height: 30 })
+    expect(readImageSize(withSegment(file, exifSegment(8, true)))).toEqual({ width: 20, height: 30 })
+    expect(readImageSize(withSegment(file, exifSegment(3, true)))).toEqual({ width: 30, height: 20 })
+  })
+
+  it('returns null for a JPEG cut before its frame header', () => {
+    const file = withSegment(encodeJpeg(30, 20), exifSegment(1, true))
+    expect(readImageSize(file.subarray(0, 40))).toBeNull()
+  })
+
+  it('reads a PNG IHDR', () => {
+    const file = readFileSync(new URL('../public/fixtures/pyramid.png', import.meta.url))
+    expect(readImageSize(new Uint8Array(file.subarray(0, 64)))).toEqual({ width: 300, height: 200 })
+  })
+
+  it('reads WebP sizes', () => {
+    const riff = (chunk, body) => new Uint8Array([
+      ...'RIFF'.split('').map(c => c.charCodeAt(0)), 0, 0, 0, 0,
+      ...'WEBP'.split('').map(c => c.charCodeAt(0)),
+      ...chunk.split('').map(c => c.charCodeAt(0)), 0, 0, 0, 0,
+      ...body,
+    ])
+    // VP8: frame tag, start code, 14-bit sizes
+    expect(readImageSize(riff('VP8 ', [0, 0, 0, 0x9d, 0x01, 0x2a, 300 & 255, 300 >> 8, 200, 0])))
+      .toEqual({ width: 300, height: 200 })
+    // VP8L: signature, then (width - 1) | (height - 1) << 14
+    const bits = 299 | (199 << 14)
+    expect(readImageSize(riff('VP8L', [0x2f, bits & 255, (bits >> 8) & 255, (bits >> 16) & 255, bits >>> 24, 0, 0, 0, 0, 0])))
+      .toEqual({ width: 300, height: 200 })
+    // VP8X: flags, reserved, 24-bit (width - 1), (height - 1)
+    expect(readImageSize(riff('VP8X', [0, 0, 0, 0, 299 & 255, 299 >> 8, 0, 199, 0, 0])))
+      .toEqual({ width: 300, height: 200 })
+  })
+
+  it('returns null for unknown formats', () => {
+    expect(readImageSize(new Uint8Array(32))).toBeNull()
+    expect(readImageSize(new Uint8Array([0xff, 0xd8]))).toBeNull()
+  })
+})
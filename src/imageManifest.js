@@ -0,0 +1,74 @@
+/**
+ * Image collections described by a JSON manifest:
+ *
+ *   {
+ *     "images": [
+ *       { "url": "/photos/a.jpg", "width": 4000, "height": 3000,
+ *         "title": "A", "tags": ["x"], "rotation": 45, "scale": 2 }
+ *     ]
+ *   }
+ *
+ * A bare array of entries works too. url, width and height are required;
+ * rotation is in degrees. scripts/buildPyramid.js writes this format, with
+ * pre-cut tile templates as URLs. Relative URLs resolve against the
+ * manifest's own location.
+ */
+
+export const DEFAULT_MANIFEST_URL = '/pyramids/manifest.json'
+
+// Directory of the manifest, for resolving relative image URLs. Done by hand:
+// URL() would percent-encode the {lod}/{x}/{y} placeholders of tile templates
+function resolveUrl(url, manifestUrl) {
+  if (/^([a-z][a-z\d+.-]*:|\/)/i.test(url)) return url
+  return manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1) + url
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+function parseEntry(entry, i, manifestUrl) {
+  const fail = message => { throw new Error(`imageManifest: image ${i} ${message}`) }
+
+  if (!entry || typeof entry !== 'object') fail('is not an object')
+  if (typeof entry.url !== 'string' || entry.url === '') fail('needs a url')
+  if (!isPositive(entry.width) || !isPositive(entry.height)) fail('needs a positive width and height')
+
+  const rotation = entry.rotation ?? 0
+  if (typeof rotation !== 'number' || !Number.isFinite(rotation)) fail('has a non-numeric rotation')
+  const scale = entry.scale ?? 1
+  if (!isPositive(scale)) fail('needs a positive scale')
+  const tags = entry.tags ?? []
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) fail('tags must be strings')
+
+  return {
+    url: resolveUrl(entry.url, manifestUrl),
+    width: entry.width,
+    height: entry.height,
+    title: entry.title ?? entry.name ?? null,
+    tags,
+    rotation: rotation * Math.PI / 180,
+    scale,
+  }
+}
+
+/**
+ * Validate a manifest and normalise its entries.
+ * @param {object | Array} json - Parsed manifest
+ * @param {string} [manifestUrl] - Where it was loaded from (for relative URLs)
+ * @returns {Array<{ url: string, width: number, height: number, title: string | null, tags: string[], rotation: number, scale: number }>}
+ */
+export function parseImageManifest(json, manifestUrl = '') {
+  const entries = Array.isArray(json) ? json : json?.images
+  if (!Array.isArray(entries)) throw new Error('imageManifest: expected an images array')
+  return entries.map((entry, i) => parseEntry(entry, i, manifestUrl))
+}
+
+/**
+ * Fetch and parse a manifest.
+ */
+export async function loadImageManifest(url, { signal } = {}) {
+  const response = await fetch(url, { signal })
+  if (!response.ok) throw new Error(`imageManifest: failed to fetch ${url} (${response.status})`)
+  return parseImageManifest(await response.json(), url)
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { parseImageManifest, loadImageManifest } from './imageManifest'
+
+describe('parseImageManifest', () => {
+  it('normalises entries with defaults', () => {
+    const [image] = parseImageManifest({ images: [{ url: '/a.jpg', width: 400, height: 300 }] })
+    expect(image).toEqual({
+      url: '/a.jpg', width: 400, height: 300, title: null, tags: [], rotation: 0, scale: 1,
+    })
+  })
+
+  it('accepts a bare array and converts rotation to radians', () => {
+    const [image] = parseImageManifest([
+      { url: '/a.jpg', width: 1, height: 1, title: 'A', tags: ['x', 'y'], rotation: 90, scale: 2 },
+    ])
+    expect(image.title).toBe('A')
+    expect(image.tags).toEqual(['x', 'y'])
+    expect(image.rotation).toBeCloseTo(Math.PI / 2)
+    expect(image.scale).toBe(2)
+  })
+
+  it('uses the generator name as a title', () => {
+    const [image] = parseImageManifest({ images: [{ name: 'image_1', url: '/a.jpg', width: 1, height: 1 }] })
+    expect(image.title).toBe('image_1')
+  })
+
+  it('resolves relative URLs against the manifest without encoding templates', () => {
+    const images = parseImageManifest([
+      { url: 'image_1/{lod}/{x}_{y}.jpg', width: 1, height: 1 },
+      { url: '/abs.jpg', width: 1, height: 1 },
+      { url: 'https://example.com/b.jpg', width: 1, height: 1 },
+    ], '/pyramids/manifest.json')
+    expect(images.map(i => i.url)).toEqual([
+      '/pyramids/image_1/{lod}/{x}_{y}.jpg',
+      '/abs.jpg',
+      'https://example.com/b.jpg',
+    ])
+  })
+
+  it('rejects malformed manifests with the offending index', () => {
+    expect(() => parseImageManifest({})).toThrow(/images array/)
+    expect(() => parseImageManifest([{ width: 1, height: 1 }])).toThrow(/image 0 needs a url/)
+    expect(() => parseImageManifest([
+      { url: '/a.jpg', width: 1, height: 1 },
+      { url: '/b.jpg', width: 0, height: 1 },
+    ])).toThrow(/image 1 needs a positive width/)
+    expect(() => parseImageManifest([{ url: '/a.jpg', width: 1, height: 1, scale: -1 }])).toThrow(/scale/)
+    expect(() => parseImageManifest([{ url: '/a.jpg', width: 1, height: 1, tags: 'x' }])).toThrow(/tags/)
+    expect(() => parseImageManifest([{ url: '/a.jpg', width: 1, height: 1, rotation: '45' }])).toThrow(/rotation/)
+  })
+})
+
+describe('loadImageManifest', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('fetches and parses relative to the manifest URL', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({
+      ok: true,
+      json: async () => ({ images: [{ url: 'a.jpg', width: 2, height: 1 }] }),
+    })))
+    const images = await loadImageManifest('/sets/one.json')
+    expect(images[0].url).toBe('/sets/a.jpg')
+  })
+
+  it('reports HTTP errors', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: false, status: 404 })))
+    await expect(loadImageManifest('/missing.json')).rejects.toThrow(/404/)
+  })
+})
@@ -0,0 +1,56 @@
+import transcoderJsUrl from 'three/examples/jsm/libs/basis/basis_transcoder.js?url'
+import transcoderWasmUrl from 'three/examples/jsm/libs/basis/basis_transcoder.wasm?url'
+
+let transcoderPromise = null
+
+// The transcoder is a classic script defining a BASIS factory; evaluate it
+// in this (module) worker and hand it the wasm binary directly
+function loadTranscoder() {
+  if (!transcoderPromise) {
+    transcoderPromise = Promise.all([
+      fetch(transcoderJsUrl).then(r => r.text()),
+      fetch(transcoderWasmUrl).then(r => r.arrayBuffer()),
+    ]).then(([source, wasmBinary]) => {
+      const BASIS = new Function(`${source}\nreturn BASIS`)()
+      return BASIS({ wasmBinary })
+    }).then(module => {
+      module.initializeBasis()
+      return module
+    })
+  }
+  return transcoderPromise
+}
+
+/**
+ * Transcode a KTX2/Basis tile into a GPU block format.
+ * @param {ArrayBuffer} buffer - .ktx2 file contents
+ * @param {import('./textureFormats').COMPRESSED_FORMATS[number]} format
+ * @param {number} levelCount - Mip levels wanted (the file must have at least this many)
+ * @returns {Promise<Uint8Array[]>} Block data per mip level
+ */
+export async function transcodeKtx2(buffer, format, levelCount) {
+  const basis = await loadTranscoder()
+  const file = new basis.KTX2File(new Uint8Array(buffer))
+
+  try {
+    if (!file.isValid()) throw new Error('Invalid KTX2 file')
+    if (file.getLevels() < levelCount) {
+      throw new Error(`KTX2 tile has ${file.getLevels()} mip levels, need ${levelCount}`)
+    }
+    if (!file.startTranscoding()) throw new Error('KTX2 startTranscoding failed')
+
+    const levels = []
+    for (let level = 0; level < levelCount; level++) {
+      const size = file.getImageTranscodedSizeInBytes(level, 0, 0, format.transcoderFormat)
+      const dst = new Uint8Array(size)
+      if (!file.transcodeImage(dst, level, 0, 0, format.transcoderFormat, 0, -1, -1)) {
+        throw new Error(`KTX2 transcode failed at level ${level}`)
+      }
+      levels.push(dst)
+    }
+    return levels
+  } finally {
+    file.close()
+    file.delete()
+  }
+}
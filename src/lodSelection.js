@@ -68,3 +68,19 @@ export function selectImageLod(screenPxPerUnit, tileSize, baseWorldSize, maxLod,
   }
   return lod
 }
+
+/**
+ * selectImageLod driven by a tile config (see tileConfig.js).
+ * Uses the tile's content size: gutter pixels don't add resolution.
+ *
+ * @param {number} screenPxPerUnit - Screen pixels per world unit
+ * @param {{ contentSize: number, baseWorldSize: number, maxLod: number }} config
+ * @param {number} [imagePixelSize] - Source image pixel size (optional, caps LOD if provided)
+ * @param {number} [imageScale=1] - Per-image world scale multiplier
+ * @returns {number} LOD level
+ */
+export function selectImageLodForConfig(screenPxPerUnit, config, imagePixelSize, imageScale = 1) {
+  return selectImageLod(
+    screenPxPerUnit, config.contentSize, config.baseWorldSize, config.maxLod, imagePixelSize, imageScale
+  )
+}
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
-import { getTilePixelDensity, selectLod, getMaxUsefulLod, selectImageLod } from './lodSelection'
+import { getTilePixelDensity, selectLod, getMaxUsefulLod, selectImageLod, selectImageLodForConfig } from './lodSelection'
+import { createTileConfig } from './tileConfig'
 
 const TILE_SIZE = 256
 const BASE_WORLD_SIZE = 4
@@ -276,3 +277,34 @@ describe('selectImageLod', () => {
     })
   })
 })
+
+describe('selectImageLodForConfig', () => {
+  it('matches selectImageLod for a gutterless default config', () => {
+    const config = createTileConfig({ gutter: 0 })
+    for (const zoom of [1, 64, 65, 128, 400, 1024, 5000]) {
+      expect(selectImageLodForConfig(zoom, config))
+        .toBe(selectImageLod(zoom, TILE_SIZE, BASE_WORLD_SIZE, MAX_LOD))
+    }
+  })
+
+  it('512px tiles need one LOD less for the same zoom', () => {
+    const config = createTileConfig({ tileSize: 512, gutter: 0 })
+    expect(selectImageLodForConfig(256, config)).toBe(1)
+    expect(selectImageLodForConfig(256, createTileConfig({ gutter: 0 }))).toBe(2)
+  })
+
+  it('selects by content size, so gutters never leave tiles under-resolved', () => {
+    // 4px gutter → 248px content → 62 px/unit at LOD 0
+    const config = createTileConfig({ gutter: 4 })
+    expect(selectImageLodForConfig(62, config)).toBe(0)
+    expect(selectImageLodForConfig(63, config)).toBe(1)
+    expect(selectImageLodForConfig(64, config)).toBe(1)
+  })
+
+  it('honours maxLod, native resolution cap and scale', () => {
+    const config = createTileConfig({ maxLod: 2, gutter: 0 })
+    expect(selectImageLodForConfig(5000, config)).toBe(2)
+    expect(selectImageLodForConfig(1024, createTileConfig({ gutter: 0 }), 512)).toBe(1)
+    expect(selectImageLodForConfig(7, createTileConfig({ gutter: 0 }), undefined, 10)).toBe(1)
+  })
+})
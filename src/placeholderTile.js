@@ -0,0 +1,34 @@
+import { encodeBlocks } from './blockEncoders.js'
+
+// Hatching period at level 0, in stripes per tile
+const STRIPES = 8
+const LIGHT = 0x80
+const DARK = 0x58
+
+/**
+ * Texels of the tile drawn in place of an image that failed to load: grey
+ * diagonal hatching, the same at every mip level.
+ * @param {number} tileSize
+ * @param {number} mipLevels
+ * @param {{ name: string, encodable?: boolean } | null} [format] - Block format of a compressed atlas; null = RGBA8
+ * @returns {Uint8Array[] | null} One array per mip level; null if the format can't be encoded here
+ */
+export function createPlaceholderLevels(tileSize, mipLevels, format = null) {
+  if (format && !format.encodable) return null
+  const levels = []
+  for (let level = 0; level < mipLevels; level++) {
+    const size = tileSize >> level
+    const period = Math.max(2, size / STRIPES)
+    const rgba = new Uint8Array(size * size * 4)
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const value = (x + y) % period < period / 2 ? LIGHT : DARK
+        const i = (y * size + x) * 4
+        rgba[i] = rgba[i + 1] = rgba[i + 2] = value
+        rgba[i + 3] = 255
+      }
+    }
+    levels.push(format ? encodeBlocks(format.name, rgba, size, size) : rgba)
+  }
+  return levels
+}
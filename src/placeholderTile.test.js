@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest'
+import { createPlaceholderLevels } from './placeholderTile'
+import { getCompressedFormat, getCompressedByteLength, COMPRESSED_FORMATS } from './textureFormats'
+
+describe('createPlaceholderLevels', () => {
+  it('makes an opaque RGBA level per mip', () => {
+    const levels = createPlaceholderLevels(64, 3)
+    expect(levels.map(l => l.length)).toEqual([64 * 64 * 4, 32 * 32 * 4, 16 * 16 * 4])
+    for (const level of levels) {
+      for (let i = 3; i < level.length; i += 4) expect(level[i]).toBe(255)
+    }
+  })
+
+  it('hatches in two shades', () => {
+    const [level] = createPlaceholderLevels(64, 1)
+    const shades = new Set()
+    for (let i = 0; i < level.length; i += 4) shades.add(level[i])
+    expect(shades.size).toBe(2)
+  })
+
+  it('block-encodes for compressed atlases', () => {
+    const format = getCompressedFormat('bc1')
+    const levels = createPlaceholderLevels(64, 2, format)
+    expect(levels.map(l => l.length)).toEqual([
+      getCompressedByteLength(format, 64, 64),
+      getCompressedByteLength(format, 32, 32),
+    ])
+  })
+
+  it('gives up on formats it has no encoder for', () => {
+    const format = COMPRESSED_FORMATS.find(f => !f.encodable)
+    expect(createPlaceholderLevels(64, 1, format)).toBeNull()
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * How many workers TileLoaderPool runs: a starting size from the core count,
+ * then single steps up or down as it measures decode throughput and the
+ * main thread's frame time.
+ */
+
+// Frames slower than this (smoothed) mean the workers crowd the main thread
+export const SLOW_FRAME_MS = 25
+// Wait this long after a resize before judging its effect
+export const RESIZE_COOLDOWN_MS = 2000
+// Workers idle this long are terminated (down to minWorkers)
+export const IDLE_TIMEOUT_MS = 5000
+// An added worker must raise throughput by this fraction to be kept
+const MIN_GAIN = 0.1
+
+/**
+ * One worker per core, leaving a core for the main thread.
+ * @param {number | undefined} hardwareConcurrency - navigator.hardwareConcurrency (4 if unknown)
+ * @param {{ minWorkers: number, maxWorkers: number }} limits
+ */
+export function getInitialPoolSize(hardwareConcurrency, { minWorkers, maxWorkers }) {
+  const cores = hardwareConcurrency > 0 ? hardwareConcurrency : 4
+  return Math.min(maxWorkers, Math.max(minWorkers, cores - 1))
+}
+
+/**
+ * Events per second over a sliding window.
+ */
+export class RateMeter {
+  constructor(windowMs = RESIZE_COOLDOWN_MS) {
+    this.windowMs = windowMs
+    this.events = [] // [time, count], oldest first
+  }
+
+  add(count, now) {
+    this.events.push([now, count])
+  }
+
+  rate(now) {
+    const start = now - this.windowMs
+    while (this.events.length > 0 && this.events[0][0] <= start) this.events.shift()
+    let total = 0
+    for (const [, count] of this.events) total += count
+    return total * 1000 / this.windowMs
+  }
+}
+
+/**
+ * The pool's next size, at most one step from the current one:
+ *   - after a resize, wait RESIZE_COOLDOWN_MS to see its effect
+ *   - undo a worker that didn't raise throughput, or shrink while frames are
+ *     slow, and don't grow back until the backlog clears
+ *   - grow while every worker is busy and tasks are queued
+ * @param {object} state
+ * @param {number} state.size - Current worker count
+ * @param {number} state.busy - Workers running a task
+ * @param {number} state.queued - Tasks waiting for a worker
+ * @param {number} state.frameMs - Smoothed main-thread frame time
+ * @param {number} state.throughput - Tiles decoded per second, now
+ * @param {number} state.ceiling - Size not to grow past (below maxWorkers after a failed growth or slow frames)
+ * @param {{ at: number, throughput: number, grew: boolean }} state.last - The last resize
+ * @param {number} state.now
+ * @param {{ minWorkers: number, maxWorkers: number }} limits
+ * @returns {{ size: number, ceiling: number }}
+ */
+export function choosePoolSize(state, { minWorkers, maxWorkers }) {
+  const { size, busy, queued, frameMs, throughput, last, now } = state
+  // A new backlog gets to try every size again
+  const ceiling = queued > 0 ? Math.min(state.ceiling, maxWorkers) : maxWorkers
+
+  if (now - last.at < RESIZE_COOLDOWN_MS) return { size, ceiling }
+  if (last.grew && queued > 0 && throughput < last.throughput * (1 + MIN_GAIN)) {
+    const smaller = Math.max(minWorkers, size - 1)
+    return { size: smaller, ceiling: smaller }
+  }
+  if (frameMs > SLOW_FRAME_MS) {
+    const smaller = Math.max(minWorkers, size - 1)
+    return { size: smaller, ceiling: Math.min(ceiling, smaller) }
+  }
+  if (queued > 0 && busy >= size && size < ceiling) return { size: size + 1, ceiling }
+  return { size, ceiling }
+}
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest'
+import { getInitialPoolSize, choosePoolSize, RateMeter, RESIZE_COOLDOWN_MS, SLOW_FRAME_MS } from './poolSizing'
+
+const LIMITS = { minWorkers: 1, maxWorkers: 6 }
+
+// A settled pool with a backlog, every worker busy
+function state(overrides) {
+  return {
+    size: 3,
+    busy: 3,
+    queued: 10,
+    frameMs: 16,
+    throughput: 100,
+    ceiling: LIMITS.maxWorkers,
+    last: { at: 0, throughput: 0, grew: false },
+    now: RESIZE_COOLDOWN_MS,
+    ...overrides,
+  }
+}
+
+describe('getInitialPoolSize', () => {
+  it('leaves a core for the main thread, within the limits', () => {
+    expect(getInitialPoolSize(8, LIMITS)).toBe(6)
+    expect(getInitialPoolSize(4, LIMITS)).toBe(3)
+    expect(getInitialPoolSize(1, LIMITS)).toBe(1)
+    expect(getInitialPoolSize(32, LIMITS)).toBe(6)
+  })
+
+  it('assumes 4 cores when the count is unknown', () => {
+    expect(getInitialPoolSize(undefined, LIMITS)).toBe(3)
+  })
+})
+
+describe('RateMeter', () => {
+  it('counts events per second over its window', () => {
+    const meter = new RateMeter(1000)
+    meter.add(10, 0)
+    meter.add(20, 500)
+    expect(meter.rate(900)).toBe(30)
+    expect(meter.rate(1200)).toBe(20)
+    expect(meter.rate(3000)).toBe(0)
+  })
+})
+
+describe('choosePoolSize', () => {
+  it('grows while every worker is busy and tasks wait', () => {
+    expect(choosePoolSize(state(), LIMITS).size).toBe(4)
+  })
+
+  it('does not grow without a backlog or past the ceiling', () => {
+    expect(choosePoolSize(state({ queued: 0 }), LIMITS).size).toBe(3)
+    expect(choosePoolSize(state({ busy: 2 }), LIMITS).size).toBe(3)
+    expect(choosePoolSize(state({ size: 6, busy: 6 }), LIMITS).size).toBe(6)
+    expect(choosePoolSize(state({ ceiling: 3 }), LIMITS).size).toBe(3)
+  })
+
+  it('waits out the cooldown after a resize', () => {
+    expect(choosePoolSize(state({ now: RESIZE_COOLDOWN_MS - 1 }), LIMITS).size).toBe(3)
+  })
+
+  it('undoes a growth that did not pay off and caps the size', () => {
+    const last = { at: 0, throughput: 100, grew: true }
+    expect(choosePoolSize(state({ last, throughput: 105 }), LIMITS)).toEqual({ size: 2, ceiling: 2 })
+    expect(choosePoolSize(state({ last, throughput: 150 }), LIMITS).size).toBe(4)
+  })
+
+  it('shrinks on slow frames, but not below minWorkers', () => {
+    expect(choosePoolSize(state({ frameMs: SLOW_FRAME_MS + 5 }), LIMITS)).toEqual({ size: 2, ceiling: 2 })
+    expect(choosePoolSize(state({ size: 1, busy: 1, frameMs: 40 }), LIMITS).size).toBe(1)
+  })
+
+  it('lifts the ceiling once the backlog clears', () => {
+    expect(choosePoolSize(state({ queued: 0, ceiling: 2 }), LIMITS).ceiling).toBe(6)
+  })
+})
@@ -0,0 +1,85 @@
+import {
+  RGBA_BPTC_Format,
+  RGBA_ASTC_4x4_Format,
+  RGB_ETC2_Format,
+  RGB_S3TC_DXT1_Format,
+} from 'three'
+
+/**
+ * GPU block formats the compressed atlas can use, best quality first.
+ *
+ *   extension          WebGL extension that exposes the format
+ *   glFormat           Internal format enum for compressedTexSubImage3D
+ *   threeFormat        Matching three.js format constant
+ *   transcoderFormat   Basis Universal transcoder target (KTX2 tiles)
+ *   blockBytes         Bytes per 4×4 block
+ *   encodable          Whether tileWorker can encode it on the fly
+ */
+export const COMPRESSED_FORMATS = [
+  {
+    name: 'bc7',
+    extension: 'EXT_texture_compression_bptc',
+    glFormat: 0x8E8C, // COMPRESSED_RGBA_BPTC_UNORM_EXT
+    threeFormat: RGBA_BPTC_Format,
+    transcoderFormat: 7, // BC7_M5
+    blockBytes: 16,
+    encodable: false,
+  },
+  {
+    name: 'astc',
+    extension: 'WEBGL_compressed_texture_astc',
+    glFormat: 0x93B0, // COMPRESSED_RGBA_ASTC_4x4_KHR
+    threeFormat: RGBA_ASTC_4x4_Format,
+    transcoderFormat: 10, // ASTC_4x4
+    blockBytes: 16,
+    encodable: false,
+  },
+  {
+    name: 'etc2',
+    extension: 'WEBGL_compressed_texture_etc',
+    glFormat: 0x9274, // COMPRESSED_RGB8_ETC2
+    threeFormat: RGB_ETC2_Format,
+    transcoderFormat: 0, // ETC1 (a valid ETC2 RGB subset)
+    blockBytes: 8,
+    encodable: true,
+  },
+  {
+    name: 'bc1',
+    extension: 'WEBGL_compressed_texture_s3tc',
+    glFormat: 0x83F0, // COMPRESSED_RGB_S3TC_DXT1_EXT
+    threeFormat: RGB_S3TC_DXT1_Format,
+    transcoderFormat: 2, // BC1
+    blockBytes: 8,
+    encodable: true,
+  },
+]
+
+const BLOCK_SIZE = 4
+
+export function getCompressedFormat(name) {
+  return COMPRESSED_FORMATS.find(f => f.name === name) ?? null
+}
+
+/**
+ * Pick the best block format the renderer supports.
+ * @param {Iterable<string>} extensions - e.g. gl.getSupportedExtensions()
+ * @param {{ encodable?: boolean }} [options] - Only formats tileWorker can encode itself
+ * @returns {typeof COMPRESSED_FORMATS[number] | null}
+ */
+export function selectCompressedFormat(extensions, { encodable = false } = {}) {
+  const supported = new Set(extensions ?? [])
+  for (const format of COMPRESSED_FORMATS) {
+    if (encodable && !format.encodable) continue
+    if (supported.has(format.extension)) return format
+  }
+  return null
+}
+
+/**
+ * Byte length of one width×height image in a block format.
+ */
+export function getCompressedByteLength(format, width, height) {
+  const blocksX = Math.ceil(width / BLOCK_SIZE)
+  const blocksY = Math.ceil(height / BLOCK_SIZE)
+  return blocksX * blocksY * format.blockBytes
+}
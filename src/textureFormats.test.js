@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { selectCompressedFormat, getCompressedFormat, getCompressedByteLength } from './textureFormats'
+
+const BPTC = 'EXT_texture_compression_bptc'
+const ASTC = 'WEBGL_compressed_texture_astc'
+const ETC = 'WEBGL_compressed_texture_etc'
+const S3TC = 'WEBGL_compressed_texture_s3tc'
+
+describe('selectCompressedFormat', () => {
+  it('returns null when no block format is supported', () => {
+    expect(selectCompressedFormat(['OES_texture_float_linear'])).toBeNull()
+    expect(selectCompressedFormat([])).toBeNull()
+    expect(selectCompressedFormat(null)).toBeNull()
+  })
+
+  it('prefers BC7 over everything else', () => {
+    expect(selectCompressedFormat([S3TC, ETC, ASTC, BPTC]).name).toBe('bc7')
+  })
+
+  it('prefers ASTC over ETC2 and BC1', () => {
+    expect(selectCompressedFormat([S3TC, ETC, ASTC]).name).toBe('astc')
+  })
+
+  it('prefers ETC2 over BC1', () => {
+    expect(selectCompressedFormat([S3TC, ETC]).name).toBe('etc2')
+  })
+
+  it('falls back to BC1', () => {
+    expect(selectCompressedFormat([S3TC]).name).toBe('bc1')
+  })
+
+  it('typical desktop GPU (BPTC + S3TC) gets BC7', () => {
+    expect(selectCompressedFormat([S3TC, BPTC, 'WEBGL_compressed_texture_s3tc_srgb']).name).toBe('bc7')
+  })
+
+  it('typical mobile GPU (ASTC + ETC) gets ASTC', () => {
+    expect(selectCompressedFormat([ETC, ASTC]).name).toBe('astc')
+  })
+
+  it('encodable only skips formats the worker cannot encode', () => {
+    expect(selectCompressedFormat([BPTC, ASTC, S3TC], { encodable: true }).name).toBe('bc1')
+    expect(selectCompressedFormat([BPTC, ETC, S3TC], { encodable: true }).name).toBe('etc2')
+    expect(selectCompressedFormat([BPTC, ASTC], { encodable: true })).toBeNull()
+  })
+
+  it('accepts any iterable of extension names', () => {
+    expect(selectCompressedFormat(new Set([ETC])).name).toBe('etc2')
+  })
+})
+
+describe('getCompressedFormat', () => {
+  it('looks formats up by name', () => {
+    expect(getCompressedFormat('astc').extension).toBe(ASTC)
+    expect(getCompressedFormat('png')).toBeNull()
+  })
+})
+
+describe('getCompressedByteLength', () => {
+  it('8-byte blocks: 256×256 tile = 32 KB', () => {
+    expect(getCompressedByteLength(getCompressedFormat('bc1'), 256, 256)).toBe(32768)
+  })
+
+  it('16-byte blocks: 256×256 tile = 64 KB', () => {
+    expect(getCompressedByteLength(getCompressedFormat('bc7'), 256, 256)).toBe(65536)
+  })
+
+  it('rounds partial blocks up', () => {
+    expect(getCompressedByteLength(getCompressedFormat('etc2'), 2, 2)).toBe(8)
+    expect(getCompressedByteLength(getCompressedFormat('etc2'), 5, 4)).toBe(16)
+  })
+})
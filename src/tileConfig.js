@@ -0,0 +1,159 @@
+import { COMPRESSED_FORMATS } from './textureFormats.js'
+
+/**
+ * Tile pipeline configuration shared by TileManager, SlotAllocator,
+ * TileLoaderPool (and its workers) and LOD selection.
+ *
+ *   tileSize       Tile resolution in pixels (one atlas slot)
+ *   atlasSize      Width/height of one atlas layer in pixels
+ *   maxLayers      Upper bound on atlas layers (the atlas grows up to this)
+ *   initialLayers  Layers allocated up front
+ *   maxLod         Highest LOD level that will be requested
+ *   baseWorldSize  World units covered by the longer side of an unscaled image
+ *   gutter         Pixels of neighbouring image content around each tile, so
+ *                  bilinear filtering at tile edges never reads another slot
+ *   mipLevels      Atlas mip levels (1 = no mipmapping). Level k shrinks the
+ *                  gutter to gutter / 2^k texels, so levels are capped at the
+ *                  point where the gutter would drop below one texel
+ *   uploadTilesPerFrame  Tiles written to the atlas per frame at most; the
+ *                  rest stay queued in TileManager (allocated, not yet drawn)
+ *   uploadMsPerFrame  Time budget for those writes per frame, in (fractional) ms
+ *                  (0 = tiles only)
+ *   lodFadeMs      Cross-fade length when an image switches LOD (0 = swap instantly)
+ *   minWorkers     Fewest decode workers TileLoaderPool keeps
+ *   maxWorkers     Most decode workers TileLoaderPool runs; it starts with one
+ *                  per spare core within these limits and adapts (see poolSizing)
+ *   sourceCacheMB  Memory budget for decoded source images, shared by the
+ *                  pool's workers (each caches its own URLs; see SourceCache)
+ *   tileCacheMB    Quota of the persistent tile cache in IndexedDB (see
+ *                  TileCache), kept across reloads. 0 = off
+ *   tileCacheVersion  Content version in the tile cache keys: change it when
+ *                  the images behind the URLs change
+ *   cancelMargin   Grace margin around the view, in view widths/heights per
+ *                  side: images that scroll off screen but stay within it keep
+ *                  their loads (queued behind on-screen ones); loads of images
+ *                  beyond it are cancelled
+ *   compression    'none' (RGBA8 atlas), 'auto' (best GPU block format the
+ *                  renderer supports) or a format name from textureFormats
+ *   ktx2TileUrl    Template for pre-encoded KTX2/Basis tiles, with {name}
+ *                  (image file name without extension), {lod}, {x} and {y}.
+ *                  Tiles are tileSize² including the gutter, bottom row first,
+ *                  with mipLevels levels. Empty: the worker encodes tiles itself
+ *
+ * Derived:
+ *   tilesPerRow    atlasSize / tileSize (slots per atlas row)
+ *   contentSize    tileSize - 2 * gutter (image pixels per tile edge)
+ */
+const DEFAULTS = {
+  tileSize: 256,
+  atlasSize: 4096,
+  maxLayers: 16,
+  initialLayers: 2,
+  maxLod: 4,
+  baseWorldSize: 4,
+  gutter: 4,
+  mipLevels: 3,
+  lodFadeMs: 250,
+  uploadTilesPerFrame: 32,
+  uploadMsPerFrame: 4,
+  minWorkers: 1,
+  maxWorkers: 8,
+  sourceCacheMB: 256,
+  tileCacheMB: 0,
+  tileCacheVersion: '1',
+  cancelMargin: 0.5,
+  compression: 'none',
+  ktx2TileUrl: '',
+}
+
+const INTEGER_KEYS = ['tileSize', 'atlasSize', 'maxLayers', 'initialLayers', 'maxLod', 'gutter', 'mipLevels', 'lodFadeMs', 'uploadTilesPerFrame', 'minWorkers', 'maxWorkers', 'sourceCacheMB', 'tileCacheMB']
+const ZERO_ALLOWED = new Set(['maxLod', 'gutter', 'lodFadeMs', 'sourceCacheMB', 'tileCacheMB'])
+const NON_NEGATIVE_KEYS = ['cancelMargin', 'uploadMsPerFrame']
+const STRING_KEYS = ['compression', 'ktx2TileUrl', 'tileCacheVersion']
+const COMPRESSION_MODES = ['none', 'auto', ...COMPRESSED_FORMATS.map(f => f.name)]
+
+// Compressed uploads must cover whole 4×4 blocks on every mip level
+const BLOCK_SIZE = 4
+
+/**
+ * Build a validated, frozen config from partial overrides.
+ * @param {Partial<typeof DEFAULTS>} [overrides]
+ */
+export function createTileConfig(overrides = {}) {
+  const config = { ...DEFAULTS, ...overrides }
+
+  for (const key of INTEGER_KEYS) {
+    const min = ZERO_ALLOWED.has(key) ? 0 : 1
+    if (!Number.isInteger(config[key]) || config[key] < min) {
+      throw new Error(`tileConfig: ${key} must be an integer >= ${min} (got ${config[key]})`)
+    }
+  }
+  if (!COMPRESSION_MODES.includes(config.compression)) {
+    throw new Error(`tileConfig: compression must be one of ${COMPRESSION_MODES.join(', ')} (got ${config.compression})`)
+  }
+  for (const key of ['ktx2TileUrl', 'tileCacheVersion']) {
+    if (typeof config[key] !== 'string') {
+      throw new Error(`tileConfig: ${key} must be a string (got ${config[key]})`)
+    }
+  }
+  if (config.maxWorkers < config.minWorkers) {
+    throw new Error(`tileConfig: maxWorkers (${config.maxWorkers}) must be at least minWorkers (${config.minWorkers})`)
+  }
+  for (const key of NON_NEGATIVE_KEYS) {
+    if (!(config[key] >= 0 && Number.isFinite(config[key]))) {
+      throw new Error(`tileConfig: ${key} must be a number >= 0 (got ${config[key]})`)
+    }
+  }
+  if (!(config.baseWorldSize > 0)) {
+    throw new Error(`tileConfig: baseWorldSize must be positive (got ${config.baseWorldSize})`)
+  }
+  if (config.atlasSize % config.tileSize !== 0) {
+    throw new Error(`tileConfig: atlasSize (${config.atlasSize}) must be a multiple of tileSize (${config.tileSize})`)
+  }
+  if (config.gutter * 2 >= config.tileSize) {
+    throw new Error(`tileConfig: gutter (${config.gutter}) must be less than half of tileSize (${config.tileSize})`)
+  }
+
+  // Keep at least one gutter texel per slot edge on every mip level
+  const gutterLevels = config.gutter > 0 ? Math.floor(Math.log2(config.gutter)) + 1 : 1
+  config.mipLevels = Math.min(config.mipLevels, gutterLevels)
+  if (config.compression !== 'none') {
+    if (config.tileSize % BLOCK_SIZE !== 0) {
+      throw new Error(`tileConfig: tileSize (${config.tileSize}) must be a multiple of ${BLOCK_SIZE} for compressed atlases`)
+    }
+    const blockLevels = Math.log2(config.tileSize & -config.tileSize) - 1
+    config.mipLevels = Math.min(config.mipLevels, blockLevels)
+  }
+  if (config.tileSize % (1 << (config.mipLevels - 1)) !== 0) {
+    throw new Error(`tileConfig: tileSize (${config.tileSize}) must be divisible by 2^(mipLevels - 1)`)
+  }
+
+  config.initialLayers = Math.min(config.initialLayers, config.maxLayers)
+  config.tilesPerRow = config.atlasSize / config.tileSize
+  config.contentSize = config.tileSize - 2 * config.gutter
+
+  return Object.freeze(config)
+}
+
+export const DEFAULT_TILE_CONFIG = createTileConfig()
+
+/**
+ * Read config overrides from a URL query string, e.g. `?tileSize=512&maxLayers=8`.
+ * Unknown or non-numeric parameters are ignored (string keys are taken as-is).
+ * @param {string} search - location.search
+ * @returns {Partial<typeof DEFAULTS>}
+ */
+export function parseTileConfigParams(search) {
+  const params = new URLSearchParams(search)
+  const overrides = {}
+  for (const key of Object.keys(DEFAULTS)) {
+    if (!params.has(key)) continue
+    if (STRING_KEYS.includes(key)) {
+      overrides[key] = params.get(key)
+      continue
+    }
+    const value = Number(params.get(key))
+    if (Number.isFinite(value)) overrides[key] = value
+  }
+  return overrides
+}
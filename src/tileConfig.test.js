@@ -0,0 +1,159 @@
+import { describe, it, expect } from 'vitest'
+import { createTileConfig, parseTileConfigParams, DEFAULT_TILE_CONFIG } from './tileConfig'
+import { SlotAllocator } from './SlotAllocator'
+
+describe('tileConfig', () => {
+  describe('createTileConfig', () => {
+    it('defaults match the original hard-coded pipeline', () => {
+      expect(DEFAULT_TILE_CONFIG).toMatchObject({
+        tileSize: 256,
+        atlasSize: 4096,
+        maxLayers: 16,
+        maxLod: 4,
+        baseWorldSize: 4,
+        tilesPerRow: 16,
+      })
+    })
+
+    it('derives tilesPerRow from atlas and tile size', () => {
+      expect(createTileConfig({ tileSize: 512 }).tilesPerRow).toBe(8)
+      expect(createTileConfig({ tileSize: 128 }).tilesPerRow).toBe(32)
+      expect(createTileConfig({ tileSize: 128, atlasSize: 2048 }).tilesPerRow).toBe(16)
+    })
+
+    it('returns a frozen object', () => {
+      expect(Object.isFrozen(createTileConfig())).toBe(true)
+    })
+
+    it('clamps initialLayers to maxLayers', () => {
+      expect(createTileConfig({ maxLayers: 1 }).initialLayers).toBe(1)
+    })
+
+    it('rejects an atlas size that is not a multiple of the tile size', () => {
+      expect(() => createTileConfig({ tileSize: 300 })).toThrow(/multiple of tileSize/)
+    })
+
+    it('rejects non-integer or non-positive sizes', () => {
+      expect(() => createTileConfig({ tileSize: 0 })).toThrow(/tileSize/)
+      expect(() => createTileConfig({ maxLayers: 2.5 })).toThrow(/maxLayers/)
+      expect(() => createTileConfig({ maxLod: -1 })).toThrow(/maxLod/)
+      expect(() => createTileConfig({ baseWorldSize: 0 })).toThrow(/baseWorldSize/)
+    })
+
+    it('derives content size from the gutter', () => {
+      expect(createTileConfig({ gutter: 0 }).contentSize).toBe(256)
+      expect(createTileConfig({ gutter: 4 }).contentSize).toBe(248)
+    })
+
+    it('caps mip levels so every level keeps a gutter texel', () => {
+      expect(createTileConfig({ gutter: 4, mipLevels: 3 }).mipLevels).toBe(3)
+      expect(createTileConfig({ gutter: 4, mipLevels: 6 }).mipLevels).toBe(3)
+      expect(createTileConfig({ gutter: 2, mipLevels: 3 }).mipLevels).toBe(2)
+      expect(createTileConfig({ gutter: 0, mipLevels: 3 }).mipLevels).toBe(1)
+    })
+
+    it('rejects tile sizes that do not halve cleanly across mip levels', () => {
+      expect(createTileConfig({ tileSize: 6, atlasSize: 60, gutter: 2, mipLevels: 2 }).mipLevels).toBe(2)
+      expect(() => createTileConfig({ tileSize: 10, atlasSize: 40, gutter: 4, mipLevels: 3 })).toThrow(/mipLevels/)
+    })
+
+    it('rejects gutters that leave no room for content', () => {
+      expect(() => createTileConfig({ tileSize: 128, gutter: 64 })).toThrow(/gutter/)
+      expect(() => createTileConfig({ gutter: -1 })).toThrow(/gutter/)
+    })
+
+    it('allows maxLod = 0', () => {
+      expect(createTileConfig({ maxLod: 0 }).maxLod).toBe(0)
+    })
+
+    it('allows lodFadeMs = 0 to disable LOD cross-fades', () => {
+      expect(DEFAULT_TILE_CONFIG.lodFadeMs).toBeGreaterThan(0)
+      expect(createTileConfig({ lodFadeMs: 0 }).lodFadeMs).toBe(0)
+      expect(() => createTileConfig({ lodFadeMs: -1 })).toThrow(/lodFadeMs/)
+    })
+
+    it('defaults to an uncompressed atlas', () => {
+      expect(DEFAULT_TILE_CONFIG.compression).toBe('none')
+      expect(DEFAULT_TILE_CONFIG.ktx2TileUrl).toBe('')
+    })
+
+    it('accepts auto and known block formats for compression', () => {
+      expect(createTileConfig({ compression: 'auto' }).compression).toBe('auto')
+      expect(createTileConfig({ compression: 'etc2' }).compression).toBe('etc2')
+      expect(() => createTileConfig({ compression: 'png' })).toThrow(/compression/)
+    })
+
+    it('requires maxWorkers >= minWorkers >= 1', () => {
+      expect(createTileConfig({ minWorkers: 2, maxWorkers: 2 })).toMatchObject({ minWorkers: 2, maxWorkers: 2 })
+      expect(() => createTileConfig({ minWorkers: 0 })).toThrow(/minWorkers/)
+      expect(() => createTileConfig({ minWorkers: 4, maxWorkers: 2 })).toThrow(/maxWorkers/)
+    })
+
+    it('accepts fractional cancel margins but not negative ones', () => {
+      expect(createTileConfig({ cancelMargin: 0.25 }).cancelMargin).toBe(0.25)
+      expect(createTileConfig({ cancelMargin: 0 }).cancelMargin).toBe(0)
+      expect(() => createTileConfig({ cancelMargin: -1 })).toThrow(/cancelMargin/)
+      expect(() => createTileConfig({ cancelMargin: Infinity })).toThrow(/cancelMargin/)
+    })
+
+    it('uploads at least one tile per frame', () => {
+      expect(DEFAULT_TILE_CONFIG.uploadTilesPerFrame).toBeGreaterThan(0)
+      expect(() => createTileConfig({ uploadTilesPerFrame: 0 })).toThrow(/uploadTilesPerFrame/)
+    })
+
+    it('allows switching the upload time budget off', () => {
+      expect(createTileConfig({ uploadMsPerFrame: 0 }).uploadMsPerFrame).toBe(0)
+      expect(() => createTileConfig({ uploadMsPerFrame: -1 })).toThrow(/uploadMsPerFrame/)
+    })
+
+    it('takes sub-millisecond upload time budgets, also from the query string', () => {
+      expect(createTileConfig({ uploadMsPerFrame: 0.5 }).uploadMsPerFrame).toBe(0.5)
+      const overrides = parseTileConfigParams('?uploadMsPerFrame=0.5')
+      expect(createTileConfig(overrides).uploadMsPerFrame).toBe(0.5)
+      expect(() => createTileConfig({ uploadMsPerFrame: Infinity })).toThrow(/uploadMsPerFrame/)
+    })
+
+    it('allows a zero source cache budget', () => {
+      expect(createTileConfig({ sourceCacheMB: 0 }).sourceCacheMB).toBe(0)
+      expect(() => createTileConfig({ sourceCacheMB: -1 })).toThrow(/sourceCacheMB/)
+    })
+
+    it('rejects non-string ktx2TileUrl and tileCacheVersion', () => {
+      expect(() => createTileConfig({ ktx2TileUrl: 1 })).toThrow(/ktx2TileUrl/)
+      expect(() => createTileConfig({ tileCacheVersion: 2 })).toThrow(/tileCacheVersion/)
+    })
+
+    it('keeps every compressed mip level a whole number of 4×4 blocks', () => {
+      // 48 -> 24 -> 12: three levels fit, the gutter allows four (48 -> 6)
+      const config = createTileConfig({ tileSize: 48, atlasSize: 480, gutter: 8, mipLevels: 6, compression: 'auto' })
+      expect(config.mipLevels).toBe(3)
+      expect(createTileConfig({ tileSize: 48, atlasSize: 480, gutter: 8, mipLevels: 6 }).mipLevels).toBe(4)
+      expect(() => createTileConfig({ tileSize: 30, atlasSize: 300, gutter: 1, compression: 'auto' })).toThrow(/multiple of 4/)
+    })
+  })
+
+  describe('parseTileConfigParams', () => {
+    it('reads numeric overrides from a query string', () => {
+      expect(parseTileConfigParams('?tileSize=512&maxLayers=8')).toEqual({ tileSize: 512, maxLayers: 8 })
+    })
+
+    it('reads string parameters as-is', () => {
+      expect(parseTileConfigParams('?compression=auto&ktx2TileUrl=/t/{name}/{lod}/{x}_{y}.ktx2')).toEqual({
+        compression: 'auto',
+        ktx2TileUrl: '/t/{name}/{lod}/{x}_{y}.ktx2',
+      })
+    })
+
+    it('ignores unknown and non-numeric parameters', () => {
+      expect(parseTileConfigParams('?stacked&tileSize=big&foo=1')).toEqual({})
+    })
+  })
+
+  describe('SlotAllocator.fromConfig', () => {
+    it('sizes the allocator from the config', () => {
+      const config = createTileConfig({ tileSize: 512, maxLayers: 4 })
+      expect(SlotAllocator.fromConfig(config).getTotalSlots()).toBe(4 * 8 * 8)
+      expect(SlotAllocator.fromConfig(config, 1).getTotalSlots()).toBe(64)
+    })
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * Tile grid math shared by the worker (which cuts tiles) and the main thread
+ * (which decides which tiles to request).
+ *
+ * Image-local space: origin at the image's top-left corner, x right, y down,
+ * in unscaled world units. Tile (tx, ty) covers
+ * [tx, tx + 1) × [ty, ty + 1) tiles of tileWorldSize.
+ */
+
+/**
+ * World size of an image, keeping its aspect ratio with the longer side = baseWorldSize.
+ */
+export function getImageWorldSize(imageWidth, imageHeight, baseWorldSize) {
+  const aspect = imageWidth / imageHeight
+  if (aspect >= 1) {
+    return { worldWidth: baseWorldSize, worldHeight: baseWorldSize / aspect }
+  }
+  return { worldWidth: baseWorldSize * aspect, worldHeight: baseWorldSize }
+}
+
+/**
+ * Tile grid of an image at a LOD: tiles have a fixed world size per LOD.
+ */
+export function getTileGrid(worldWidth, worldHeight, baseWorldSize, lodLevel) {
+  const tileWorldSize = baseWorldSize / Math.pow(2, lodLevel)
+  return {
+    tileWorldSize,
+    tilesX: Math.ceil(worldWidth / tileWorldSize),
+    tilesY: Math.ceil(worldHeight / tileWorldSize),
+  }
+}
+
+/**
+ * Tiles overlapping an image-local rectangle, grown by `margin` tiles and
+ * clamped to the grid. Ranges are half-open: x0 <= tx < x1, y0 <= ty < y1.
+ * @returns {{ x0: number, y0: number, x1: number, y1: number } | null} null when nothing overlaps
+ */
+export function getTileRange(grid, minX, minY, maxX, maxY, margin = 0) {
+  const { tileWorldSize, tilesX, tilesY } = grid
+  const x0 = Math.max(0, Math.floor(minX / tileWorldSize) - margin)
+  const y0 = Math.max(0, Math.floor(minY / tileWorldSize) - margin)
+  const x1 = Math.min(tilesX, Math.floor(maxX / tileWorldSize) + 1 + margin)
+  const y1 = Math.min(tilesY, Math.floor(maxY / tileWorldSize) + 1 + margin)
+  if (x0 >= x1 || y0 >= y1) return null
+  return { x0, y0, x1, y1 }
+}
+
+export function getFullTileRange(grid) {
+  return { x0: 0, y0: 0, x1: grid.tilesX, y1: grid.tilesY }
+}
+
+export function getTileRangeCount(range) {
+  return range ? (range.x1 - range.x0) * (range.y1 - range.y0) : 0
+}
+
+export function isFullTileRange(grid, range) {
+  return range.x0 <= 0 && range.y0 <= 0 && range.x1 >= grid.tilesX && range.y1 >= grid.tilesY
+}
+
+/**
+ * Source pixel rect of tile (tx, ty), and the tile's world size (edge tiles
+ * may be smaller). srcW/srcH below 1 means the tile has no content.
+ */
+export function getTileSourceRect(grid, tx, ty, worldWidth, worldHeight, imageWidth, imageHeight) {
+  const { tileWorldSize } = grid
+  const pixelsPerWorldX = imageWidth / worldWidth
+  const pixelsPerWorldY = imageHeight / worldHeight
+
+  const worldX0 = tx * tileWorldSize
+  const worldY0 = ty * tileWorldSize
+  const tileWorldW = Math.min((tx + 1) * tileWorldSize, worldWidth) - worldX0
+  const tileWorldH = Math.min((ty + 1) * tileWorldSize, worldHeight) - worldY0
+
+  return {
+    srcX: Math.round(worldX0 * pixelsPerWorldX),
+    srcY: Math.round(worldY0 * pixelsPerWorldY),
+    srcW: Math.round(tileWorldW * pixelsPerWorldX),
+    srcH: Math.round(tileWorldH * pixelsPerWorldY),
+    tileWorldW,
+    tileWorldH,
+  }
+}
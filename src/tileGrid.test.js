@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getImageWorldSize,
+  getTileGrid,
+  getTileRange,
+  getFullTileRange,
+  getTileRangeCount,
+  isFullTileRange,
+  getTileSourceRect,
+} from './tileGrid'
+
+describe('getImageWorldSize', () => {
+  it('landscape: width = base', () => {
+    expect(getImageWorldSize(4000, 2000, 4)).toEqual({ worldWidth: 4, worldHeight: 2 })
+  })
+
+  it('portrait: height = base', () => {
+    expect(getImageWorldSize(1000, 2000, 4)).toEqual({ worldWidth: 2, worldHeight: 4 })
+  })
+
+  it('square', () => {
+    expect(getImageWorldSize(512, 512, 4)).toEqual({ worldWidth: 4, worldHeight: 4 })
+  })
+})
+
+describe('getTileGrid', () => {
+  it('LOD 0 is a single tile for a square image', () => {
+    expect(getTileGrid(4, 4, 4, 0)).toEqual({ tileWorldSize: 4, tilesX: 1, tilesY: 1 })
+  })
+
+  it('tile count doubles per axis with each LOD', () => {
+    expect(getTileGrid(4, 4, 4, 2)).toEqual({ tileWorldSize: 1, tilesX: 4, tilesY: 4 })
+    expect(getTileGrid(4, 4, 4, 4)).toEqual({ tileWorldSize: 0.25, tilesX: 16, tilesY: 16 })
+  })
+
+  it('rounds partial edge tiles up', () => {
+    expect(getTileGrid(4, 2.5, 4, 1)).toEqual({ tileWorldSize: 2, tilesX: 2, tilesY: 2 })
+  })
+})
+
+describe('getTileRange', () => {
+  const grid = getTileGrid(4, 4, 4, 2) // 4×4 tiles of 1 unit
+
+  it('covers tiles touched by the rectangle', () => {
+    expect(getTileRange(grid, 0.5, 1.5, 2.5, 2.2)).toEqual({ x0: 0, y0: 1, x1: 3, y1: 3 })
+  })
+
+  it('clamps to the grid', () => {
+    expect(getTileRange(grid, -10, -10, 100, 100)).toEqual({ x0: 0, y0: 0, x1: 4, y1: 4 })
+  })
+
+  it('adds a margin of whole tiles', () => {
+    expect(getTileRange(grid, 1.5, 1.5, 1.6, 1.6, 1)).toEqual({ x0: 0, y0: 0, x1: 3, y1: 3 })
+  })
+
+  it('returns null when the rectangle misses the image', () => {
+    expect(getTileRange(grid, 5, 0, 6, 1)).toBeNull()
+    expect(getTileRange(grid, 0, -3, 1, -1)).toBeNull()
+  })
+})
+
+describe('range helpers', () => {
+  const grid = getTileGrid(4, 4, 4, 1)
+
+  it('getFullTileRange spans the grid', () => {
+    expect(getFullTileRange(grid)).toEqual({ x0: 0, y0: 0, x1: 2, y1: 2 })
+    expect(isFullTileRange(grid, getFullTileRange(grid))).toBe(true)
+  })
+
+  it('isFullTileRange is false for a sub-range', () => {
+    expect(isFullTileRange(grid, { x0: 0, y0: 0, x1: 1, y1: 2 })).toBe(false)
+  })
+
+  it('getTileRangeCount', () => {
+    expect(getTileRangeCount({ x0: 1, y0: 2, x1: 4, y1: 4 })).toBe(6)
+    expect(getTileRangeCount(null)).toBe(0)
+  })
+})
+
+describe('getTileSourceRect', () => {
+  it('maps a full tile to source pixels', () => {
+    // 4000×2000 image, world 4×2; LOD 1 tiles are 2 world units = 2000 px
+    const grid = getTileGrid(4, 2, 4, 1)
+    expect(getTileSourceRect(grid, 1, 0, 4, 2, 4000, 2000)).toEqual({
+      srcX: 2000, srcY: 0, srcW: 2000, srcH: 2000, tileWorldW: 2, tileWorldH: 2,
+    })
+  })
+
+  it('shrinks edge tiles to the image', () => {
+    // 3000×2000: world 4×(8/3); LOD 1 bottom row is 2/3 world units tall
+    const grid = getTileGrid(4, 8 / 3, 4, 1)
+    const rect = getTileSourceRect(grid, 0, 1, 4, 8 / 3, 3000, 2000)
+    expect(rect).toMatchObject({ srcX: 0, srcY: 1500, srcW: 1500, srcH: 500 })
+    expect(rect.tileWorldH).toBeCloseTo(2 / 3)
+  })
+})
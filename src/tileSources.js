@@ -0,0 +1,530 @@
+/**
+ * Where tileWorker gets image pixels from.
+ *
+ *   ImageSliceSource  One whole image (jpg/png/...), decoded once and sliced per tile
+ *   PyramidSource     A pre-tiled image pyramid, read one level at a time:
+ *                       Deep Zoom  `name.dzi` + `name_files/{level}/{col}_{row}.{format}`
+ *                       XYZ        `.../{z}/{x}/{y}.png` + `.../info.json`
+ *   PreTiledSource    Our own tiles, cut offline by scripts/buildPyramid.js:
+ *                       `.../{lod}/{x}_{y}.jpg` + `.../info.json`
+ *
+ * Every source renders our tiles the same way: a full-resolution source rect
+ * scaled into the tile's content area, with `gutter` pixels of neighbouring
+ * content around it (edge pixels stretched where the image ends).
+ */
+
+import { readImageSize } from './imageHeader.js'
+
+export const BITMAP_OPTIONS = {
+  premultiplyAlpha: 'none',
+  colorSpaceConversion: 'none'
+}
+
+/**
+ * Pick a source type from the URL.
+ */
+export function getTileSourceType(url) {
+  if (/\.dzi(\?|#|$)/i.test(url)) return 'dzi'
+  if (url.includes('{lod}')) return 'lod'
+  if (url.includes('{z}')) return 'xyz'
+  return 'image'
+}
+
+/**
+ * Open a tile source: reads whatever metadata it needs so imageWidth and
+ * imageHeight are known.
+ * @param {{ signal?: AbortSignal }} [options] - Aborts the metadata fetch
+ */
+export async function openTileSource(url, { signal } = {}) {
+  switch (getTileSourceType(url)) {
+    case 'dzi': {
+      const response = await fetchOk(url, { signal })
+      return new PyramidSource(getDziLayout(url, parseDzi(await response.text())))
+    }
+    case 'xyz': {
+      const response = await fetchOk(getInfoUrl(url, '{z}'), { signal })
+      return new PyramidSource(getXyzLayout(url, await response.json()))
+    }
+    case 'lod': {
+      const response = await fetchOk(getInfoUrl(url, '{lod}'), { signal })
+      return new PreTiledSource(url, await response.json())
+    }
+    default: {
+      const source = new ImageSliceSource(url)
+      await source.open(signal)
+      return source
+    }
+  }
+}
+
+async function fetchOk(url, init) {
+  const response = await fetch(url, init)
+  if (!response.ok) throw new Error(`Failed to fetch ${url} (${response.status})`)
+  return response
+}
+
+// Headers nearly always fit here; EXIF thumbnails can push a JPEG's SOF further
+const HEADER_RANGE_BYTES = 64 * 1024
+const HEADER_MAX_BYTES = 512 * 1024
+
+/**
+ * Size of a single image from its header bytes, streaming only as much of
+ * the file as it takes (servers that ignore Range still stop early).
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<{ width: number, height: number } | null>} null if the header can't be read
+ */
+export async function fetchImageSize(url, { signal } = {}) {
+  const response = await fetchOk(url, { headers: { Range: `bytes=0-${HEADER_RANGE_BYTES - 1}` }, signal })
+  const reader = response.body.getReader()
+  let bytes = new Uint8Array(0)
+  try {
+    while (bytes.length < HEADER_MAX_BYTES) {
+      const { done, value } = await reader.read()
+      if (done) break
+      const joined = new Uint8Array(bytes.length + value.length)
+      joined.set(bytes)
+      joined.set(value, bytes.length)
+      bytes = joined
+      const size = readImageSize(bytes)
+      if (size) return size
+    }
+    return null
+  } finally {
+    reader.cancel().catch(() => {})
+  }
+}
+
+// --- Deep Zoom / XYZ layout math (no DOM, testable in node) ---
+
+function readAttribute(xml, name) {
+  const match = xml.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))
+  return match ? match[1] : null
+}
+
+/**
+ * Parse a Deep Zoom descriptor. Workers have no DOMParser, so this reads the
+ * attributes it needs with regular expressions.
+ * @returns {{ width: number, height: number, tileSize: number, overlap: number, format: string }}
+ */
+export function parseDzi(xml) {
+  const imageTag = xml.match(/<Image\b[^>]*>/)?.[0]
+  const sizeTag = xml.match(/<Size\b[^>]*>/)?.[0]
+  if (!imageTag || !sizeTag) throw new Error('tileSources: not a Deep Zoom descriptor')
+
+  const dzi = {
+    width: Number(readAttribute(sizeTag, 'Width')),
+    height: Number(readAttribute(sizeTag, 'Height')),
+    tileSize: Number(readAttribute(imageTag, 'TileSize')),
+    overlap: Number(readAttribute(imageTag, 'Overlap') ?? 0),
+    format: readAttribute(imageTag, 'Format') ?? 'jpg',
+  }
+  if (!(dzi.width > 0 && dzi.height > 0 && dzi.tileSize > 0)) {
+    throw new Error('tileSources: Deep Zoom descriptor is missing its size')
+  }
+  return dzi
+}
+
+/**
+ * Deep Zoom: level L is the image halved (maxLevel - L) times, where maxLevel
+ * is the level at which the longer side is first >= the full image.
+ */
+export function getDziLayout(url, dzi) {
+  const maxLevel = Math.ceil(Math.log2(Math.max(dzi.width, dzi.height)))
+  const base = url.replace(/\.dzi(?=$|[?#])/i, '_files').replace(/[?#].*$/, '')
+  return {
+    width: dzi.width,
+    height: dzi.height,
+    tileSize: dzi.tileSize,
+    overlap: dzi.overlap,
+    minLevel: 0,
+    maxLevel,
+    tileUrl: (level, col, row) => `${base}/${level}/${col}_${row}.${dzi.format}`,
+  }
+}
+
+/**
+ * info.json sits in the directory above the first templated path segment.
+ */
+export function getInfoUrl(template, placeholder) {
+  return template.slice(0, template.indexOf(placeholder)) + 'info.json'
+}
+
+/**
+ * XYZ: info.json gives { width, height, tileSize, maxZoom }; z = maxZoom is
+ * full resolution and each lower z halves it. Tiles don't overlap.
+ */
+export function getXyzLayout(template, info) {
+  return {
+    width: info.width,
+    height: info.height,
+    tileSize: info.tileSize,
+    overlap: 0,
+    minLevel: info.minZoom ?? 0,
+    maxLevel: info.maxZoom,
+    tileUrl: (level, col, row) => template
+      .replaceAll('{z}', level)
+      .replaceAll('{x}', col)
+      .replaceAll('{y}', row),
+  }
+}
+
+/**
+ * Pixel size of a pyramid level.
+ */
+export function getLevelSize(layout, level) {
+  const divisor = Math.pow(2, layout.maxLevel - level)
+  return {
+    width: Math.ceil(layout.width / divisor),
+    height: Math.ceil(layout.height / divisor),
+  }
+}
+
+/**
+ * Lowest pyramid level with at least `scale` level pixels per full-resolution
+ * pixel (scale > 1 means upsampling, which only the top level can serve).
+ */
+export function selectPyramidLevel(layout, scale) {
+  const level = layout.maxLevel + Math.ceil(Math.log2(scale) - 1e-9)
+  return Math.min(layout.maxLevel, Math.max(layout.minLevel, level))
+}
+
+/**
+ * Pyramid tiles overlapping a rect of level pixels [x0, x1) × [y0, y1),
+ * with where each tile's image (overlap included) sits on the level.
+ * @returns {Array<{ col: number, row: number, url: string, x: number, y: number, width: number, height: number }>}
+ */
+export function getPyramidTiles(layout, level, x0, y0, x1, y1) {
+  const { width, height } = getLevelSize(layout, level)
+  const { tileSize, overlap } = layout
+  const cols = Math.ceil(width / tileSize)
+  const rows = Math.ceil(height / tileSize)
+
+  const col0 = Math.max(0, Math.floor(x0 / tileSize))
+  const row0 = Math.max(0, Math.floor(y0 / tileSize))
+  const col1 = Math.min(cols, Math.ceil(x1 / tileSize))
+  const row1 = Math.min(rows, Math.ceil(y1 / tileSize))
+
+  const tiles = []
+  for (let row = row0; row < row1; row++) {
+    for (let col = col0; col < col1; col++) {
+      const x = col * tileSize - (col > 0 ? overlap : 0)
+      const y = row * tileSize - (row > 0 ? overlap : 0)
+      const right = Math.min(width, (col + 1) * tileSize + overlap)
+      const bottom = Math.min(height, (row + 1) * tileSize + overlap)
+      tiles.push({ col, row, url: layout.tileUrl(level, col, row), x, y, width: right - x, height: bottom - y })
+    }
+  }
+  return tiles
+}
+
+// --- Tile rendering ---
+
+/**
+ * Where a source rect lands in a tile: the rect padded by the gutter and
+ * clamped to the image, in source pixels (x0..y1) and tile pixels (dx..dh).
+ */
+export function getTilePlacement(imageWidth, imageHeight, srcX, srcY, srcW, srcH, tileSize, gutter) {
+  const content = tileSize - 2 * gutter
+  const scaleX = content / srcW
+  const scaleY = content / srcH
+
+  const x0 = Math.max(0, Math.floor(srcX - gutter / scaleX))
+  const y0 = Math.max(0, Math.floor(srcY - gutter / scaleY))
+  const x1 = Math.min(imageWidth, Math.ceil(srcX + srcW + gutter / scaleX))
+  const y1 = Math.min(imageHeight, Math.ceil(srcY + srcH + gutter / scaleY))
+
+  return {
+    scaleX,
+    scaleY,
+    x0, y0, x1, y1,
+    dx: gutter + (x0 - srcX) * scaleX,
+    dy: gutter + (y0 - srcY) * scaleY,
+    dw: (x1 - x0) * scaleX,
+    dh: (y1 - y0) * scaleY,
+  }
+}
+
+// Stretch the outermost painted rows/columns over any unpainted border
+function extendEdges(ctx, size, left, top, right, bottom) {
+  const canvas = ctx.canvas
+  const h = bottom - top
+  if (left > 0) ctx.drawImage(canvas, left, top, 1, h, 0, top, left, h)
+  if (right < size) ctx.drawImage(canvas, right - 1, top, 1, h, right, top, size - right, h)
+  if (top > 0) ctx.drawImage(canvas, 0, top, size, 1, 0, 0, size, top)
+  if (bottom < size) ctx.drawImage(canvas, 0, bottom - 1, size, 1, 0, bottom, size, size - bottom)
+}
+
+// Fill the gutter past the image edges, then hand back a flipped bitmap
+function finishTile(ctx, tileSize, placement) {
+  const { dx, dy, dw, dh } = placement
+  extendEdges(
+    ctx, tileSize,
+    Math.max(0, Math.ceil(dx)),
+    Math.max(0, Math.ceil(dy)),
+    Math.min(tileSize, Math.floor(dx + dw)),
+    Math.min(tileSize, Math.floor(dy + dh))
+  )
+  return createImageBitmap(ctx.canvas, { imageOrientation: 'flipY', ...BITMAP_OPTIONS })
+}
+
+/**
+ * Size of an image halved `level` times (each halving rounds up).
+ */
+export function getHalvedSize(width, height, level) {
+  const divisor = Math.pow(2, level)
+  return { width: Math.ceil(width / divisor), height: Math.ceil(height / divisor) }
+}
+
+/**
+ * How many halvings bring a downscale `scale` (target px per source px) into
+ * (0.5, 1], so the final resample never shrinks by more than half. Capped at
+ * `maxLevel`; upscaling uses the full image.
+ */
+export function getHalvingLevel(scale, maxLevel) {
+  if (!(scale < 1)) return 0
+  return Math.min(maxLevel, Math.floor(Math.log2(1 / scale) + 1e-9))
+}
+
+/**
+ * One whole image, fetched and decoded once. Every tile, at every LOD, is
+ * drawn from that bitmap, or for low LODs from a chain of halvings of it
+ * (built on first use, each level filtered from the one above), so a tile
+ * never decodes the file again nor shrinks it in one large step.
+ *
+ * Sources outlive requests (tileWorker caches them), so each call takes the
+ * request's AbortSignal: an aborted request stops fetching and skips any
+ * drawing it hasn't started. An evicted source's bitmaps are left to the
+ * garbage collector, as a request may still be drawing from them.
+ */
+export class ImageSliceSource {
+  constructor(url) {
+    this.url = url
+    this.levels = [] // Promise<ImageBitmap> per halving, [0] = full resolution
+    this.imageWidth = 0
+    this.imageHeight = 0
+    this.maxLevel = 0
+  }
+
+  async open(signal) {
+    const response = await fetchOk(this.url, { signal })
+    const blob = await response.blob()
+    signal?.throwIfAborted()
+
+    const bitmap = await createImageBitmap(blob, BITMAP_OPTIONS)
+    this.levels = [Promise.resolve(bitmap)]
+    this.imageWidth = bitmap.width
+    this.imageHeight = bitmap.height
+    // Halve until the shorter side is one pixel
+    this.maxLevel = Math.floor(Math.log2(Math.min(bitmap.width, bitmap.height)))
+  }
+
+  // Decoded pixels held between requests (see SourceCache)
+  get byteSize() {
+    let bytes = 0
+    for (let level = 0; level < this.levels.length; level++) {
+      const { width, height } = getHalvedSize(this.imageWidth, this.imageHeight, level)
+      bytes += width * height * 4
+    }
+    return bytes
+  }
+
+  // The image halved `level` times, building the missing steps of the chain
+  getLevel(level) {
+    for (let i = this.levels.length; i <= level; i++) {
+      const { width, height } = getHalvedSize(this.imageWidth, this.imageHeight, i)
+      const halved = this.levels[i - 1].then(above => createImageBitmap(above, {
+        resizeWidth: width,
+        resizeHeight: height,
+        resizeQuality: 'high',
+        ...BITMAP_OPTIONS
+      }))
+      // Let a later request retry a failed step
+      halved.catch(() => { this.levels.length = Math.min(this.levels.length, i) })
+      this.levels.push(halved)
+    }
+    return this.levels[level]
+  }
+
+  async renderTile({ srcX, srcY, srcW, srcH }, tileSize, gutter, signal) {
+    signal?.throwIfAborted()
+    const placement = getTilePlacement(this.imageWidth, this.imageHeight, srcX, srcY, srcW, srcH, tileSize, gutter)
+    const { scaleX, scaleY, x0, y0, x1, y1, dx, dy, dw, dh } = placement
+
+    const level = getHalvingLevel(Math.max(scaleX, scaleY), this.maxLevel)
+    const bitmap = await this.getLevel(level)
+    signal?.throwIfAborted()
+
+    // The placement's source rect on that level (level px per source px)
+    const { width, height } = getHalvedSize(this.imageWidth, this.imageHeight, level)
+    const kx = width / this.imageWidth
+    const ky = height / this.imageHeight
+
+    const canvas = new OffscreenCanvas(tileSize, tileSize)
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(bitmap, x0 * kx, y0 * ky, (x1 - x0) * kx, (y1 - y0) * ky, dx, dy, dw, dh)
+
+    return finishTile(ctx, tileSize, placement)
+  }
+
+  releaseTiles() {}
+}
+
+// Fetch and decode one image; a bitmap decoded after an abort is closed, not returned
+async function fetchBitmap(url, signal) {
+  const blob = await (await fetchOk(url, { signal })).blob()
+  signal.throwIfAborted()
+  const bitmap = await createImageBitmap(blob, BITMAP_OPTIONS)
+  if (signal.aborted) {
+    bitmap.close()
+    signal.throwIfAborted()
+  }
+  return bitmap
+}
+
+/**
+ * A pre-tiled pyramid: each of our tiles is composed from the pyramid tiles
+ * of the lowest level that still has enough resolution.
+ */
+export class PyramidSource {
+  constructor(layout) {
+    this.layout = layout
+    this.imageWidth = layout.width
+    this.imageHeight = layout.height
+    this.tiles = new Map() // url -> { promise: Promise<ImageBitmap>, controller, waiters }, shared by one request's tiles
+  }
+
+  // Only metadata outlives a request: its pyramid tiles are released
+  get byteSize() {
+    return 0
+  }
+
+  /**
+   * A pyramid tile, fetched once for every caller that wants it. A caller
+   * aborting only rejects its own promise; the fetch itself is aborted once
+   * every caller waiting on it has.
+   */
+  fetchTile(url, signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason)
+    let entry = this.tiles.get(url)
+    if (!entry) {
+      const controller = new AbortController()
+      entry = { promise: fetchBitmap(url, controller.signal), controller, waiters: 0 }
+      this.tiles.set(url, entry)
+    }
+    // Callers without a signal never leave
+    entry.waiters++
+    if (!signal) return entry.promise
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason)
+        if (--entry.waiters > 0) return
+        entry.controller.abort()
+        if (this.tiles.get(url) === entry) this.tiles.delete(url)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort))
+    })
+  }
+
+  async renderTile({ srcX, srcY, srcW, srcH }, tileSize, gutter, signal) {
+    const layout = this.layout
+    const placement = getTilePlacement(this.imageWidth, this.imageHeight, srcX, srcY, srcW, srcH, tileSize, gutter)
+    const { scaleX, scaleY, x0, y0, x1, y1 } = placement
+
+    const level = selectPyramidLevel(layout, Math.max(scaleX, scaleY))
+    const levelScale = Math.pow(2, level - layout.maxLevel) // level px per source px
+    const pyramidTiles = getPyramidTiles(
+      layout, level,
+      Math.floor(x0 * levelScale), Math.floor(y0 * levelScale),
+      Math.ceil(x1 * levelScale), Math.ceil(y1 * levelScale)
+    )
+    const bitmaps = await Promise.all(pyramidTiles.map(t => this.fetchTile(t.url, signal)))
+    signal?.throwIfAborted()
+
+    const canvas = new OffscreenCanvas(tileSize, tileSize)
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingQuality = 'high'
+    for (let i = 0; i < pyramidTiles.length; i++) {
+      const { x, y, width, height } = pyramidTiles[i]
+      ctx.drawImage(
+        bitmaps[i],
+        gutter + (x / levelScale - srcX) * scaleX,
+        gutter + (y / levelScale - srcY) * scaleY,
+        width / levelScale * scaleX,
+        height / levelScale * scaleY
+      )
+    }
+
+    return finishTile(ctx, tileSize, placement)
+  }
+
+  // Drop decoded pyramid tiles once a request's tiles are all rendered
+  releaseTiles() {
+    for (const { promise } of this.tiles.values()) {
+      promise.then(bitmap => bitmap.close(), () => {})
+    }
+    this.tiles.clear()
+  }
+}
+
+/**
+ * Tiles pre-cut on our own LOD grid. info.json ({ width, height, tileSize,
+ * gutter, maxLod, source }) says what they were cut with; requests outside
+ * that (a deeper LOD, another tileSize or gutter) are sliced from the
+ * original image instead.
+ */
+export class PreTiledSource {
+  constructor(template, info) {
+    this.template = template
+    this.info = info
+    this.imageWidth = info.width
+    this.imageHeight = info.height
+    this.fallback = null
+    this.fallbackSource = null
+  }
+
+  // The original image, once a request has needed it
+  get byteSize() {
+    return this.fallbackSource?.byteSize ?? 0
+  }
+
+  tileUrl(lodLevel, tx, ty) {
+    return this.template
+      .replaceAll('{lod}', lodLevel)
+      .replaceAll('{x}', tx)
+      .replaceAll('{y}', ty)
+  }
+
+  hasTile(lodLevel, tileSize, gutter) {
+    const { info } = this
+    return lodLevel <= info.maxLod && tileSize === info.tileSize && gutter === info.gutter
+  }
+
+  getFallback(signal) {
+    if (!this.fallback) {
+      const source = new ImageSliceSource(this.info.source)
+      this.fallbackSource = source
+      this.fallback = source.open(signal).then(() => source)
+      this.fallback.catch(() => {
+        this.fallback = null
+        this.fallbackSource = null
+      })
+    }
+    return this.fallback
+  }
+
+  async renderTile(tile, tileSize, gutter, signal) {
+    if (!this.hasTile(tile.lodLevel, tileSize, gutter)) {
+      const fallback = await this.getFallback(signal)
+      return fallback.renderTile(tile, tileSize, gutter, signal)
+    }
+    const response = await fetchOk(this.tileUrl(tile.lodLevel, tile.tx, tile.ty), { signal })
+    const blob = await response.blob()
+    signal?.throwIfAborted()
+    return createImageBitmap(blob, { imageOrientation: 'flipY', ...BITMAP_OPTIONS })
+  }
+
+  releaseTiles() {}
+}
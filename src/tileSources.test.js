@@ -0,0 +1,353 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { readFileSync, existsSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import {
+  getTileSourceType,
+  parseDzi,
+  getDziLayout,
+  getInfoUrl,
+  getXyzLayout,
+  getLevelSize,
+  selectPyramidLevel,
+  getPyramidTiles,
+  getTilePlacement,
+  getHalvedSize,
+  getHalvingLevel,
+  fetchImageSize,
+  openTileSource,
+  ImageSliceSource,
+  PyramidSource,
+} from './tileSources'
+
+// Fixture pyramids of the same 300×200 image (public/fixtures/pyramid.png)
+const PUBLIC = fileURLToPath(new URL('../public', import.meta.url))
+const DZI_URL = '/fixtures/pyramid.dzi'
+const XYZ_URL = '/fixtures/xyz/{z}/{x}/{y}.png'
+
+const readPublic = url => readFileSync(PUBLIC + url)
+
+// Width and height from a PNG's IHDR chunk
+function pngSize(url) {
+  const bytes = readPublic(url)
+  return { width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) }
+}
+
+const dziLayout = () => getDziLayout(DZI_URL, parseDzi(readPublic(DZI_URL).toString()))
+const xyzLayout = () => getXyzLayout(XYZ_URL, JSON.parse(readPublic(getInfoUrl(XYZ_URL, '{z}')).toString()))
+
+// Every tile of every level exists and has the size the layout expects
+function expectPyramidMatchesFiles(layout) {
+  for (let level = layout.minLevel; level <= layout.maxLevel; level++) {
+    const { width, height } = getLevelSize(layout, level)
+    for (const tile of getPyramidTiles(layout, level, 0, 0, width, height)) {
+      expect(existsSync(PUBLIC + tile.url), tile.url).toBe(true)
+      expect(pngSize(tile.url), tile.url).toEqual({ width: tile.width, height: tile.height })
+    }
+  }
+}
+
+describe('getTileSourceType', () => {
+  it('recognises Deep Zoom descriptors', () => {
+    expect(getTileSourceType('/a/b.dzi')).toBe('dzi')
+    expect(getTileSourceType('/a/b.DZI?v=2')).toBe('dzi')
+  })
+
+  it('recognises XYZ templates', () => {
+    expect(getTileSourceType(XYZ_URL)).toBe('xyz')
+  })
+
+  it('recognises pre-cut LOD tiles', () => {
+    expect(getTileSourceType('/pyramids/image_1/{lod}/{x}_{y}.jpg')).toBe('lod')
+  })
+
+  it('treats anything else as a whole image', () => {
+    expect(getTileSourceType('/image_1.jpg')).toBe('image')
+    expect(getTileSourceType('/dzi/photo.png')).toBe('image')
+  })
+})
+
+describe('parseDzi', () => {
+  it('reads the fixture descriptor', () => {
+    expect(parseDzi(readPublic(DZI_URL).toString())).toEqual({
+      width: 300, height: 200, tileSize: 128, overlap: 1, format: 'png',
+    })
+  })
+
+  it('accepts attributes in any order and defaults overlap/format', () => {
+    const xml = '<Image TileSize="254" xmlns="x"><Size Height="10" Width="20"></Size></Image>'
+    expect(parseDzi(xml)).toEqual({ width: 20, height: 10, tileSize: 254, overlap: 0, format: 'jpg' })
+  })
+
+  it('rejects non-DZI documents', () => {
+    expect(() => parseDzi('<html></html>')).toThrow(/Deep Zoom/)
+    expect(() => parseDzi('<Image TileSize="256"><Size/></Image>')).toThrow(/size/)
+  })
+})
+
+describe('Deep Zoom layout', () => {
+  it('has one level per halving down to 1×1', () => {
+    const layout = dziLayout()
+    expect(layout.maxLevel).toBe(9)
+    expect(getLevelSize(layout, 9)).toEqual({ width: 300, height: 200 })
+    expect(getLevelSize(layout, 8)).toEqual({ width: 150, height: 100 })
+    expect(getLevelSize(layout, 1)).toEqual({ width: 2, height: 1 })
+    expect(getLevelSize(layout, 0)).toEqual({ width: 1, height: 1 })
+  })
+
+  it('names tiles {base}_files/{level}/{col}_{row}.{format}', () => {
+    expect(dziLayout().tileUrl(9, 2, 1)).toBe('/fixtures/pyramid_files/9/2_1.png')
+  })
+
+  it('matches the fixture pyramid tile for tile', () => {
+    expectPyramidMatchesFiles(dziLayout())
+  })
+})
+
+describe('XYZ layout', () => {
+  it('reads info.json next to the {z} directory', () => {
+    expect(getInfoUrl(XYZ_URL, '{z}')).toBe('/fixtures/xyz/info.json')
+  })
+
+  it('fills the template', () => {
+    expect(xyzLayout().tileUrl(2, 1, 0)).toBe('/fixtures/xyz/2/1/0.png')
+  })
+
+  it('matches the fixture pyramid tile for tile', () => {
+    const layout = xyzLayout()
+    expect(getLevelSize(layout, 0)).toEqual({ width: 75, height: 50 })
+    expectPyramidMatchesFiles(layout)
+  })
+})
+
+describe('selectPyramidLevel', () => {
+  it('uses full resolution at scale 1 and above', () => {
+    const layout = dziLayout()
+    expect(selectPyramidLevel(layout, 1)).toBe(9)
+    expect(selectPyramidLevel(layout, 3)).toBe(9)
+  })
+
+  it('picks the smallest level that is not below the scale', () => {
+    const layout = dziLayout()
+    expect(selectPyramidLevel(layout, 0.5)).toBe(8)
+    expect(selectPyramidLevel(layout, 0.3)).toBe(8)
+    expect(selectPyramidLevel(layout, 0.25)).toBe(7)
+  })
+
+  it('clamps to the lowest level', () => {
+    expect(selectPyramidLevel(xyzLayout(), 0.01)).toBe(0)
+  })
+})
+
+describe('getPyramidTiles', () => {
+  it('returns only tiles overlapping the rect', () => {
+    const tiles = getPyramidTiles(dziLayout(), 9, 130, 10, 140, 20)
+    expect(tiles.map(t => [t.col, t.row])).toEqual([[1, 0]])
+  })
+
+  it('includes overlap on inner edges only', () => {
+    const [first, second] = getPyramidTiles(dziLayout(), 9, 0, 0, 300, 1)
+    expect(first).toMatchObject({ x: 0, y: 0, width: 129, height: 129 })
+    expect(second).toMatchObject({ x: 127, y: 0, width: 130, height: 129 })
+  })
+})
+
+describe('getTilePlacement', () => {
+  it('without a gutter the source rect fills the tile', () => {
+    const p = getTilePlacement(300, 200, 100, 50, 100, 100, 64, 0)
+    expect(p).toMatchObject({ x0: 100, y0: 50, x1: 200, y1: 150, dx: 0, dy: 0, dw: 64, dh: 64 })
+  })
+
+  it('pads inner edges by the gutter and clamps at the image edge', () => {
+    // 56 content px for 112 source px: a 4 px gutter is 8 source px
+    const p = getTilePlacement(300, 200, 0, 0, 112, 112, 64, 4)
+    expect(p).toMatchObject({ x0: 0, y0: 0, x1: 120, y1: 120, dx: 4, dy: 4, dw: 60, dh: 60 })
+  })
+})
+
+describe('getHalvingLevel', () => {
+  it('leaves at most one halving for the final resample', () => {
+    expect(getHalvingLevel(1, 10)).toBe(0)
+    expect(getHalvingLevel(0.6, 10)).toBe(0)
+    expect(getHalvingLevel(0.5, 10)).toBe(1)
+    expect(getHalvingLevel(0.3, 10)).toBe(1)
+    expect(getHalvingLevel(0.25, 10)).toBe(2)
+  })
+
+  it('uses the full image for upscaling and stops at the last level', () => {
+    expect(getHalvingLevel(4, 10)).toBe(0)
+    expect(getHalvingLevel(0.001, 3)).toBe(3)
+  })
+
+  it('rounds halved sizes up', () => {
+    expect(getHalvedSize(301, 200, 0)).toEqual({ width: 301, height: 200 })
+    expect(getHalvedSize(301, 200, 2)).toEqual({ width: 76, height: 50 })
+  })
+})
+
+describe('ImageSliceSource', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  // Bitmaps are plain sizes; canvases record what is drawn on them
+  function stubDecoding() {
+    const decoded = []
+    const drawn = []
+    vi.stubGlobal('fetch', async () => new Response('jpeg'))
+    vi.stubGlobal('createImageBitmap', vi.fn(async (image, options = {}) => {
+      if (image instanceof Blob) {
+        decoded.push(image)
+        return { width: 1024, height: 512 }
+      }
+      return { width: options.resizeWidth ?? image.width, height: options.resizeHeight ?? image.height }
+    }))
+    vi.stubGlobal('OffscreenCanvas', class {
+      constructor(width, height) {
+        this.width = width
+        this.height = height
+      }
+      getContext() {
+        return { canvas: this, drawImage: (...args) => drawn.push(args) }
+      }
+    })
+    return { decoded, drawn }
+  }
+
+  it('decodes once and draws low LODs from a halving chain', async () => {
+    const { decoded, drawn } = stubDecoding()
+    const source = new ImageSliceSource('/a.jpg')
+    await source.open()
+    expect(source).toMatchObject({ imageWidth: 1024, imageHeight: 512, maxLevel: 9 })
+
+    // 512 source px into 64 tile px: three halvings, then a 1:1 copy
+    const tile = { srcX: 0, srcY: 0, srcW: 512, srcH: 512 }
+    await source.renderTile(tile, 64, 0)
+    await source.renderTile({ ...tile, srcX: 512 }, 64, 0)
+    expect(decoded).toHaveLength(1)
+    expect(source.levels).toHaveLength(4)
+    expect(drawn[0][0]).toEqual({ width: 128, height: 64 })
+    expect(drawn[0].slice(1)).toEqual([0, 0, 64, 64, 0, 0, 64, 64])
+    expect(source.byteSize).toBe((1024 * 512 + 512 * 256 + 256 * 128 + 128 * 64) * 4)
+  })
+
+  it('draws full-resolution tiles from the decoded image', async () => {
+    const { drawn } = stubDecoding()
+    const source = new ImageSliceSource('/a.jpg')
+    await source.open()
+    await source.renderTile({ srcX: 100, srcY: 50, srcW: 64, srcH: 64 }, 64, 0)
+    expect(source.levels).toHaveLength(1)
+    expect(drawn[0].slice(1)).toEqual([100, 50, 64, 64, 0, 0, 64, 64])
+  })
+})
+
+describe('PyramidSource', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  // Fetches wait for release() and reject when their signal aborts
+  function stubFetch() {
+    const fetches = []
+    let release
+    const released = new Promise(resolve => { release = resolve })
+    vi.stubGlobal('fetch', vi.fn((url, init) => {
+      fetches.push(init.signal)
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(init.signal.reason))
+        released.then(() => resolve(new Response('png')))
+      })
+    }))
+    vi.stubGlobal('createImageBitmap', vi.fn(async () => ({ close: vi.fn() })))
+    return { fetches, release }
+  }
+
+  it('shares a fetch between callers and keeps it when one of them aborts', async () => {
+    const { fetches, release } = stubFetch()
+    const source = new PyramidSource(dziLayout())
+    const first = new AbortController()
+    const second = new AbortController()
+    const a = source.fetchTile('/t.png', first.signal)
+    const b = source.fetchTile('/t.png', second.signal)
+
+    first.abort()
+    await expect(a).rejects.toThrow(/abort/i)
+    expect(fetches).toHaveLength(1)
+    expect(fetches[0].aborted).toBe(false)
+
+    release()
+    expect(await b).toHaveProperty('close')
+  })
+
+  it('aborts the fetch once every caller has, and fetches again afterwards', async () => {
+    const { fetches, release } = stubFetch()
+    const source = new PyramidSource(dziLayout())
+    const first = new AbortController()
+    const second = new AbortController()
+    const a = source.fetchTile('/t.png', first.signal)
+    const b = source.fetchTile('/t.png', second.signal)
+
+    first.abort()
+    second.abort()
+    await expect(a).rejects.toThrow(/abort/i)
+    await expect(b).rejects.toThrow(/abort/i)
+    expect(fetches[0].aborted).toBe(true)
+
+    const c = source.fetchTile('/t.png', new AbortController().signal)
+    expect(fetches).toHaveLength(2)
+    release()
+    expect(await c).toHaveProperty('close')
+  })
+})
+
+describe('fetchImageSize', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  // Serve a file in small chunks, counting how many were read
+  function stubStreamingFetch(bytes, chunkSize) {
+    const stats = { chunksRead: 0, cancelled: false, range: null }
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+      stats.range = init?.headers?.Range
+      let offset = 0
+      const body = new ReadableStream({
+        pull(controller) {
+          if (offset >= bytes.length) return controller.close()
+          stats.chunksRead++
+          controller.enqueue(bytes.slice(offset, offset + chunkSize))
+          offset += chunkSize
+        },
+        cancel() { stats.cancelled = true },
+      })
+      return new Response(body)
+    }))
+    return stats
+  }
+
+  it('stops reading once the header is parsed', async () => {
+    const bytes = new Uint8Array(readPublic('/fixtures/pyramid.png'))
+    const stats = stubStreamingFetch(bytes, 16)
+    expect(await fetchImageSize('/fixtures/pyramid.png')).toEqual({ width: 300, height: 200 })
+    expect(stats.range).toMatch(/^bytes=0-/)
+    // IHDR ends at byte 24; the stream may have pulled one chunk ahead
+    expect(stats.chunksRead).toBeLessThanOrEqual(3)
+    expect(stats.cancelled).toBe(true)
+  })
+
+  it('returns null when the file has no readable header', async () => {
+    stubStreamingFetch(new Uint8Array(100), 16)
+    expect(await fetchImageSize('/blank.bin')).toBeNull()
+  })
+})
+
+describe('openTileSource', () => {
+  afterEach(() => vi.unstubAllGlobals())
+
+  it('aborts its metadata fetch with the request', async () => {
+    const fetchStub = vi.fn(async (url, init) => {
+      init.signal?.throwIfAborted()
+      return new Response(readPublic(DZI_URL))
+    })
+    vi.stubGlobal('fetch', fetchStub)
+    expect((await openTileSource(DZI_URL)).imageWidth).toBe(300)
+
+    const controller = new AbortController()
+    controller.abort()
+    await expect(openTileSource(DZI_URL, { signal: controller.signal })).rejects.toThrow(/abort/i)
+    expect(fetchStub.mock.calls[1][1].signal).toBe(controller.signal)
+  })
+})
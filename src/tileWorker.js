@@ -1,132 +1,384 @@
 // Web Worker for off-thread tile loading and decoding
+//
+// Messages back, per task id:
+//   tiles      A batch of finished tiles (load tasks; posted as they finish)
+//   done       The result: a probe's size, or a load's last tiles and its empty ones
+//   error      The task failed (tiles already posted stay posted)
+//   cancelled  Acknowledges a 'cancel'
 
-const TILE_SIZE = 256
-const BASE_WORLD_SIZE = 4
+import { DEFAULT_TILE_CONFIG } from './tileConfig.js'
+import { getCompressedFormat } from './textureFormats.js'
+import { encodeBlocks } from './blockEncoders.js'
+import { transcodeKtx2 } from './ktx2Transcoder.js'
+import { getImageWorldSize, getTileGrid, getFullTileRange, getTileSourceRect } from './tileGrid.js'
+import { BITMAP_OPTIONS, openTileSource, getTileSourceType, fetchImageSize } from './tileSources.js'
+import { SourceCache } from './SourceCache.js'
+import { TileCache, getTileCacheKey } from './TileCache.js'
 
-// Cache fetched blobs so re-tiling the same image at a different LOD skips the network fetch
-const blobCache = new Map() // url -> { blob, imageWidth, imageHeight }
+// Cache opened sources so re-tiling the same image at a different LOD skips
+// the network fetch. Each task carries this worker's share of the pool's budget
+const sourceCache = new SourceCache()
 
-self.onmessage = async (e) => {
-  const { url, imageIndex, lodLevel, id } = e.data
+// Persistent tile cache, opened by the first task that enables it
+let tileCache = null // Promise<TileCache | null>
 
+// Tasks in progress, so a 'cancel' message can abort them
+const controllers = new Map() // id -> AbortController
+
+function getTileSource(url, signal) {
+  let source = sourceCache.get(url)
+  if (!source) {
+    source = openTileSource(url, { signal })
+    sourceCache.set(url, source)
+  }
+  return source
+}
+
+/**
+ * The persistent tile cache, or null when it's off (no quota) or IndexedDB is
+ * unavailable. Its quota is the pool's; every worker shares the database.
+ */
+function getTileCache(maxBytes) {
+  if (!maxBytes || typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!tileCache) {
+    tileCache = TileCache.open({ maxBytes }).catch(err => {
+      console.warn('Tile cache unavailable:', err)
+      return null
+    })
+  }
+  return tileCache
+}
+
+// The cache only saves work: failing to read it is a miss, failing to write is ignored
+function readCache(cache, key) {
+  return cache ? cache.get(key).catch(() => undefined) : Promise.resolve(undefined)
+}
+
+function writeCache(cache, key, data, bytes) {
+  cache?.put(key, data, bytes).catch(err => console.warn('Tile cache write failed:', err))
+}
+
+// Rough size of an image size record, for the cache quota
+const SIZE_RECORD_BYTES = 64
+
+const getSizeCacheKey = (version, url) => getTileCacheKey({ version, url, lodLevel: 'size' })
+
+/**
+ * Image size without cutting any tiles: from the tile cache, else pyramids
+ * read their metadata, single images just their header (decoded fully only
+ * if that fails).
+ */
+async function probeImageSize(url, signal, cache, cacheVersion) {
+  const key = getSizeCacheKey(cacheVersion, url)
+  const cached = await readCache(cache, key)
+  if (cached) return cached
+
+  let size = null
+  if (getTileSourceType(url) === 'image' && !sourceCache.has(url)) {
+    const header = await fetchImageSize(url, { signal })
+    if (header) size = { imageWidth: header.width, imageHeight: header.height }
+  }
+  if (!size) {
+    const { imageWidth, imageHeight } = await getTileSource(url, signal)
+    size = { imageWidth, imageHeight }
+  }
+  writeCache(cache, key, size, SIZE_RECORD_BYTES)
+  return size
+}
+
+// Image size for a load: from the tile cache, else from the source it renders from
+async function getImageSize(url, cache, cacheVersion, openSource) {
+  const key = getSizeCacheKey(cacheVersion, url)
+  const cached = await readCache(cache, key)
+  if (cached) return cached
+  const { imageWidth, imageHeight } = await openSource()
+  writeCache(cache, key, { imageWidth, imageHeight }, SIZE_RECORD_BYTES)
+  return { imageWidth, imageHeight }
+}
+
+/**
+ * Build mip levels 1..mipLevels-1 for one tile by repeated halving, so each
+ * level is filtered from the one above it rather than from the full source.
+ * If the task is aborted part way, closes the tile and the mips made so far.
+ */
+async function buildMips(bitmap, tileSize, mipLevels, signal) {
+  const mips = []
+  let prev = bitmap
   try {
-    let blob, imageWidth, imageHeight
-
-    const cached = blobCache.get(url)
-    if (cached) {
-      blob = cached.blob
-      imageWidth = cached.imageWidth
-      imageHeight = cached.imageHeight
-    } else {
-      // Fetch image
-      self.postMessage({ id, status: 'fetching' })
-      const response = await fetch(url)
-      blob = await response.blob()
-
-      // Get image dimensions
-      const fullBitmap = await createImageBitmap(blob)
-      imageWidth = fullBitmap.width
-      imageHeight = fullBitmap.height
-      fullBitmap.close()
-
-      blobCache.set(url, { blob, imageWidth, imageHeight })
+    for (let level = 1; level < mipLevels; level++) {
+      signal.throwIfAborted()
+      const size = tileSize >> level
+      prev = await createImageBitmap(prev, {
+        resizeWidth: size,
+        resizeHeight: size,
+        resizeQuality: 'high',
+        ...BITMAP_OPTIONS
+      })
+      mips.push(prev)
     }
+    signal.throwIfAborted()
+  } catch (err) {
+    for (const level of [bitmap, ...mips]) level.close()
+    throw err
+  }
+  return mips
+}
 
-    // Calculate image world size (maintaining aspect ratio)
-    const aspect = imageWidth / imageHeight
-    let worldWidth, worldHeight
-    if (aspect >= 1) {
-      worldWidth = BASE_WORLD_SIZE
-      worldHeight = BASE_WORLD_SIZE / aspect
-    } else {
-      worldWidth = BASE_WORLD_SIZE * aspect
-      worldHeight = BASE_WORLD_SIZE
-    }
+// Close the bitmaps of finished tiles that won't be posted
+function closeTiles(tiles) {
+  for (const tile of tiles) {
+    if (!tile.bitmap) continue
+    tile.bitmap.close()
+    for (const mip of tile.mips) mip.close()
+  }
+}
+
+/**
+ * A message body for finished tiles, with what to transfer: bitmaps and their
+ * mips, or block data per mip level for compressed atlases.
+ */
+function packTiles(tiles, format) {
+  const meta = tiles.map(({ tx, ty, tileWorldW, tileWorldH }) => ({ tx, ty, tileWorldW, tileWorldH }))
+  if (format) {
+    const tileLevels = tiles.map(t => t.levels)
+    return { body: { tiles: meta, tileLevels }, transfer: tileLevels.flat().map(level => level.buffer) }
+  }
+  const bitmaps = tiles.map(t => t.bitmap)
+  const mipBitmaps = tiles.map(t => t.mips)
+  return { body: { tiles: meta, bitmaps, mipBitmaps }, transfer: [...bitmaps, ...mipBitmaps.flat()] }
+}
+
+/**
+ * Encode a rendered tile and its mips into a GPU block format.
+ * Closes the bitmaps.
+ * @returns {Uint8Array[]} Block data per mip level
+ */
+function encodeTile(bitmap, mips, format) {
+  const levels = []
+  for (const level of [bitmap, ...mips]) {
+    const canvas = new OffscreenCanvas(level.width, level.height)
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(level, 0, 0)
+    level.close()
+    const { data } = ctx.getImageData(0, 0, level.width, level.height)
+    levels.push(encodeBlocks(format.name, data, canvas.width, canvas.height))
+  }
+  return levels
+}
+
+// Fill a ktx2TileUrl template for one tile
+function getKtx2TileUrl(template, url, lodLevel, tx, ty) {
+  const name = url.split('/').pop().replace(/\.[^.]*$/, '')
+  return template
+    .replaceAll('{name}', name)
+    .replaceAll('{lod}', lodLevel)
+    .replaceAll('{x}', tx)
+    .replaceAll('{y}', ty)
+}
 
-    // Fixed tile world size at this LOD
-    const tileWorldSize = BASE_WORLD_SIZE / Math.pow(2, lodLevel)
+async function loadKtx2Tile(url, format, mipLevels, signal) {
+  const response = await fetch(url, { signal })
+  if (!response.ok) throw new Error(`Failed to fetch ${url} (${response.status})`)
+  return transcodeKtx2(await response.arrayBuffer(), format, mipLevels)
+}
+
+// Store an RGBA tile as PNG (lossless, so a cached tile matches a fresh one)
+function cacheBitmap(cache, key, bitmap) {
+  if (!cache) return
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0)
+  canvas.convertToBlob({ type: 'image/png' })
+    .then(png => writeCache(cache, key, { png }, png.size))
+    .catch(() => {})
+}
+
+function cacheLevels(cache, key, levels) {
+  if (!cache) return
+  writeCache(cache, key, { levels }, levels.reduce((sum, level) => sum + level.byteLength, 0))
+}
+
+/**
+ * One tile's pixels: from the tile cache if it has them, else rendered from
+ * the source (opened only now) or fetched as KTX2, and then cached. RGBA
+ * tiles are cached before their mips are built, compressed ones after encoding.
+ * @returns {Promise<{ bitmap: ImageBitmap, mips: ImageBitmap[] } | { levels: Uint8Array[] }>}
+ */
+async function makeTile(task, request, cache, key, signal) {
+  const { url, tileSize, gutter, mipLevels, format, ktx2TileUrl, openSource } = task
+  const cached = await readCache(cache, key)
+  signal.throwIfAborted()
+  if (cached?.levels) return { levels: cached.levels }
+
+  let bitmap
+  if (cached?.png) {
+    bitmap = await createImageBitmap(cached.png, BITMAP_OPTIONS)
+  } else if (format && ktx2TileUrl) {
+    const levels = await loadKtx2Tile(getKtx2TileUrl(ktx2TileUrl, url, request.lodLevel, request.tx, request.ty), format, mipLevels, signal)
+    cacheLevels(cache, key, levels)
+    return { levels }
+  } else {
+    const source = await openSource()
+    bitmap = await source.renderTile(request, tileSize, gutter, signal)
+    if (!format) cacheBitmap(cache, key, bitmap)
+  }
+
+  const mips = await buildMips(bitmap, tileSize, mipLevels, signal)
+  if (!format) return { bitmap, mips }
+  const levels = encodeTile(bitmap, mips, format)
+  if (!cached) cacheLevels(cache, key, levels)
+  return { levels }
+}
+
+// Report a failed task, or its cancellation if it was aborted
+function postError(id, signal, err) {
+  const cache = sourceCache.getStats()
+  if (signal.aborted) self.postMessage({ id, status: 'cancelled', cache })
+  else self.postMessage({ id, status: 'error', error: err.message, cache })
+}
+
+self.onmessage = (e) => {
+  const { type, id, url, cacheBytes } = e.data
+  if (type === 'cancel') {
+    controllers.get(id)?.abort()
+    return
+  }
+  // The pool moved this URL to another worker
+  if (type === 'evict') {
+    sourceCache.delete(url)
+    return
+  }
+  if (cacheBytes !== undefined) sourceCache.setMaxBytes(cacheBytes)
+
+  const controller = new AbortController()
+  controllers.set(id, controller)
+  const task = type === 'probe' ? runProbe : runLoad
+  task(e.data, controller.signal).finally(() => controllers.delete(id))
+}
 
-    // How many tiles needed to cover this image
-    const tilesX = Math.ceil(worldWidth / tileWorldSize)
-    const tilesY = Math.ceil(worldHeight / tileWorldSize)
+async function runProbe({ url, id, tileCacheBytes = 0, tileCacheVersion = '' }, signal) {
+  try {
+    const cache = await getTileCache(tileCacheBytes)
+    const size = await probeImageSize(url, signal, cache, tileCacheVersion)
+    self.postMessage({ id, status: 'done', ...size, cache: sourceCache.getStats() })
+  } catch (err) {
+    postError(id, signal, err)
+  }
+}
+
+async function runLoad(data, signal) {
+  const {
+    url, imageIndex, lodLevel, id,
+    tileSize = DEFAULT_TILE_CONFIG.tileSize,
+    gutter = DEFAULT_TILE_CONFIG.gutter,
+    mipLevels = DEFAULT_TILE_CONFIG.mipLevels,
+    compressedFormat = null,
+    ktx2TileUrl = '',
+    tileRange = null,
+    baseWorldSize = DEFAULT_TILE_CONFIG.baseWorldSize,
+    tileCacheBytes = 0,
+    tileCacheVersion = ''
+  } = data
+
+  const format = compressedFormat ? getCompressedFormat(compressedFormat) : null
+
+  // The source is opened only if the tile cache lacks something
+  let source = null
+  const openSource = () => (source ??= getTileSource(url, signal))
+  const task = { url, tileSize, gutter, mipLevels, format, ktx2TileUrl, openSource }
+
+  try {
+    const cache = await getTileCache(tileCacheBytes)
+    const { imageWidth, imageHeight } = await getImageSize(url, cache, tileCacheVersion, openSource)
+    // Everything besides the tile that shapes its pixels
+    const variant = `${tileSize}/${gutter}/${mipLevels}/${compressedFormat ?? 'rgba'}${ktx2TileUrl ? '/ktx2' : ''}`
 
-    // Pixels per world unit
-    const pixelsPerWorldX = imageWidth / worldWidth
-    const pixelsPerWorldY = imageHeight / worldHeight
+    // Image world size (maintaining aspect ratio) and its tile grid at this LOD
+    const { worldWidth, worldHeight } = getImageWorldSize(imageWidth, imageHeight, baseWorldSize)
+    const grid = getTileGrid(worldWidth, worldHeight, baseWorldSize, lodLevel)
+    const { tileWorldSize, tilesX, tilesY } = grid
 
-    self.postMessage({ id, status: 'decoding', tilesX, tilesY })
+    // Only cut the requested tiles (the whole grid by default)
+    const range = tileRange
+      ? {
+          x0: Math.max(0, tileRange.x0),
+          y0: Math.max(0, tileRange.y0),
+          x1: Math.min(tilesX, tileRange.x1),
+          y1: Math.min(tilesY, tileRange.y1)
+        }
+      : getFullTileRange(grid)
+
+    // Sent with every batch, so each can be placed on its own
+    const header = {
+      imageIndex,
+      lodLevel,
+      imageWidth,
+      imageHeight,
+      worldWidth,
+      worldHeight,
+      tileWorldSize,
+      tilesX,
+      tilesY,
+      tileRange: range
+    }
+
+    // Finished tiles wait here for the next batch; tiles finishing in the
+    // same turn go out together
+    let batch = []
+    let flushTimer = null
+    const flush = () => {
+      flushTimer = null
+      if (batch.length === 0) return
+      const { body, transfer } = packTiles(batch, format)
+      batch = []
+      self.postMessage({ id, status: 'tiles', ...header, ...body }, transfer)
+    }
+    const onTileReady = tile => {
+      if (signal.aborted) {
+        closeTiles([tile])
+        return
+      }
+      batch.push(tile)
+      flushTimer ??= setTimeout(flush, 0)
+    }
 
-    // Create all tile bitmaps
     const tilePromises = []
-    for (let ty = 0; ty < tilesY; ty++) {
-      for (let tx = 0; tx < tilesX; tx++) {
-        // World space bounds for this tile
-        const worldX0 = tx * tileWorldSize
-        const worldY0 = ty * tileWorldSize
-        const worldX1 = Math.min((tx + 1) * tileWorldSize, worldWidth)
-        const worldY1 = Math.min((ty + 1) * tileWorldSize, worldHeight)
-
-        // Actual tile world size (may be smaller for edge tiles)
-        const tileW = worldX1 - worldX0
-        const tileH = worldY1 - worldY0
-
-        // Convert to pixel coordinates
-        const srcX = Math.round(worldX0 * pixelsPerWorldX)
-        const srcY = Math.round(worldY0 * pixelsPerWorldY)
-        const srcW = Math.round(tileW * pixelsPerWorldX)
-        const srcH = Math.round(tileH * pixelsPerWorldY)
+    const emptyTiles = []
+    for (let ty = range.y0; ty < range.y1; ty++) {
+      for (let tx = range.x0; tx < range.x1; tx++) {
+        const { srcX, srcY, srcW, srcH, tileWorldW, tileWorldH } = getTileSourceRect(
+          grid, tx, ty, worldWidth, worldHeight, imageWidth, imageHeight
+        )
 
         // Skip tiles that resolve to <1 source pixel (e.g. from aspect ratio remainder)
-        if (srcW < 1 || srcH < 1) continue
-
-        const promise = createImageBitmap(
-          blob,
-          srcX,
-          srcY,
-          srcW,
-          srcH,
-          {
-            resizeWidth: TILE_SIZE,
-            resizeHeight: TILE_SIZE,
-            imageOrientation: 'flipY',
-            premultiplyAlpha: 'none',
-            colorSpaceConversion: 'none'
-          }
-        ).then(bitmap => ({
-          bitmap,
-          tx,
-          ty,
-          tileWorldW: tileW,
-          tileWorldH: tileH
-        }))
-        tilePromises.push(promise)
+        if (srcW < 1 || srcH < 1) {
+          emptyTiles.push({ tx, ty })
+          continue
+        }
+
+        const tile = { tx, ty, tileWorldW, tileWorldH }
+        const request = { lodLevel, tx, ty, srcX, srcY, srcW, srcH }
+        const key = getTileCacheKey({ version: tileCacheVersion, url, lodLevel, tx, ty, variant })
+        tilePromises.push(makeTile(task, request, cache, key, signal).then(pixels => onTileReady({ ...tile, ...pixels })))
       }
     }
 
-    const tiles = await Promise.all(tilePromises)
-    const bitmaps = tiles.map(t => t.bitmap)
+    // Wait for every tile even if one fails, so none is left unclosed
+    const results = await Promise.allSettled(tilePromises)
+    source?.then(opened => opened.releaseTiles(), () => {})
+    clearTimeout(flushTimer)
+    const failed = results.find(r => r.status === 'rejected')
+    if (failed || signal.aborted) {
+      closeTiles(batch)
+      throw failed?.reason ?? signal.reason
+    }
 
+    // The last batch goes with the result
+    const { body, transfer } = packTiles(batch, format)
     self.postMessage(
-      {
-        id,
-        status: 'done',
-        imageIndex,
-        lodLevel,
-        imageWidth,
-        imageHeight,
-        worldWidth,
-        worldHeight,
-        tileWorldSize,
-        tilesX,
-        tilesY,
-        tiles: tiles.map(({ tx, ty, tileWorldW, tileWorldH }) => ({
-          tx, ty, tileWorldW, tileWorldH
-        })),
-        bitmaps
-      },
-      bitmaps
+      { id, status: 'done', ...header, emptyTiles, ...body, cache: sourceCache.getStats() },
+      transfer
     )
   } catch (err) {
-    self.postMessage({ id, status: 'error', error: err.message })
+    postError(id, signal, err)
   }
 }
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useState } from 'react'
+import { DEFAULT_MANIFEST_URL, loadImageManifest } from './imageManifest'
+
+// Until `npm run pyramid` has written the default manifest: the photos in
+// public/, sizes unknown
+const bundledFiles = import.meta.glob('/public/*.jpg', { eager: true, query: '?url', import: 'default' })
+const BUNDLED_IMAGES = Object.keys(bundledFiles).map(path => ({
+  url: bundledFiles[path],
+  width: null,
+  height: null,
+  title: null,
+  tags: [],
+  rotation: 0,
+  scale: 1,
+}))
+
+function getInitialManifestUrl() {
+  return new URLSearchParams(window.location.search).get('manifest') || DEFAULT_MANIFEST_URL
+}
+
+/**
+ * The image collection to show, from the manifest in ?manifest= (or the
+ * default one). setManifestUrl swaps it at runtime; a manifest that fails to
+ * load leaves the current collection in place and reports `error`.
+ * @returns {{ collection: { id: number, url: string, bundled: boolean, images: object[] } | null, manifestUrl: string, error: string | null, setManifestUrl: (url: string) => void }}
+ */
+export function useImageCollection() {
+  const [manifestUrl, setManifestUrlState] = useState(getInitialManifestUrl)
+  const [collection, setCollection] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    let cancelled = false
+
+    loadImageManifest(manifestUrl, { signal: controller.signal })
+      .then(images => ({ images, bundled: false }))
+      .catch(err => {
+        if (manifestUrl !== DEFAULT_MANIFEST_URL) throw err
+        console.warn(`No image manifest at ${manifestUrl} (run \`npm run pyramid\`), using the bundled images`)
+        return { images: BUNDLED_IMAGES, bundled: true }
+      })
+      .then(({ images, bundled }) => {
+        if (cancelled) return
+        setError(null)
+        setCollection(prev => ({ id: (prev?.id ?? 0) + 1, url: manifestUrl, bundled, images }))
+      }, err => {
+        if (!cancelled) setError(err.message)
+      })
+
+    return () => {
+      cancelled = true
+      controller.abort()
+    }
+  }, [manifestUrl])
+
+  const setManifestUrl = useCallback(url => {
+    const params = new URLSearchParams(window.location.search)
+    params.set('manifest', url)
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`)
+    setManifestUrlState(url)
+  }, [])
+
+  return { collection, manifestUrl, error, setManifestUrl }
+}